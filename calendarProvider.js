@@ -0,0 +1,29 @@
+// calendarProvider.js
+
+const { createGoogleProvider } = require('./googleCalendar');
+const { createLocalProvider } = require('./localCalendar');
+
+// Where events are read and written, chosen with CALENDAR_PROVIDER: 'google' (default), 'ics'
+// (a local .ics file) or 'caldav' (a CalDAV server such as Radicale). Every provider has:
+//   name, displayName
+//   requiresLogin          true when users connect through Google OAuth before using the bot
+//   supportsConferences    whether "add a Meet link" can work
+//   setCalendarTokens(sessionId, tokens), isAuthenticated(sessionId), disconnect(sessionId)
+//   getClient(sessionId)   a client answering the Google Calendar v3 calls calendarService makes:
+//                          events.list/get/insert/update/patch/delete/instances, freebusy.query
+//                          and calendarList.list
+//   rethrowIfReauthRequired(sessionId, error)
+
+function createCalendarProvider(type = process.env.CALENDAR_PROVIDER || 'google') {
+    switch (type) {
+        case 'google':
+            return createGoogleProvider();
+        case 'ics':
+        case 'caldav':
+            return createLocalProvider(type);
+        default:
+            throw new Error(`Unknown CALENDAR_PROVIDER '${type}'. Use 'google', 'ics' or 'caldav'.`);
+    }
+}
+
+module.exports = { createCalendarProvider };
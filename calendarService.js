@@ -1,115 +1,580 @@
-let calendarTokens = null;
-const { google } = require('googleapis');
+const crypto = require('crypto');
+const { createCalendarProvider } = require('./calendarProvider');
+const { getOAuth2Client, SCOPES, REAUTH_REQUIRED } = require('./googleCalendar');
+const { resolveAttendees } = require('./contacts');
+const {
+    zonedTimeToUtc,
+    getLocalDate,
+    getLocalTime,
+    getTodayInZone,
+    addDays,
+    getWeekday,
+    getDayWindow,
+    formatTime,
+    formatClockTime,
+    formatDate
+} = require('./timeUtils');
 
-const SCOPES = ['https://www.googleapis.com/auth/calendar.events'];
+// Calendar reads and writes go through the configured provider (see calendarProvider.js)
+let provider = createCalendarProvider();
 
-function setCalendarTokens(tokens) {
-    calendarTokens = tokens;
-    console.log("Calendar tokens successfully set.");
+// Whether Google emails guests about changes: 'all' (default), 'externalOnly' or 'none'
+function getSendUpdatesPolicy() {
+    const policy = process.env.SEND_UPDATES || 'all';
+    return ['all', 'externalOnly', 'none'].includes(policy) ? policy : 'all';
 }
 
-function isAuthenticated() {
-    return !!calendarTokens;
+function describeGuests(attendees = []) {
+    return attendees.map(attendee => attendee.displayName || attendee.email).join(', ');
 }
 
-function getOAuth2Client() {
-    const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI } = process.env;
-    if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI) {
-        throw new Error("Missing Google OAuth environment variables.");
+function unresolvedAttendeesClarification(unresolved) {
+    return {
+        type: 'attendees',
+        message: `I don't have an email address for ${unresolved.join(', ')}. Please say their email address, or "cancel" and add them to the contacts file.`,
+        options: [],
+        unresolved
+    };
+}
+
+function rethrowIfReauthRequired(sessionId, error) {
+    return provider.rethrowIfReauthRequired(sessionId, error);
+}
+
+async function setCalendarTokens(sessionId, tokens) {
+    await provider.setCalendarTokens(sessionId, tokens);
+}
+
+async function isAuthenticated(sessionId) {
+    return provider.isAuthenticated(sessionId);
+}
+
+async function getCalendarClient(sessionId) {
+    return provider.getClient(sessionId);
+}
+
+async function revokeCalendarTokens(sessionId) {
+    calendarListCache.delete(sessionId);
+    return provider.disconnect(sessionId);
+}
+
+// Swaps the backend at runtime, e.g. for the in-memory fake the tests use
+function setCalendarProvider(nextProvider) {
+    provider = nextProvider;
+    calendarListCache.clear();
+}
+
+// What the frontend needs to know about the backend: whether to offer Google sign-in
+function getProviderInfo() {
+    return { name: provider.name, displayName: provider.displayName, requiresLogin: provider.requiresLogin };
+}
+
+// The user's calendars, cached briefly per session: [{ id, name, primary, selected, canWrite }]
+const CALENDAR_LIST_TTL = 5 * 60 * 1000; // 5 minutes
+const calendarListCache = new Map();
+
+async function listCalendars(sessionId) {
+    const cached = calendarListCache.get(sessionId);
+    if (cached && cached.expiresAt > Date.now()) return cached.calendars;
+
+    const calendar = await getCalendarClient(sessionId);
+    let calendars;
+    try {
+        const response = await calendar.calendarList.list({ minAccessRole: 'reader' });
+        calendars = (response.data.items || []).map(item => ({
+            id: item.id,
+            name: item.summaryOverride || (item.primary ? 'Primary' : item.summary),
+            primary: !!item.primary,
+            selected: !!item.selected || !!item.primary,
+            canWrite: ['owner', 'writer'].includes(item.accessRole)
+        }));
+    } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
+        // Tokens granted before the calendar list scope was added can only reach the primary calendar
+        console.error("Failed to list calendars (using primary only):", error.message);
+        calendars = [{ id: 'primary', name: 'Primary', primary: true, selected: true, canWrite: true }];
     }
-    const auth = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
-    return auth;
+    calendarListCache.set(sessionId, { calendars, expiresAt: Date.now() + CALENDAR_LIST_TTL });
+    return calendars;
+}
+
+// Matches a spoken calendar name ("the Team calendar", "my personal one") to one of the user's calendars
+function findCalendarByName(calendars, spokenName) {
+    const needle = spokenName.toLowerCase().replace(/^(the|my)\s+/, '').replace(/\s+(calendar|one)$/, '').trim();
+    if (['primary', 'main', 'default', 'my'].includes(needle)) return calendars.find(calendar => calendar.primary) || null;
+    const exact = calendars.filter(calendar => calendar.name.toLowerCase() === needle || calendar.id.toLowerCase() === needle);
+    if (exact.length === 1) return exact[0];
+    const partial = calendars.filter(calendar => calendar.name.toLowerCase().includes(needle));
+    return partial.length === 1 ? partial[0] : null;
 }
 
-function getCalendarClient() {
-    if (!calendarTokens) {
-        throw new Error('User not authenticated. Calendar tokens are missing.');
+// Works out which calendar a command writes to and which ones it reads from. A spoken calendar
+// name wins for both; otherwise writes go to the default (the user's setting, then DEFAULT_CALENDAR,
+// then primary) and reads merge the selected calendars (the user's setting, else the ones shown in Google Calendar).
+// Returns { calendarId, calendarIds, calendars } to spread into the context, or { error } for an unknown name.
+async function resolveCalendarSelection(sessionId, { spokenName, defaultCalendar, selectedCalendars } = {}) {
+    const calendars = await listCalendars(sessionId);
+    const primary = calendars.find(calendar => calendar.primary) || calendars[0];
+    const describeAll = () => calendars.map(calendar => calendar.name).join(', ');
+
+    if (spokenName) {
+        const spoken = findCalendarByName(calendars, spokenName);
+        if (!spoken) return { error: `I couldn't find a calendar called '${spokenName}'. Your calendars are: ${describeAll()}.` };
+        return { calendarId: spoken.id, calendarIds: [spoken.id], calendars };
     }
-    const auth = getOAuth2Client();
-    auth.setCredentials(calendarTokens);
-    auth.on('tokens', (tokens) => {
-        if (tokens.refresh_token) {
-            calendarTokens.refresh_token = tokens.refresh_token;
-        }
-        console.log("Access token refreshed automatically.");
+
+    const configured = defaultCalendar || process.env.DEFAULT_CALENDAR;
+    const target = (configured && (calendars.find(calendar => calendar.id === configured) || findCalendarByName(calendars, configured))) || primary;
+    const selected = selectedCalendars?.length
+        ? calendars.filter(calendar => selectedCalendars.includes(calendar.id))
+        : calendars.filter(calendar => calendar.selected);
+    const calendarIds = [...new Set([target.id, ...selected.map(calendar => calendar.id)])];
+    return { calendarId: target.id, calendarIds, calendars };
+}
+
+function getCalendarId(context) {
+    return context.calendarId || 'primary';
+}
+
+function getReadCalendarIds(context) {
+    return context.calendarIds?.length ? context.calendarIds : [getCalendarId(context)];
+}
+
+function getCalendarName(context, calendarId) {
+    const match = (context.calendars || []).find(calendar => calendar.id === calendarId);
+    return match ? match.name : calendarId;
+}
+
+// Timed, opaque events overlapping [start, end), other than the event (or series) being moved
+async function findConflicts(calendar, { calendarIds = ['primary'], start, end, excludeEventId }) {
+    const events = await listEventsAcross(calendar, calendarIds, {
+        timeMin: start.toISOString(),
+        timeMax: end.toISOString(),
+        filter: event => (!excludeEventId || (event.id !== excludeEventId && event.recurringEventId !== excludeEventId)) && !!event.start.dateTime && event.transparency !== 'transparent' && event.status !== 'cancelled'
+    });
+    return events.filter(event => new Date(event.start.dateTime) < end && new Date(event.end.dateTime) > start);
+}
+
+// Builds the "book anyway / next free slot / cancel" clarification for an overlapping time
+async function buildConflictClarification(context, { conflicts, start, end, ignoreBusy = [] }) {
+    const { timeZone } = context;
+    const startDate = getLocalDate(start, timeZone);
+    const freeTime = await findFreeSlots(context, {
+        startDate,
+        endDate: addDays(startDate, 6),
+        durationMinutes: Math.round((end - start) / 60000),
+        notBefore: start.toISOString(),
+        ignoreBusy,
+        maxResults: 1
+    });
+    const nextFreeSlot = freeTime.slots[0] || null;
+    const conflictText = conflicts.map(event => `'${event.summary}' at ${formatTime(event.start.dateTime, timeZone)}`).join(', ');
+    const options = [{ id: 'book', label: 'Book anyway' }];
+    if (nextFreeSlot) options.push({ id: 'next', label: `Next free slot: ${nextFreeSlot.label}` });
+    options.push({ id: 'cancel', label: 'Cancel' });
+
+    return {
+        type: 'conflict',
+        message: `That time overlaps with ${conflictText}. Say "book anyway"${nextFreeSlot ? `, "next free slot" (${nextFreeSlot.label})` : ''} or "cancel".`,
+        options,
+        conflicts: conflicts.map(event => ({ id: event.id, title: event.summary, startTime: formatTime(event.start.dateTime, timeZone) })),
+        nextFreeSlot
+    };
+}
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+function toRRuleTimestamp(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// recurrence: { frequency: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY', interval, byDay: ['MO', ...], until: 'YYYY-MM-DD', count }
+function buildRecurrenceRule(recurrence, timeZone) {
+    const parts = [`FREQ=${recurrence.frequency.toUpperCase()}`];
+    if (recurrence.interval > 1) parts.push(`INTERVAL=${recurrence.interval}`);
+    const byDay = (recurrence.byDay || []).map(day => day.slice(0, 2).toUpperCase()).filter(day => WEEKDAY_CODES.includes(day));
+    if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+    if (recurrence.until) {
+        // UNTIL is inclusive of the whole last day in the user's zone
+        parts.push(`UNTIL=${toRRuleTimestamp(new Date(getDayWindow(recurrence.until, timeZone).timeMax).getTime() - 1000)}`);
+    } else if (recurrence.count) {
+        parts.push(`COUNT=${recurrence.count}`);
+    }
+    return `RRULE:${parts.join(';')}`;
+}
+
+function describeRecurrence(recurrence) {
+    const every = recurrence.interval > 1 ? `every ${recurrence.interval} ${{ DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' }[recurrence.frequency.toUpperCase()]}` : recurrence.frequency.toLowerCase();
+    const dayNames = { SU: 'Sunday', MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday' };
+    const days = recurrence.byDay?.length ? ` on ${recurrence.byDay.map(day => dayNames[day.slice(0, 2).toUpperCase()] || day).join(', ')}` : '';
+    const end = recurrence.until ? ` until ${formatDate(recurrence.until)}` : recurrence.count ? ` for ${recurrence.count} occurrences` : '';
+    return `${every}${days}${end}`;
+}
+
+function recurrenceScopeClarification(events) {
+    const titles = [...new Set(events.map(event => `'${event.summary}'`))].join(', ');
+    return {
+        type: 'recurrenceScope',
+        message: `${titles} ${events.length === 1 ? 'is a recurring event' : 'include recurring events'}. Should I apply this to "this occurrence", "this and following" occurrences, or "the whole series"?`,
+        options: [
+            { id: 'this', label: 'This occurrence' },
+            { id: 'following', label: 'This and following' },
+            { id: 'all', label: 'The whole series' }
+        ]
+    };
+}
+
+// Ends a recurring series just before the given occurrence, keeping everything earlier.
+async function truncateSeries(calendar, calendarId, masterId, occurrenceStart) {
+    const master = (await calendar.events.get({ calendarId, eventId: masterId })).data;
+    const until = toRRuleTimestamp(new Date(new Date(occurrenceStart).getTime() - 1000));
+    const recurrence = (master.recurrence || []).map(rule => rule.startsWith('RRULE:')
+        ? `${rule.split(';').filter(part => !/^(UNTIL|COUNT)=/.test(part)).join(';')};UNTIL=${until}`
+        : rule);
+    await calendar.events.patch({ calendarId, eventId: masterId, resource: { recurrence }, sendUpdates: getSendUpdatesPolicy() });
+    return master;
+}
+
+// Copies a series into a new one starting at the given occurrence, so "this and following"
+// edits can be applied to it. COUNT rules keep only the occurrences that were still remaining.
+// Returns the new series and the original master (before it was truncated).
+async function splitSeries(calendar, calendarId, instance) {
+    const occurrenceStart = instance.originalStartTime?.dateTime || instance.start.dateTime;
+    const master = (await calendar.events.get({ calendarId, eventId: instance.recurringEventId })).data;
+    let recurrence = master.recurrence || [];
+    const countRule = recurrence.find(rule => /COUNT=\d+/.test(rule));
+    if (countRule) {
+        const earlier = await calendar.events.instances({ calendarId, eventId: master.id, timeMax: new Date(occurrenceStart).toISOString() });
+        const remaining = Math.max(parseInt(countRule.match(/COUNT=(\d+)/)[1], 10) - (earlier.data.items || []).length, 1);
+        recurrence = recurrence.map(rule => rule.replace(/COUNT=\d+/, `COUNT=${remaining}`));
+    }
+
+    const response = await calendar.events.insert({
+        calendarId,
+        resource: {
+            summary: master.summary,
+            description: master.description,
+            location: master.location,
+            attendees: master.attendees,
+            reminders: master.reminders,
+            recurrence,
+            start: { dateTime: instance.start.dateTime, timeZone: master.start.timeZone },
+            end: { dateTime: instance.end.dateTime, timeZone: master.end.timeZone }
+        },
+        sendUpdates: 'none'
     });
-    return google.calendar({ version: 'v3', auth });
+    await truncateSeries(calendar, calendarId, master.id, occurrenceStart);
+    return { series: response.data, master };
+}
+
+// Fields Google sets itself; they are dropped when an event is re-created from a snapshot
+const SERVER_FIELDS = ['id', 'etag', 'htmlLink', 'iCalUID', 'created', 'updated', 'sequence', 'kind', 'creator', 'organizer', 'status', 'recurringEventId', 'originalStartTime', 'hangoutLink', 'conferenceData'];
+
+// An event a command created, updated or deleted, so the agenda can highlight it
+function describeChangedEvent(change, calendarId, event) {
+    return {
+        change,
+        id: event.id,
+        calendarId,
+        title: event.summary,
+        start: event.start?.dateTime || event.start?.date,
+        end: event.end?.dateTime || event.end?.date
+    };
 }
 
-async function createCalendarEvent(details) {
+function snapshotEvent(event) {
+    return JSON.parse(JSON.stringify(event));
+}
+
+function withoutServerFields(event) {
+    const resource = { ...event };
+    for (const field of SERVER_FIELDS) delete resource[field];
+    return resource;
+}
+
+// Reverts a change using the steps recorded when it was made (see the 'undo' arrays returned by
+// modifyCalendarEvent and deleteCalendarEvents). Steps run in order:
+// { type: 'recreate', event } | { type: 'restore', eventId, event } | { type: 'restoreRecurrence', eventId, recurrence } | { type: 'delete', eventId },
+// each with the calendarId it applies to
+async function undoCalendarChanges({ sessionId, onProgress }, steps) {
+    console.log('undoCalendarChanges input:', steps.map(step => step.type));
+    try {
+        const calendar = await getCalendarClient(sessionId);
+        const sendUpdates = getSendUpdatesPolicy();
+        for (const [index, step] of steps.entries()) {
+            if (step.type === 'recreate') {
+                await calendar.events.insert({ calendarId: step.calendarId || 'primary', resource: withoutServerFields(step.event), sendUpdates });
+            } else if (step.type === 'restore') {
+                await calendar.events.update({ calendarId: step.calendarId || 'primary', eventId: step.eventId, resource: step.event, sendUpdates });
+            } else if (step.type === 'restoreRecurrence') {
+                await calendar.events.patch({ calendarId: step.calendarId || 'primary', eventId: step.eventId, resource: { recurrence: step.recurrence }, sendUpdates });
+            } else if (step.type === 'delete') {
+                await calendar.events.delete({ calendarId: step.calendarId || 'primary', eventId: step.eventId, sendUpdates: 'none' });
+            }
+            onProgress?.({ stage: 'progress', done: index + 1, total: steps.length, message: `Undoing ${index + 1} of ${steps.length}...` });
+        }
+        const result = { status: 'success' };
+        console.log('undoCalendarChanges output:', result);
+        return result;
+    } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
+        console.error("Error undoing calendar change:", error.message);
+        const errorResult = { status: 'error', message: `Failed to undo the last change: ${error.message}` };
+        console.log('undoCalendarChanges output:', errorResult);
+        return errorResult;
+    }
+}
+
+// Pass { allowConflicts: true } to skip the overlap check (the user chose "book anyway").
+async function createCalendarEvent(context, details, { allowConflicts = false } = {}) {
+    const { sessionId, timeZone } = context;
     try {
-        const calendar = getCalendarClient();
+        const calendar = await getCalendarClient(sessionId);
+        const { resolved: attendees, unresolved } = resolveAttendees(details.attendees);
+        if (unresolved.length > 0) {
+            const result = { clarificationNeeded: unresolvedAttendeesClarification(unresolved) };
+            console.log('createCalendarEvent output:', result);
+            return result;
+        }
+
         const startDateTime = `${details.date}T${details.startTime}`;
-        const endDateTime = details.endTime ? `${details.date}T${details.endTime}` : null;
-        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        let endDateTime = details.endTime ? `${details.date}T${details.endTime}` : null;
+        const startInstant = zonedTimeToUtc(details.date, details.startTime, timeZone);
+        let endInstant;
+
+        if (endDateTime) {
+            endInstant = zonedTimeToUtc(details.date, details.endTime, timeZone);
+        } else {
+            // Default to one hour, computed on the instant so it rolls over midnight correctly
+            endInstant = new Date(startInstant.getTime() + 60 * 60 * 1000);
+            endDateTime = `${getLocalDate(endInstant, timeZone)}T${getLocalTime(endInstant, timeZone)}`;
+        }
+
+        if (!allowConflicts) {
+            const conflicts = await findConflicts(calendar, { calendarIds: getReadCalendarIds(context), start: startInstant, end: endInstant });
+            if (conflicts.length > 0) {
+                const result = { clarificationNeeded: await buildConflictClarification(context, { conflicts, start: startInstant, end: endInstant }) };
+                console.log('createCalendarEvent output:', result);
+                return result;
+            }
+        }
 
         const event = {
             summary: details.title,
             description: details.description || null,
             start: { dateTime: startDateTime, timeZone },
-            end: { dateTime: endDateTime || startDateTime, timeZone },
+            end: { dateTime: endDateTime, timeZone },
         };
+        if (attendees.length > 0) event.attendees = attendees;
+        if (details.recurrence?.frequency) event.recurrence = [buildRecurrenceRule(details.recurrence, timeZone)];
 
-        if (!endDateTime) {
-            const startTimeObj = new Date(startDateTime);
-            startTimeObj.setHours(startTimeObj.getHours() + 1);
-            event.end.dateTime = startTimeObj.toISOString();
-        }
-
-        const response = await calendar.events.insert({ calendarId: 'primary', resource: event });
+        const calendarId = getCalendarId(context);
+        const response = await calendar.events.insert({ calendarId, resource: event, sendUpdates: getSendUpdatesPolicy() });
         return {
             status: 'success',
             title: response.data.summary,
+            calendar: getCalendarName(context, calendarId),
             htmlLink: response.data.htmlLink,
             start: response.data.start.dateTime,
+            guests: describeGuests(response.data.attendees),
+            recurrence: details.recurrence?.frequency ? describeRecurrence(details.recurrence) : null,
+            changedEvents: [describeChangedEvent('created', calendarId, response.data)]
         };
     } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
         console.error("Error creating calendar event:", error.message);
         throw new Error(`Failed to create event: ${error.message}`);
     }
 }
 
-async function queryCalendarEvents(targetDate, eventName = null) {
-    try {
-        const calendar = getCalendarClient();
-        const timeMin = new Date(`${targetDate}T00:00:00Z`).toISOString();
-        const timeMax = new Date(`${targetDate}T23:59:59Z`).toISOString();
+const MAX_LOOKAHEAD_DAYS = 365;
 
+// Pages through events.list so busy ranges are never silently truncated. With a limit,
+// stops as soon as enough events have passed the filter.
+async function listEvents(calendar, { calendarId = 'primary', timeMin, timeMax, q, filter = () => true, limit = null }) {
+    const results = [];
+    let pageToken;
+    do {
         const response = await calendar.events.list({
-            calendarId: 'primary',
-            timeMin: timeMin,
-            timeMax: timeMax,
-            maxResults: 10,
+            calendarId,
+            timeMin,
+            timeMax,
+            maxResults: 250,
             singleEvents: true,
             orderBy: 'startTime',
-            q: eventName, // Search by event name if provided
+            q,
+            pageToken
+        });
+        results.push(...(response.data.items || []).filter(filter));
+        pageToken = response.data.nextPageToken;
+    } while (pageToken && (!limit || results.length < limit));
+    return limit ? results.slice(0, limit) : results;
+}
+
+// Lists events from several calendars as one list sorted by start, tagging each with its calendarId
+async function listEventsAcross(calendar, calendarIds, options) {
+    const perCalendar = await Promise.all(calendarIds.map(async calendarId =>
+        (await listEvents(calendar, { ...options, calendarId })).map(event => ({ ...event, calendarId }))));
+    const merged = perCalendar.flat().sort((a, b) =>
+        new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date));
+    return options.limit ? merged.slice(0, options.limit) : merged;
+}
+
+function matchesAttendee(event, attendee) {
+    const needle = attendee.toLowerCase();
+    const attendees = event.attendees || [];
+    return attendees.some(a => (a.email || '').toLowerCase().includes(needle) || (a.displayName || '').toLowerCase().includes(needle))
+        || (event.summary || '').toLowerCase().includes(needle);
+}
+
+// queryDetails: { targetDate } for one day, { startDate, endDate } for an inclusive range, or
+// { nextCount } for the next N upcoming events. keyword and attendee narrow any of these.
+async function queryCalendarEvents(context, queryDetails = {}) {
+    const { sessionId, timeZone } = context;
+    try {
+        const calendar = await getCalendarClient(sessionId);
+        const { keyword, attendee, nextCount } = queryDetails;
+        let startDate = queryDetails.startDate || queryDetails.targetDate;
+        let endDate = queryDetails.endDate || startDate;
+        let timeMin, timeMax, rangeText;
+
+        if (nextCount && !queryDetails.startDate && !queryDetails.targetDate) {
+            timeMin = new Date().toISOString();
+            timeMax = getDayWindow(addDays(getTodayInZone(timeZone), MAX_LOOKAHEAD_DAYS), timeZone).timeMax;
+            rangeText = 'coming up';
+        } else {
+            startDate = startDate || getTodayInZone(timeZone);
+            endDate = endDate || startDate;
+            if (endDate < startDate) [startDate, endDate] = [endDate, startDate];
+            timeMin = getDayWindow(startDate, timeZone).timeMin;
+            timeMax = getDayWindow(endDate, timeZone).timeMax;
+            rangeText = startDate === endDate ? `on ${formatDate(startDate)}` : `from ${formatDate(startDate)} to ${formatDate(endDate)}`;
+        }
+
+        const calendarIds = getReadCalendarIds(context);
+        const events = await listEventsAcross(calendar, calendarIds, {
+            timeMin,
+            timeMax,
+            q: keyword || undefined, // Free-text search on title, description, location and attendees
+            filter: attendee ? event => matchesAttendee(event, attendee) : undefined,
+            limit: nextCount || null
         });
 
-        const events = response.data.items || [];
+        const filterText = `${keyword ? ` matching '${keyword}'` : ''}${attendee ? ` with ${attendee}` : ''}`;
         if (events.length === 0) {
-            return { status: 'success', message: `No events found on ${new Date(targetDate).toDateString()} matching '${eventName || 'any'}'. You are free!`, events: [] };
+            return { status: 'success', message: `No events found ${rangeText}${filterText}. You are free!`, events: [] };
         }
 
-        let summary = `On ${new Date(targetDate).toDateString()}, you have ${events.length} events:\n`;
-        const eventList = events.map((event, index) => {
+        const eventList = events.map(event => {
             const start = event.start.dateTime || event.start.date;
-            const startTime = new Date(start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-            const eventInfo = `${index + 1}. ${event.summary} at ${startTime}`;
-            summary += `${eventInfo}\n`;
-            return { id: event.id, title: event.summary, startTime, date: targetDate, startDateTime: start };
+            const startTime = event.start.dateTime ? formatTime(start, timeZone) : 'all day';
+            const date = event.start.dateTime ? getLocalDate(start, timeZone) : event.start.date;
+            const attendees = (event.attendees || []).map(a => a.displayName || a.email);
+            const endDateTime = event.end?.dateTime || event.end?.date || start;
+            return { id: event.id, calendarId: event.calendarId, calendar: getCalendarName(context, event.calendarId), title: event.summary, startTime, date, startDateTime: start, endDateTime, allDay: !event.start.dateTime, attendees };
         });
+        // Name the source calendar only when several are merged
+        const source = event => calendarIds.length > 1 ? ` (${event.calendar})` : '';
+
+        const countText = `${eventList.length} event${eventList.length === 1 ? '' : 's'}`;
+        let summary;
+        if (startDate && startDate === endDate) {
+            summary = `On ${formatDate(startDate)}, you have ${countText}${filterText}:\n`;
+            eventList.forEach((event, index) => {
+                summary += `${index + 1}. ${event.title} at ${event.startTime}${source(event)}\n`;
+            });
+        } else {
+            summary = nextCount
+                ? `Your next ${eventList.length === 1 ? 'event' : countText}${filterText}:\n`
+                : `From ${formatDate(startDate)} to ${formatDate(endDate)}, you have ${countText}${filterText}.\n`;
+            // Group by day so the spoken summary reads one day at a time
+            let currentDate = null;
+            for (const event of eventList) {
+                if (event.date !== currentDate) {
+                    currentDate = event.date;
+                    summary += `${formatDate(currentDate)}:\n`;
+                }
+                summary += `- ${event.title} at ${event.startTime}${source(event)}\n`;
+            }
+        }
         return { status: 'success', message: summary, events: eventList };
     } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
         console.error("Error querying calendar events:", error.message);
         throw new Error(`Failed to query events: ${error.message}`);
     }
 }
 
-async function modifyCalendarEvent(eventId, details) {
-    console.log('modifyCalendarEvent input:', { eventId, details });
+// Google Calendar's event colors by colorId, with the everyday names people say for them
+const EVENT_COLORS = {
+    1: ['lavender', 'light purple'],
+    2: ['sage', 'light green'],
+    3: ['grape', 'purple'],
+    4: ['flamingo', 'pink'],
+    5: ['banana', 'yellow'],
+    6: ['tangerine', 'orange'],
+    7: ['peacock', 'teal', 'turquoise', 'cyan'],
+    8: ['graphite', 'gray', 'grey'],
+    9: ['blueberry', 'blue'],
+    10: ['basil', 'green'],
+    11: ['tomato', 'red']
+};
+
+function findColorId(color) {
+    const needle = color.trim().toLowerCase();
+    const entry = Object.entries(EVENT_COLORS).find(([id, names]) => id === needle || names.includes(needle));
+    return entry ? entry[0] : null;
+}
+
+function describeColor(colorId) {
+    const name = EVENT_COLORS[colorId][0];
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function describeReminders(minutes) {
+    if (minutes.length === 0) return 'turned off reminders';
+    const spoken = minutes.map(value => value % 60 === 0 && value > 0 ? `${value / 60} hour${value === 60 ? '' : 's'}` : `${value} minutes`);
+    return `set reminders ${spoken.join(' and ')} before`;
+}
+
+// Pass { allowConflicts: true } to skip the overlap check (the user chose "book anyway"). For an
+// occurrence of a recurring event, recurrenceScope ('this', 'following' or 'all') says what to change.
+async function modifyCalendarEvent(context, eventId, details, { allowConflicts = false, recurrenceScope = null } = {}) {
+    const { sessionId, timeZone } = context;
+    console.log('modifyCalendarEvent input:', { eventId, details, timeZone, recurrenceScope });
     try {
-        const calendar = getCalendarClient();
-        const event = await calendar.events.get({ calendarId: 'primary', eventId });
+        const calendar = await getCalendarClient(sessionId);
+        const calendarId = getCalendarId(context);
+        const event = await calendar.events.get({ calendarId, eventId });
+
+        if (event.data.recurringEventId && recurrenceScope !== 'this') {
+            if (!recurrenceScope) {
+                const result = { clarificationNeeded: recurrenceScopeClarification([event.data]) };
+                console.log('modifyCalendarEvent output:', result);
+                return result;
+            }
+            if (recurrenceScope === 'all') {
+                // The series keeps its own dates; only times and other fields change
+                const { date, ...seriesDetails } = details;
+                return modifyCalendarEvent(context, event.data.recurringEventId, seriesDetails, { allowConflicts });
+            }
+            const { series, master } = await splitSeries(calendar, calendarId, event.data);
+            const result = await modifyCalendarEvent(context, series.id, details, { allowConflicts });
+            // Undoing drops the new series and lets the original one run on again
+            const undo = [
+                { type: 'delete', calendarId, eventId: series.id },
+                { type: 'restoreRecurrence', calendarId, eventId: master.id, recurrence: master.recurrence }
+            ];
+            if (result.status === 'success') {
+                result.undo = undo;
+            } else {
+                // A conflict, a bad value or an error: put the series back so a "cancel" leaves it
+                // untouched and a retry ("book anyway") splits it afresh
+                console.log('Rolling back the series split:', { series: series.id, master: master.id });
+                await undoCalendarChanges(context, undo);
+            }
+            return result;
+        }
         console.log('Current event:', {
             id: event.data.id,
             summary: event.data.summary,
@@ -118,68 +583,180 @@ async function modifyCalendarEvent(eventId, details) {
             description: event.data.description
         });
         const updatedEvent = { ...event.data };
+        const changes = [];
 
-        const timeZone = 'Asia/Kolkata'; // Standardize to IST
-        let startDateTime, endDateTime;
-
-        // Calculate original duration
-        const originalStart = new Date(updatedEvent.start.dateTime);
-        const originalEnd = updatedEvent.end.dateTime ? new Date(updatedEvent.end.dateTime) : new Date(originalStart.getTime() + 60 * 60 * 1000); // Default 1 hour
-        const originalDuration = (originalEnd - originalStart) / (1000 * 60); // Duration in minutes
-
-        // Update start time and date
-        if (details.date || details.startTime) {
-            const currentStartDate = new Date(updatedEvent.start.dateTime).toISOString().split('T')[0];
-            const currentStartTime = new Date(updatedEvent.start.dateTime).toISOString().split('T')[1].slice(0, 8);
-            startDateTime = `${details.date || currentStartDate}T${details.startTime || currentStartTime}`;
-            updatedEvent.start = { dateTime: startDateTime, timeZone };
-        } else {
-            startDateTime = updatedEvent.start.dateTime;
+        if (details.color) {
+            const colorId = findColorId(details.color);
+            if (!colorId) {
+                const result = {
+                    clarificationNeeded: {
+                        message: `Google Calendar doesn't have a '${details.color}' color. Try one of: ${Object.values(EVENT_COLORS).map(names => names[names.length - 1]).join(', ')}.`,
+                        options: []
+                    }
+                };
+                console.log('modifyCalendarEvent output:', result);
+                return result;
+            }
+            if (colorId !== updatedEvent.colorId) {
+                updatedEvent.colorId = colorId;
+                changes.push(`colored it ${describeColor(colorId)}`);
+            }
         }
 
-        // Update end time
-        if (details.endTime) {
-            const currentEndDate = updatedEvent.end.dateTime ? new Date(updatedEvent.end.dateTime).toISOString().split('T')[0] : details.date || new Date(updatedEvent.start.dateTime).toISOString().split('T')[0];
-            endDateTime = `${details.date || currentEndDate}T${details.endTime}`;
-            updatedEvent.end = { dateTime: endDateTime, timeZone };
-        } else if (startDateTime) {
-            // Adjust endTime to maintain original duration
-            const newStart = new Date(startDateTime);
-            endDateTime = new Date(newStart.getTime() + originalDuration * 60 * 1000).toISOString();
-            updatedEvent.end = { dateTime: endDateTime, timeZone };
-            console.log('Adjusted endTime to maintain duration:', { originalDuration, endDateTime });
-        } else {
-            endDateTime = updatedEvent.end.dateTime;
+        // Guests to add are resolved through contacts; guests to remove are matched against the current list
+        const guestChanges = [];
+        if (details.addAttendees?.length) {
+            const { resolved, unresolved } = resolveAttendees(details.addAttendees);
+            if (unresolved.length > 0) {
+                const result = { clarificationNeeded: unresolvedAttendeesClarification(unresolved) };
+                console.log('modifyCalendarEvent output:', result);
+                return result;
+            }
+            const existing = updatedEvent.attendees || [];
+            const added = resolved.filter(attendee => !existing.some(current => current.email.toLowerCase() === attendee.email.toLowerCase()));
+            updatedEvent.attendees = [...existing, ...added];
+            if (added.length > 0) guestChanges.push(`added ${describeGuests(added)}`);
         }
+        if (details.removeAttendees?.length) {
+            const needles = details.removeAttendees.map(name => name.trim().toLowerCase());
+            const existing = updatedEvent.attendees || [];
+            const removed = existing.filter(attendee => needles.some(needle =>
+                attendee.email.toLowerCase() === needle || (attendee.displayName || '').toLowerCase().includes(needle) || attendee.email.toLowerCase().startsWith(`${needle}@`)));
+            updatedEvent.attendees = existing.filter(attendee => !removed.includes(attendee));
+            if (removed.length > 0) guestChanges.push(`removed ${describeGuests(removed)}`);
+        }
+
+        // Times are only worked out when the command changes them; a rename or a new location leaves
+        // them alone, and all-day events have no times to read
+        const allDay = !updatedEvent.start.dateTime;
+        if (allDay && details.date && !details.startTime && !details.endTime) {
+            // An all-day event moves to the new day and keeps the number of days it spans
+            const span = Math.round((new Date(updatedEvent.end.date) - new Date(updatedEvent.start.date)) / (24 * 60 * 60 * 1000)) || 1;
+            const moved = details.date !== updatedEvent.start.date;
+            updatedEvent.start = { date: details.date };
+            updatedEvent.end = { date: addDays(details.date, span) };
+            if (moved) changes.unshift(`moved it to ${formatDate(details.date)}`);
+        } else if (details.date || details.startTime || details.endTime) {
+            // Calculate original duration. An all-day event given a time becomes a timed one, an hour
+            // long unless an end is given.
+            const originalStart = allDay ? zonedTimeToUtc(updatedEvent.start.date, '00:00:00', timeZone) : new Date(updatedEvent.start.dateTime);
+            const originalEnd = !allDay && updatedEvent.end.dateTime ? new Date(updatedEvent.end.dateTime) : new Date(originalStart.getTime() + 60 * 60 * 1000); // Default 1 hour
+            const originalDuration = originalEnd - originalStart; // Duration in milliseconds
+
+            // Current wall-clock values in the user's zone
+            const currentStartDate = getLocalDate(originalStart, timeZone);
+            const currentStartTime = getLocalTime(originalStart, timeZone);
+            const currentEndDate = getLocalDate(originalEnd, timeZone);
 
-        // Validate time range
-        console.log('Time range validation:', { startDateTime, endDateTime });
-        if (startDateTime && endDateTime) {
-            const start = new Date(startDateTime);
-            const end = new Date(endDateTime);
-            if (isNaN(start) || isNaN(end)) {
+            let newStart = originalStart;
+            let newEnd = originalEnd;
+
+            // Update start time and date
+            if (allDay || details.date || details.startTime) {
+                const startDate = details.date || currentStartDate;
+                const startTime = details.startTime || currentStartTime;
+                newStart = zonedTimeToUtc(startDate, startTime, timeZone);
+                updatedEvent.start = { dateTime: `${startDate}T${startTime}`, timeZone };
+            }
+
+            // Update end time
+            if (details.endTime) {
+                const endDate = details.date || (details.startTime ? getLocalDate(newStart, timeZone) : currentEndDate);
+                newEnd = zonedTimeToUtc(endDate, details.endTime, timeZone);
+                updatedEvent.end = { dateTime: `${endDate}T${details.endTime}`, timeZone };
+            } else if (allDay || details.date || details.startTime) {
+                // Adjust endTime to maintain original duration
+                newEnd = new Date(newStart.getTime() + originalDuration);
+                updatedEvent.end = { dateTime: `${getLocalDate(newEnd, timeZone)}T${getLocalTime(newEnd, timeZone)}`, timeZone };
+                console.log('Adjusted endTime to maintain duration:', { originalDuration, end: updatedEvent.end });
+            }
+
+            // Validate time range
+            console.log('Time range validation:', { newStart, newEnd });
+            if (isNaN(newStart) || isNaN(newEnd)) {
                 const result = {
                     clarificationNeeded: {
-                        message: `Invalid date or time format. Start: ${startDateTime}, End: ${endDateTime}. Please provide valid times (e.g., '9:00 PM').`,
+                        message: `Invalid date or time format. Start: ${updatedEvent.start.dateTime}, End: ${updatedEvent.end.dateTime}. Please provide valid times (e.g., '9:00 PM').`,
                         options: []
                     }
                 };
                 console.log('modifyCalendarEvent output:', result);
                 return result;
             }
-            if (start >= end) {
+            if (newStart >= newEnd) {
                 const result = {
                     clarificationNeeded: {
-                        message: `The time range from ${details.startTime || new Date(updatedEvent.start.dateTime).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })} to ${details.endTime || new Date(endDateTime).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })} is invalid. Please provide an end time after the start time (e.g., 'modify product meeting to start at 9:00 PM and end at 10:00 PM').`,
+                        type: 'timeRange',
+                        message: `The time range from ${formatTime(newStart, timeZone)} to ${formatTime(newEnd, timeZone)} is invalid. Please provide an end time after the start time (e.g., 'modify product meeting to start at 9:00 PM and end at 10:00 PM').`,
                         options: []
                     }
                 };
                 console.log('modifyCalendarEvent output:', result);
                 return result;
             }
-        }
 
-        if (details.description) updatedEvent.description = details.description;
+            const timeChanged = newStart.getTime() !== originalStart.getTime() || newEnd.getTime() !== originalEnd.getTime();
+            if (timeChanged && !allowConflicts) {
+                const conflicts = await findConflicts(calendar, { calendarIds: getReadCalendarIds(context), start: newStart, end: newEnd, excludeEventId: eventId });
+                if (conflicts.length > 0) {
+                    const result = {
+                        clarificationNeeded: await buildConflictClarification(context, {
+                            conflicts,
+                            start: newStart,
+                            end: newEnd,
+                            ignoreBusy: allDay ? [] : [{ start: originalStart.toISOString(), end: originalEnd.toISOString() }]
+                        })
+                    };
+                    console.log('modifyCalendarEvent output:', result);
+                    return result;
+                }
+            }
+
+            if (timeChanged) {
+                const newDate = getLocalDate(newStart, timeZone);
+                const dateChanged = newDate !== currentStartDate;
+                changes.unshift(`moved it to ${dateChanged ? `${formatDate(newDate)} at ` : ''}${formatTime(newStart, timeZone)}`);
+            }
+        }
+        if (details.newTitle && details.newTitle !== updatedEvent.summary) {
+            updatedEvent.summary = details.newTitle;
+            changes.push(`renamed it to '${details.newTitle}'`);
+        }
+        if (details.location && details.location !== updatedEvent.location) {
+            updatedEvent.location = details.location;
+            changes.push(`set the location to ${details.location}`);
+        }
+        if (details.description && details.description !== updatedEvent.description) {
+            updatedEvent.description = details.description;
+            changes.push('updated the description');
+        }
+        // Reminders on the calendar's defaults always count as a change; explicit ones only if the minutes differ
+        const currentReminders = updatedEvent.reminders?.useDefault === false
+            ? (updatedEvent.reminders.overrides || []).map(reminder => reminder.minutes).sort((a, b) => a - b)
+            : null;
+        if (Array.isArray(details.reminderMinutes)
+            && JSON.stringify(currentReminders) !== JSON.stringify([...details.reminderMinutes].sort((a, b) => a - b))) {
+            updatedEvent.reminders = {
+                useDefault: false,
+                overrides: details.reminderMinutes.map(minutes => ({ method: 'popup', minutes }))
+            };
+            changes.push(describeReminders(details.reminderMinutes));
+        }
+        // Google creates the Meet link asynchronously from this request; conferenceDataVersion must be 1
+        let addingConference = false;
+        if (details.addConference && !provider.supportsConferences) {
+            changes.push(`couldn't add a video link because the ${provider.displayName} doesn't support them`);
+        } else if (details.addConference) {
+            if (updatedEvent.hangoutLink || updatedEvent.conferenceData?.entryPoints?.length) {
+                changes.push(`kept its existing video link (${updatedEvent.hangoutLink || updatedEvent.conferenceData.entryPoints[0].uri})`);
+            } else {
+                updatedEvent.conferenceData = {
+                    createRequest: { requestId: crypto.randomUUID(), conferenceSolutionKey: { type: 'hangoutsMeet' } }
+                };
+                addingConference = true;
+            }
+        }
+        changes.push(...guestChanges);
 
         console.log('Updating event with:', {
             id: updatedEvent.id,
@@ -190,10 +767,16 @@ async function modifyCalendarEvent(eventId, details) {
         });
 
         const response = await calendar.events.update({
-            calendarId: 'primary',
+            calendarId,
             eventId,
-            resource: updatedEvent
+            resource: updatedEvent,
+            conferenceDataVersion: addingConference ? 1 : undefined,
+            sendUpdates: getSendUpdatesPolicy()
         });
+        if (addingConference) {
+            const link = response.data.hangoutLink || response.data.conferenceData?.entryPoints?.[0]?.uri;
+            changes.push(link ? `added a Google Meet link (${link})` : 'requested a Google Meet link');
+        }
         console.log('Google Calendar API response:', {
             id: response.data.id,
             summary: response.data.summary,
@@ -205,11 +788,17 @@ async function modifyCalendarEvent(eventId, details) {
 
         const result = {
             status: 'success',
-            message: `Event '${updatedEvent.summary}' modified successfully to start at ${new Date(updatedEvent.start.dateTime).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' })}.`
+            title: updatedEvent.summary,
+            undo: [{ type: 'restore', calendarId, eventId, event: snapshotEvent(event.data) }],
+            changedEvents: [describeChangedEvent('updated', calendarId, response.data)],
+            message: changes.length > 0
+                ? `Updated '${event.data.summary}': ${changes.join('; ')}.`
+                : `'${event.data.summary}' already matched that, so nothing changed.`
         };
         console.log('modifyCalendarEvent output:', result);
         return result;
     } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
         console.error('Error modifying calendar event:', error.message, error.stack);
         const errorResult = {
             clarificationNeeded: {
@@ -222,21 +811,49 @@ async function modifyCalendarEvent(eventId, details) {
     }
 }
 
-async function deleteCalendarEvents({ targetDate, startTime, endTime }) {
-    console.log('deleteCalendarEvents input:', { targetDate, startTime, endTime });
+function describeEventStart(event, timeZone) {
+    return event.start.dateTime ? formatTime(event.start.dateTime, timeZone) : 'all day';
+}
+
+// Dry-run preview of a delete: lists what would go and asks for a yes before anything is removed
+function deleteConfirmation(events, { day, range, recurrenceScope, timeZone, calendarName }) {
+    const listed = events.map(event => `'${event.summary}' (${describeEventStart(event, timeZone)})`).join(', ');
+    const hasRecurring = events.some(event => event.recurringEventId);
+    const seriesNote = hasRecurring && recurrenceScope === 'all' ? ' Recurring meetings will be removed for the whole series.'
+        : hasRecurring && recurrenceScope === 'following' ? ' Recurring meetings will also stop repeating after this day.' : '';
+    return {
+        type: 'confirmDelete',
+        message: `This will delete ${events.length} meeting${events.length === 1 ? '' : 's'} ${range}on ${day}${calendarName ? ` from your ${calendarName} calendar` : ''}: ${listed}.${seriesNote} Should I go ahead? Say "yes" or "cancel".`,
+        options: [
+            { id: 'yes', label: 'Yes, delete' },
+            { id: 'no', label: 'Cancel' }
+        ],
+        events: events.map(event => ({ id: event.id, title: event.summary, startTime: describeEventStart(event, timeZone) }))
+    };
+}
+
+// Nothing is deleted until the caller passes { confirmed: true }; before that the matching events
+// come back as a preview for the user to confirm.
+// For occurrences of recurring events, recurrenceScope ('this', 'following' or 'all') says what to delete.
+async function deleteCalendarEvents(context, { targetDate, startTime, endTime }, { recurrenceScope = null, confirmed = false } = {}) {
+    const { sessionId, timeZone } = context;
+    const calendarId = getCalendarId(context);
+    console.log('deleteCalendarEvents input:', { targetDate, startTime, endTime, timeZone, calendarId, recurrenceScope, confirmed });
+    // Every deleted payload is kept so the delete can be undone, even if a later one fails
+    const undo = [];
+    const changedEvents = [];
+    let deletedCount = 0;
     try {
-        const calendar = getCalendarClient();
-        const timeMin = new Date(`${targetDate}T00:00:00Z`).toISOString();
-        const timeMax = new Date(`${targetDate}T23:59:59Z`).toISOString();
+        const calendar = await getCalendarClient(sessionId);
+        const { timeMin, timeMax } = getDayWindow(targetDate, timeZone);
 
         // Validate time range if provided
         if (startTime && endTime) {
-            const startDateTime = new Date(`${targetDate}T${startTime}Z`);
-            const endDateTime = new Date(`${targetDate}T${endTime}Z`);
-            if (startDateTime >= endDateTime) {
+            if (startTime >= endTime) {
                 const result = {
                     clarificationNeeded: {
-                        message: `The time range from ${startTime} to ${endTime} is invalid or empty. Please provide a valid time range (e.g., 'between 4:00 pm and 6:00 pm').`,
+                        type: 'timeRange',
+                        message: `The time range from ${formatClockTime(startTime)} to ${formatClockTime(endTime)} is invalid or empty. Please provide a valid time range (e.g., 'between 4:00 pm and 6:00 pm').`,
                         options: []
                     }
                 };
@@ -246,6 +863,7 @@ async function deleteCalendarEvents({ targetDate, startTime, endTime }) {
         } else if (startTime || endTime) {
             const result = {
                 clarificationNeeded: {
+                    type: 'timeRange',
                     message: `Please provide both a start and end time for the range (e.g., 'between 4:00 pm and 6:00 pm').`,
                     options: []
                 }
@@ -254,64 +872,295 @@ async function deleteCalendarEvents({ targetDate, startTime, endTime }) {
             return result;
         }
 
-        // Query events for the target date
-        const response = await calendar.events.list({
-            calendarId: 'primary',
-            timeMin: timeMin,
-            timeMax: timeMax,
-            maxResults: 100,
-            singleEvents: true,
-            orderBy: 'startTime'
+        // Query events for the target date. With a time range, only timed events starting
+        // within it are deleted (compared in the user's zone)
+        const events = (await listEvents(calendar, { calendarId, timeMin, timeMax })).filter(event => {
+            if (!(startTime && endTime)) return true;
+            if (!event.start.dateTime) return false;
+            const eventStartTime = getLocalTime(event.start.dateTime, timeZone);
+            return eventStartTime >= startTime && eventStartTime < endTime;
         });
 
-        const events = response.data.items || [];
-        let deletedCount = 0;
+        const recurring = events.filter(event => event.recurringEventId);
+        if (recurring.length > 0 && !recurrenceScope) {
+            const result = { clarificationNeeded: recurrenceScopeClarification(recurring) };
+            console.log('deleteCalendarEvents output:', result);
+            return result;
+        }
 
-        for (const event of events) {
-            const eventStart = new Date(event.start.dateTime || event.start.date);
-            const eventStartTime = eventStart.toISOString().slice(11, 19); // Extract HH:MM:SS
+        const day = formatDate(targetDate);
+        const range = startTime && endTime ? `between ${formatClockTime(startTime)} and ${formatClockTime(endTime)} ` : '';
+        if (events.length > 0 && !confirmed) {
+            const result = { clarificationNeeded: deleteConfirmation(events, { day, range, recurrenceScope, timeZone, calendarName: (context.calendars || []).length > 1 ? getCalendarName(context, calendarId) : null }) };
+            console.log('deleteCalendarEvents output:', result);
+            return result;
+        }
 
-            // If time range is specified, only delete events within the range
-            if (startTime && endTime) {
-                if (eventStartTime >= startTime && eventStartTime < endTime) {
-                    await calendar.events.delete({ calendarId: 'primary', eventId: event.id });
-                    deletedCount++;
+        // A series is changed once, however many of its occurrences fall in the range
+        const handledSeries = new Set();
+        const targets = events.filter(event => {
+            if (!event.recurringEventId || recurrenceScope === 'this') return true;
+            if (handledSeries.has(event.recurringEventId)) return false;
+            handledSeries.add(event.recurringEventId);
+            return true;
+        });
+        if (targets.length > 0) {
+            const summary = `Deleting ${targets.length} meeting${targets.length === 1 ? '' : 's'} ${range}on ${day}.`;
+            context.onProgress?.({ stage: 'matched', count: targets.length, summary, message: summary });
+        }
+
+        for (const event of targets) {
+            if (event.recurringEventId && recurrenceScope !== 'this') {
+                if (recurrenceScope === 'all') {
+                    const master = (await calendar.events.get({ calendarId, eventId: event.recurringEventId })).data;
+                    await calendar.events.delete({ calendarId, eventId: master.id, sendUpdates: getSendUpdatesPolicy() });
+                    undo.push({ type: 'recreate', calendarId, event: snapshotEvent(master) });
+                } else {
+                    const master = await truncateSeries(calendar, calendarId, event.recurringEventId, event.originalStartTime?.dateTime || event.start.dateTime || event.start.date);
+                    undo.push({ type: 'restoreRecurrence', calendarId, eventId: master.id, recurrence: master.recurrence });
                 }
             } else {
-                // Delete all events on the target date
-                await calendar.events.delete({ calendarId: 'primary', eventId: event.id });
-                deletedCount++;
+                await calendar.events.delete({ calendarId, eventId: event.id, sendUpdates: getSendUpdatesPolicy() });
+                undo.push({ type: 'recreate', calendarId, event: snapshotEvent(event) });
             }
+            changedEvents.push(describeChangedEvent('deleted', calendarId, event));
+            deletedCount++;
+            context.onProgress?.({ stage: 'progress', done: deletedCount, total: targets.length, title: event.summary, message: `Deleted '${event.summary}' (${deletedCount} of ${targets.length})` });
         }
 
         const result = {
             status: 'success',
+            deletedCount,
+            undo,
+            changedEvents,
             message: deletedCount > 0
-                ? startTime && endTime
-                    ? `Deleted ${deletedCount} meeting${deletedCount === 1 ? '' : 's'} between ${startTime} and ${endTime} on ${new Date(targetDate).toDateString()}.`
-                    : `Deleted ${deletedCount} meeting${deletedCount === 1 ? '' : 's'} on ${new Date(targetDate).toDateString()}.`
-                : startTime && endTime
-                    ? `No meetings found between ${startTime} and ${endTime} on ${new Date(targetDate).toDateString()}.`
-                    : `No meetings found on ${new Date(targetDate).toDateString()}.`
+                ? `Deleted ${deletedCount} meeting${deletedCount === 1 ? '' : 's'} ${range}on ${day}.`
+                : `No meetings found ${range}on ${day}.`
         };
         console.log('deleteCalendarEvents output:', result);
         return result;
     } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
         console.error("Error deleting calendar events:", error.message);
-        const errorResult = { clarificationNeeded: { message: `Failed to delete events: ${error.message}`, options: [] } };
+        const alreadyDeleted = deletedCount > 0
+            ? ` ${deletedCount} meeting${deletedCount === 1 ? ' was' : 's were'} already deleted; say "undo" to bring ${deletedCount === 1 ? 'it' : 'them'} back.`
+            : '';
+        const errorResult = {
+            clarificationNeeded: { message: `Failed to delete events: ${error.message}.${alreadyDeleted}`, options: [] },
+            deletedCount,
+            undo,
+            changedEvents
+        };
         console.log('deleteCalendarEvents output:', errorResult);
         return errorResult;
     }
 }
 
+// Deletes one event picked by name. A cancellation note for the guests is written into the
+// description first, so Google's cancellation email carries it.
+async function deleteCalendarEvent(context, eventId, { recurrenceScope = null, note = null } = {}) {
+    const { sessionId, timeZone } = context;
+    console.log('deleteCalendarEvent input:', { eventId, recurrenceScope, note });
+    try {
+        const calendar = await getCalendarClient(sessionId);
+        const calendarId = getCalendarId(context);
+        const event = (await calendar.events.get({ calendarId, eventId })).data;
+
+        if (event.recurringEventId && !recurrenceScope) {
+            const result = { clarificationNeeded: recurrenceScopeClarification([event]) };
+            console.log('deleteCalendarEvent output:', result);
+            return result;
+        }
+
+        const when = `${formatDate(getLocalDate(event.start.dateTime || event.start.date, timeZone))}${event.start.dateTime ? ` at ${formatTime(event.start.dateTime, timeZone)}` : ''}`;
+        if (event.recurringEventId && recurrenceScope === 'following') {
+            const master = await truncateSeries(calendar, calendarId, event.recurringEventId, event.originalStartTime?.dateTime || event.start.dateTime || event.start.date);
+            const result = {
+                status: 'success',
+                title: event.summary,
+                undo: [{ type: 'restoreRecurrence', calendarId, eventId: master.id, recurrence: master.recurrence }],
+                changedEvents: [describeChangedEvent('deleted', calendarId, event)],
+                message: `Cancelled '${event.summary}' from ${when} onwards.`
+            };
+            console.log('deleteCalendarEvent output:', result);
+            return result;
+        }
+
+        const target = event.recurringEventId && recurrenceScope === 'all'
+            ? (await calendar.events.get({ calendarId, eventId: event.recurringEventId })).data
+            : event;
+        const undo = [{ type: 'recreate', calendarId, event: snapshotEvent(target) }];
+        const guests = (target.attendees || []).filter(attendee => !attendee.self);
+        const notifyGuests = guests.length > 0 && getSendUpdatesPolicy() !== 'none';
+        if (note && notifyGuests) {
+            await calendar.events.patch({
+                calendarId,
+                eventId: target.id,
+                resource: { description: target.description ? `${note}\n\n${target.description}` : note },
+                sendUpdates: 'none'
+            });
+        }
+        await calendar.events.delete({ calendarId, eventId: target.id, sendUpdates: getSendUpdatesPolicy() });
+
+        const series = target !== event ? ' (the whole series)' : '';
+        const notified = notifyGuests ? ` I let ${describeGuests(guests)} know${note ? ` with your note: "${note}"` : ''}.` : '';
+        const result = {
+            status: 'success',
+            title: event.summary,
+            undo,
+            changedEvents: [describeChangedEvent('deleted', calendarId, event)],
+            message: `Cancelled '${event.summary}' on ${when}${series}.${notified}`
+        };
+        console.log('deleteCalendarEvent output:', result);
+        return result;
+    } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
+        console.error("Error deleting calendar event:", error.message);
+        const errorResult = { status: 'error', message: `Failed to delete event: ${error.message}` };
+        console.log('deleteCalendarEvent output:', errorResult);
+        return errorResult;
+    }
+}
+
+const MAX_FREE_TIME_DAYS = 14;
+const SLOT_STEP_MINUTES = 15;
+
+function getWorkingHours() {
+    return {
+        start: process.env.WORKDAY_START || '09:00',
+        end: process.env.WORKDAY_END || '17:00',
+        days: (process.env.WORKING_DAYS || '1,2,3,4,5').split(',').map(day => parseInt(day, 10))
+    };
+}
+
+function toClockTime(time) {
+    return time.length === 5 ? `${time}:00` : time;
+}
+
+function describeInterval(interval, timeZone) {
+    return `${formatTime(interval.start, timeZone)} to ${formatTime(interval.end, timeZone)}`;
+}
+
+// Finds open time within working hours using the Calendar freebusy API.
+// details: { startDate, endDate, durationMinutes, earliestTime, latestTime, maxResults, attendees }, plus
+// notBefore (ISO instant) and ignoreBusy ([{ start, end }] periods to treat as free, e.g. an event being moved).
+// attendees are names or emails whose calendars must be free too.
+async function findFreeSlots(context, details = {}) {
+    const { sessionId, timeZone } = context;
+    const calendarIds = getReadCalendarIds(context);
+    const { resolved: guests, unresolved } = resolveAttendees(details.attendees);
+    console.log('findFreeSlots input:', { details, timeZone, calendarIds, guests: guests.map(guest => guest.email) });
+    try {
+        const calendar = await getCalendarClient(sessionId);
+        const today = getTodayInZone(timeZone);
+        const durationMs = (details.durationMinutes || 30) * 60 * 1000;
+        const maxResults = details.maxResults || 3;
+        const workingHours = getWorkingHours();
+
+        let startDate = details.startDate && details.startDate > today ? details.startDate : today;
+        let endDate = details.endDate || startDate;
+        if (endDate < startDate) endDate = startDate;
+        if (endDate > addDays(startDate, MAX_FREE_TIME_DAYS - 1)) endDate = addDays(startDate, MAX_FREE_TIME_DAYS - 1);
+
+        // Working windows per day, narrowed by any requested part of the day and never in the past
+        const windows = [];
+        for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+            if (!workingHours.days.includes(getWeekday(date))) continue;
+            const from = [workingHours.start, details.earliestTime].filter(Boolean).map(toClockTime).sort().pop();
+            const to = [workingHours.end, details.latestTime].filter(Boolean).map(toClockTime).sort()[0];
+            let start = zonedTimeToUtc(date, from, timeZone);
+            const end = zonedTimeToUtc(date, to, timeZone);
+            const notBefore = new Date(Math.max(Date.now(), details.notBefore ? new Date(details.notBefore).getTime() : 0));
+            if (start < notBefore) {
+                const step = SLOT_STEP_MINUTES * 60 * 1000;
+                start = new Date(Math.ceil(notBefore.getTime() / step) * step);
+            }
+            if (end - start >= durationMs) windows.push({ date, start, end });
+        }
+
+        if (windows.length === 0) {
+            return { status: 'success', message: `There is no working time left between ${formatDate(startDate)} and ${formatDate(endDate)}.`, freeIntervals: [], slots: [] };
+        }
+
+        const response = await calendar.freebusy.query({
+            requestBody: {
+                timeMin: windows[0].start.toISOString(),
+                timeMax: windows[windows.length - 1].end.toISOString(),
+                timeZone,
+                items: [...calendarIds, ...guests.map(guest => guest.email)].map(id => ({ id }))
+            }
+        });
+        // Guests whose calendars aren't shared come back with errors instead of busy time
+        const unseen = [...unresolved, ...guests.filter(guest => response.data.calendars?.[guest.email]?.errors?.length).map(guest => guest.displayName || guest.email)];
+        // Busy time from every selected calendar and every guest counts; overlaps are handled by the sweep below
+        const ignored = (details.ignoreBusy || []).map(period => `${new Date(period.start).getTime()}-${new Date(period.end).getTime()}`);
+        const busy = [...calendarIds, ...guests.map(guest => guest.email)].flatMap(id => response.data.calendars?.[id]?.busy || [])
+            .map(period => ({ start: new Date(period.start), end: new Date(period.end) }))
+            .filter(period => !ignored.includes(`${period.start.getTime()}-${period.end.getTime()}`))
+            .sort((a, b) => a.start - b.start);
+
+        const freeIntervals = [];
+        for (const window of windows) {
+            let cursor = window.start;
+            for (const period of busy) {
+                if (period.end <= cursor || period.start >= window.end) continue;
+                if (period.start - cursor >= durationMs) freeIntervals.push({ date: window.date, start: cursor, end: period.start });
+                if (period.end > cursor) cursor = period.end;
+            }
+            if (window.end - cursor >= durationMs) freeIntervals.push({ date: window.date, start: cursor, end: window.end });
+        }
+
+        // Offer the start of each free interval, earliest first
+        const slots = freeIntervals.slice(0, maxResults).map((interval, index) => {
+            const slotEnd = new Date(interval.start.getTime() + durationMs);
+            return {
+                id: `${index + 1}`,
+                date: getLocalDate(interval.start, timeZone),
+                startTime: getLocalTime(interval.start, timeZone),
+                endTime: getLocalTime(slotEnd, timeZone),
+                label: `${formatDate(interval.date)} at ${formatTime(interval.start, timeZone)}`
+            };
+        });
+
+        const rangeText = startDate === endDate ? `on ${formatDate(startDate)}` : `between ${formatDate(startDate)} and ${formatDate(endDate)}`;
+        let message;
+        if (freeIntervals.length === 0) {
+            message = `You have no free ${details.durationMinutes || 30}-minute slot ${rangeText}.`;
+        } else {
+            const byDay = {};
+            for (const interval of freeIntervals) {
+                (byDay[interval.date] = byDay[interval.date] || []).push(describeInterval(interval, timeZone));
+            }
+            message = `${guests.length > 0 ? 'You and your guests are' : "You're"} free ${rangeText}: ${Object.entries(byDay).map(([date, intervals]) => `${formatDate(date)}, ${intervals.join(', ')}`).join('; ')}.`;
+        }
+        if (unseen.length > 0) message += ` I couldn't check the calendar of ${unseen.join(', ')}.`;
+        const result = { status: 'success', message, freeIntervals, slots };
+        console.log('findFreeSlots output:', result);
+        return result;
+    } catch (error) {
+        await rethrowIfReauthRequired(sessionId, error);
+        console.error("Error finding free time:", error.message);
+        throw new Error(`Failed to check free time: ${error.message}`);
+    }
+}
+
 module.exports = {
     getOAuth2Client,
+    getProviderInfo,
+    setCalendarProvider,
     setCalendarTokens,
     getCalendarClient,
     isAuthenticated,
+    revokeCalendarTokens,
+    listCalendars,
+    resolveCalendarSelection,
     createCalendarEvent,
     queryCalendarEvents,
     modifyCalendarEvent,
     deleteCalendarEvents,
-    SCOPES
+    deleteCalendarEvent,
+    undoCalendarChanges,
+    findFreeSlots,
+    SCOPES,
+    REAUTH_REQUIRED
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+// commandValidator.js
+
+const { Type } = require('@google/genai');
+const { resolveDate, parseSpokenTime, parseDuration } = require('./dateGrammar');
+
+// Checks a model's JSON against the response schema it was given and normalizes what it can:
+// "tomorrow" becomes a YYYY-MM-DD date, "3pm" becomes 15:00:00, "45" becomes 45, a string of
+// names becomes a list. Properties the schema doesn't know are dropped, and so are values that
+// can't be read; unreadable dates and times are reported in `problems` so the bot can ask for them.
+
+// Strings that carry a date or a time; everything else is kept as text
+const DATE_FIELDS = ['date', 'targetDate', 'startDate', 'endDate', 'until'];
+const TIME_FIELDS = ['startTime', 'endTime', 'earliestTime', 'latestTime'];
+
+// The fields that start and end a time range, checked so an event can't end before it starts
+const TIME_RANGES = [['startTime', 'endTime'], ['earliestTime', 'latestTime']];
+
+function normalizeDate(text, timeZone, now) {
+    // "2026-10-20T15:00:00Z" keeps its date
+    const isoDate = text.match(/^(\d{4}-\d{2}-\d{2})T/);
+    return resolveDate(isoDate ? isoDate[1] : text, timeZone, now);
+}
+
+function normalizeTime(text) {
+    const clock = text.match(/^(?:\d{4}-\d{2}-\d{2}T)?(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?$/);
+    if (clock) {
+        const [hours, minutes, seconds] = clock.slice(1).map(part => Number(part || 0));
+        // Models write "end of day" as 24:00
+        if (hours === 24 && minutes === 0) return '23:59:59';
+        if (hours > 23 || minutes > 59 || seconds > 59) return null;
+        return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+    }
+    return parseSpokenTime(text);
+}
+
+function describeKind(name) {
+    if (DATE_FIELDS.includes(name)) return 'date';
+    if (TIME_FIELDS.includes(name)) return 'time';
+    return null;
+}
+
+// Returns the normalized value, or undefined to leave the property out
+function normalizeValue(value, schema, name, context, path) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const reject = reason => {
+        console.log(`Dropping ${path.join('.')} from the model output (${reason}):`, JSON.stringify(value));
+        const kind = describeKind(name);
+        if (kind) context.problems.push({ section: path[0], field: name, value: String(value), kind });
+        return undefined;
+    };
+
+    switch (schema.type) {
+        case Type.STRING: {
+            if (typeof value !== 'string' && typeof value !== 'number') return reject('not text');
+            const text = String(value).trim();
+            if (!text) return undefined;
+            if (DATE_FIELDS.includes(name)) return normalizeDate(text, context.timeZone, context.now) || reject('not a date');
+            if (TIME_FIELDS.includes(name)) return normalizeTime(text) || reject('not a time');
+            if (schema.enum) return schema.enum.find(option => option.toLowerCase() === text.toLowerCase()) || reject(`not one of ${schema.enum.join(', ')}`);
+            return text;
+        }
+        case Type.INTEGER:
+        case Type.NUMBER: {
+            let number = typeof value === 'number' ? value : Number(String(value).trim());
+            // "45 minutes" or "an hour" for a length in minutes
+            if (Number.isNaN(number) && typeof value === 'string' && /minutes/i.test(name)) number = parseDuration(value) ?? NaN;
+            if (!Number.isFinite(number) || number < 0) return reject('not a number');
+            return schema.type === Type.INTEGER ? Math.round(number) : number;
+        }
+        case Type.BOOLEAN:
+            if (typeof value === 'boolean') return value;
+            if (/^(true|yes)$/i.test(String(value))) return true;
+            if (/^(false|no)$/i.test(String(value))) return false;
+            return reject('not true or false');
+        case Type.ARRAY: {
+            // A single value or "Alice, Bob and Carol" instead of a list
+            const items = Array.isArray(value) ? value
+                : typeof value === 'string' && schema.items.type === Type.STRING ? value.split(/\s*,\s*|\s+and\s+/i)
+                : [value];
+            return items.map((item, index) => normalizeValue(item, schema.items, name, context, [...path, index])).filter(item => item !== undefined);
+        }
+        case Type.OBJECT: {
+            if (typeof value !== 'object' || Array.isArray(value)) return reject('not an object');
+            const normalized = {};
+            for (const [key, propertyValue] of Object.entries(value)) {
+                const propertySchema = schema.properties?.[key];
+                if (!propertySchema) {
+                    console.log(`Dropping ${[...path, key].join('.')} from the model output (not in the schema)`);
+                    continue;
+                }
+                const normalizedValue = normalizeValue(propertyValue, propertySchema, key, context, [...path, key]);
+                if (normalizedValue !== undefined) normalized[key] = normalizedValue;
+            }
+            checkTimeRanges(normalized, context, path);
+            // Nested objects without their required parts (a recurrence without a frequency) are unusable;
+            // the top-level sections are checked by the caller, which can ask for what's missing
+            if (path.length > 1) {
+                const missing = (schema.required || []).filter(key => normalized[key] === undefined);
+                if (missing.length > 0) return reject(`missing ${missing.join(', ')}`);
+            }
+            return normalized;
+        }
+        default:
+            return value;
+    }
+}
+
+function checkTimeRanges(details, context, path) {
+    for (const [startField, endField] of TIME_RANGES) {
+        if (details[startField] && details[endField] && details[endField] <= details[startField]) {
+            console.log(`Dropping ${[...path, endField].join('.')} from the model output (not after ${startField}):`, details[endField]);
+            context.problems.push({ section: path[0], field: endField, value: details[endField], kind: 'time', reason: 'beforeStart' });
+            delete details[endField];
+        }
+    }
+}
+
+// Returns the command with every section normalized, plus `problems` listing the dates and times
+// that were dropped, e.g. [{ section: 'eventDetails', field: 'startTime', value: '3ish', kind: 'time' }].
+// An intent outside the schema's enum is removed.
+function validateCommand(raw, schema, { timeZone, now = new Date() } = {}) {
+    const context = { timeZone, now, problems: [] };
+    // The clarification options are shown as-is, so their display times aren't normalized
+    const { clarificationNeeded, ...rest } = raw && typeof raw === 'object' ? raw : {};
+    const command = normalizeValue(rest, schema, 'command', context, []) || {};
+    if (clarificationNeeded?.message) command.clarificationNeeded = clarificationNeeded;
+    if (context.problems.length > 0) command.problems = context.problems;
+    return command;
+}
+
+module.exports = { validateCommand };
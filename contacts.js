@@ -0,0 +1,54 @@
+// contacts.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Spoken guest names are resolved to email addresses through a local JSON file (CONTACTS_FILE,
+// default contacts.json) shaped like contacts.example.json:
+// [{ "name": "Bob Jones", "email": "bob@example.com", "aliases": ["Bob", "Bobby"] }]
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function loadContacts() {
+    const filePath = path.resolve(process.env.CONTACTS_FILE || 'contacts.json');
+    if (!fs.existsSync(filePath)) return [];
+    try {
+        const contacts = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        // An entry without a name or an email can't be matched or invited
+        const usable = contacts.filter(contact => typeof contact?.name === 'string' && typeof contact.email === 'string');
+        if (usable.length < contacts.length) console.error(`Skipping ${contacts.length - usable.length} contact(s) without a name or email in ${filePath}`);
+        return usable;
+    } catch (error) {
+        console.error(`Failed to read contacts file ${filePath}:`, error.message);
+        return [];
+    }
+}
+
+function findContact(contacts, name) {
+    const needle = name.trim().toLowerCase();
+    const exact = contacts.filter(contact =>
+        contact.name.toLowerCase() === needle || (contact.aliases || []).some(alias => alias.toLowerCase() === needle));
+    if (exact.length === 1) return exact[0];
+    // Fall back to a unique first-name match ("Carol" -> "Carol Smith")
+    const byFirstName = contacts.filter(contact => contact.name.toLowerCase().split(/\s+/)[0] === needle);
+    return byFirstName.length === 1 ? byFirstName[0] : null;
+}
+
+// Returns { resolved: [{ email, displayName }], unresolved: [name] }. Email addresses pass through as-is.
+function resolveAttendees(names = []) {
+    const contacts = loadContacts();
+    const resolved = [];
+    const unresolved = [];
+    for (const name of names) {
+        if (EMAIL_PATTERN.test(name.trim())) {
+            resolved.push({ email: name.trim().toLowerCase() });
+            continue;
+        }
+        const contact = findContact(contacts, name);
+        if (contact) resolved.push({ email: contact.email.trim().toLowerCase(), displayName: contact.name });
+        else unresolved.push(name);
+    }
+    return { resolved, unresolved };
+}
+
+module.exports = { resolveAttendees };
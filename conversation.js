@@ -0,0 +1,67 @@
+// conversation.js
+
+// Server-side conversation state per browser session. When the bot asks a follow-up question,
+// the paused action is stored here as { awaiting, intent, details, options, choices, ... } so the
+// next turn ("the second one", "make it 5 instead") can complete it.
+
+const PENDING_TTL = 5 * 60 * 1000; // 5 minutes
+
+// How long "undo that" can revert the last delete or modify (UNDO_WINDOW_MINUTES, default 10)
+function getUndoWindow() {
+    const minutes = parseInt(process.env.UNDO_WINDOW_MINUTES, 10);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 10) * 60 * 1000;
+}
+
+const conversations = new Map();
+
+function getPendingAction(sessionId) {
+    const conversation = conversations.get(sessionId);
+    if (!conversation?.pending) return null;
+    if (conversation.pending.expiresAt < Date.now()) {
+        conversation.pending = null;
+        return null;
+    }
+    return conversation.pending;
+}
+
+function setPendingAction(sessionId, pending) {
+    const conversation = conversations.get(sessionId) || {};
+    conversation.pending = { ...pending, expiresAt: Date.now() + PENDING_TTL };
+    conversations.set(sessionId, conversation);
+}
+
+function clearPendingAction(sessionId) {
+    const conversation = conversations.get(sessionId);
+    if (conversation) conversation.pending = null;
+}
+
+// The last undoable change is { description, steps }; steps are replayed by undoCalendarChanges
+function getLastChange(sessionId) {
+    const conversation = conversations.get(sessionId);
+    if (!conversation?.lastChange) return null;
+    if (conversation.lastChange.expiresAt < Date.now()) {
+        conversation.lastChange = null;
+        return null;
+    }
+    return conversation.lastChange;
+}
+
+function setLastChange(sessionId, change) {
+    const conversation = conversations.get(sessionId) || {};
+    conversation.lastChange = { ...change, expiresAt: Date.now() + getUndoWindow() };
+    conversations.set(sessionId, conversation);
+}
+
+function clearLastChange(sessionId) {
+    const conversation = conversations.get(sessionId);
+    if (conversation) conversation.lastChange = null;
+}
+
+module.exports = {
+    getPendingAction,
+    setPendingAction,
+    clearPendingAction,
+    getLastChange,
+    setLastChange,
+    clearLastChange
+};
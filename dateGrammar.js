@@ -0,0 +1,529 @@
+// dateGrammar.js
+
+// A small grammar for the dates, times, durations and repeat rules people say to the bot:
+// "next Friday at 3", "the 15th", "March 3rd", "in two hours", "from 3 to 4:30 pm", "for 45 minutes",
+// "every other Tuesday until December". Each rule is a regular expression built from the shared
+// terminals below plus a reader that turns the matched words into slots. parseDateTime scans a command
+// with every rule, keeps the longest match at each position and returns the slots together with the
+// words that were left over, which the intent parser uses for titles and event names.
+
+const { resolveTimeZone, getLocalDate, getLocalTime, addDays, getWeekday } = require('./timeUtils');
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty five': 45, forty: 40, ninety: 90
+};
+const HOUR_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+const MINUTE_WORDS = { fifteen: 15, thirty: 30, 'forty five': 45 };
+
+const WEEKDAY_NAMES = {
+    sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tues: 2, tue: 2, wednesday: 3, wed: 3,
+    thursday: 4, thurs: 4, thur: 4, thu: 4, friday: 5, fri: 5, saturday: 6, sat: 6
+};
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONTH_NAMES = {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+    july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+    november: 11, nov: 11, december: 12, dec: 12
+};
+
+// "first" ... "thirty first", for dates like "March third" or "the twenty first of May"
+const ORDINAL_DAYS = {};
+['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+    'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth', 'nineteenth']
+    .forEach((word, index) => { ORDINAL_DAYS[word] = index + 1; });
+ORDINAL_DAYS.twentieth = 20;
+['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth']
+    .forEach((word, index) => { ORDINAL_DAYS[`twenty ${word}`] = 21 + index; });
+ORDINAL_DAYS.thirtieth = 30;
+ORDINAL_DAYS['thirty first'] = 31;
+
+const DAY_PARTS = {
+    morning: { earliestTime: '09:00:00', latestTime: '12:00:00' },
+    afternoon: { earliestTime: '12:00:00', latestTime: '17:00:00' },
+    evening: { earliestTime: '17:00:00', latestTime: '21:00:00' }
+};
+
+// Longest words first so "forty five" wins over "forty"; spaces also match hyphens
+function alternatives(words) {
+    return words.slice().sort((a, b) => b.length - a.length).map(word => word.replace(/ /g, '[-\\s]')).join('|');
+}
+
+// Terminals
+const NUM = `(?:\\d+(?:\\.\\d+)?|${alternatives(Object.keys(NUMBER_WORDS))})`;
+const HOUR_WORD = `(?:${alternatives(HOUR_WORDS)})`;
+const MINUTE_WORD = `(?:${alternatives(Object.keys(MINUTE_WORDS))})`;
+const MERIDIEM = `\\s*(?:a\\.?m\\.?|p\\.?m\\.?)(?![a-z])`;
+const PART_SUFFIX = `(?:\\s+in\\s+the\\s+(?:morning|afternoon|evening)|\\s+at\\s+night)`;
+const WEEKDAY = `(?:${alternatives(Object.keys(WEEKDAY_NAMES))})`;
+const PLURAL_WEEKDAY = `(?:${alternatives(Object.keys(WEEKDAY_NAMES).filter(name => name.endsWith('day')).map(name => `${name}s`))})`;
+const MONTH = `(?:${alternatives(Object.keys(MONTH_NAMES))})\\.?`;
+const DAY_NUMBER = `(?:\\d{1,2}(?:st|nd|rd|th)?|${alternatives(Object.keys(ORDINAL_DAYS))})`;
+const YEAR = `(?:,?\\s+\\d{4})`;
+
+// Times: an explicit time can stand anywhere; a loose one ("at 3", "until 5") needs a word in front
+const SPECIAL_TIME = `noon|midday|midnight|(?:half|quarter)\\s+past\\s+(?:\\d{1,2}|${HOUR_WORD})|quarter\\s+(?:to|of)\\s+(?:\\d{1,2}|${HOUR_WORD})`;
+const EXPLICIT_TIME = `(?:(?:${SPECIAL_TIME})|(?:\\d{1,2}(?::\\d{2})?|${HOUR_WORD}(?:\\s+${MINUTE_WORD})?)(?:${MERIDIEM}|\\s+o'?clock)|\\d{1,2}:\\d{2})${PART_SUFFIX}?`;
+const LOOSE_TIME = `(?:${EXPLICIT_TIME}|\\d{1,2}(?::\\d{2})?${PART_SUFFIX}?|${HOUR_WORD}\\s+${MINUTE_WORD}${PART_SUFFIX}?)`;
+const SPOKEN_TIME = `(?:${LOOSE_TIME}|${HOUR_WORD}${PART_SUFFIX}?)`;
+const RANGE_SEPARATOR = `\\s*(?:-|–|to|until|till|through)\\s*`;
+
+// Dates
+const NAMED_DATE = `(?:the\\s+)?day\\s+after\\s+tomorrow|today|tonight|tomorrow|tmrw|yesterday`;
+const WEEKDAY_DATE = `(?:(?:this\\s+coming|this|next|coming)\\s+)?${WEEKDAY}(?:\\s+(?:of\\s+)?next\\s+week)?|next\\s+week\\s+(?:on\\s+)?${WEEKDAY}`;
+const MONTH_DATE = `${MONTH}\\s+(?:the\\s+)?${DAY_NUMBER}${YEAR}?|(?:the\\s+)?${DAY_NUMBER}\\s+(?:of\\s+)?${MONTH}${YEAR}?`;
+const NTH_DATE = `the\\s+\\d{1,2}(?:st|nd|rd|th)`;
+const NUMERIC_DATE = `\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?`;
+const RELATIVE_DATE = `in\\s+${NUM}\\s+(?:days?|weeks?)|${NUM}\\s+(?:days?|weeks?)\\s+from\\s+(?:now|today)`;
+const DATE = `(?:${NAMED_DATE}|${WEEKDAY_DATE}|${MONTH_DATE}|${NTH_DATE}|${NUMERIC_DATE}|${RELATIVE_DATE})`;
+
+const DURATION = `${NUM}\\s*-?\\s*(?:hours?|hrs?)(?:\\s+(?:and\\s+)?(?:a\\s+half|${NUM}\\s*-?\\s*(?:minutes?|mins?)))?|${NUM}\\s*-?\\s*(?:minutes?|mins?)|half\\s+an\\s+hour`;
+const WEEKDAY_LIST = `${WEEKDAY}s?(?:(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+)${WEEKDAY}s?)*`;
+
+const DATE_RULES = [
+    { pattern: NAMED_DATE, read: readDateSlots },
+    { pattern: WEEKDAY_DATE, read: readDateSlots },
+    { pattern: MONTH_DATE, read: readDateSlots },
+    { pattern: NTH_DATE, read: readDateSlots },
+    { pattern: NUMERIC_DATE, read: readDateSlots },
+    { pattern: RELATIVE_DATE, read: readDateSlots }
+];
+
+const RULES = [
+    ...DATE_RULES,
+    {
+        pattern: `in\\s+(?:${DURATION})|(?:${DURATION})\\s+from\\s+now`,
+        read: readRelativeTime
+    },
+    {
+        pattern: `this\\s+week(?:end)?|next\\s+week(?:end)?|(?:the\\s+)?(?:next|coming)\\s+${NUM}\\s+days|this\\s+month|next\\s+month|(?:the\\s+)?rest\\s+of\\s+(?:the|this)\\s+week`,
+        read: (text, context) => ({ range: readDateRange(text, context) })
+    },
+    { pattern: `before\\s+${DATE}`, read: (text, context) => ({ before: readDate(text.replace(/^before\s+/i, ''), context) }) },
+    { pattern: `(?:until|till|through)\\s+(?:${DATE}|${MONTH})`, read: readUntil },
+    { pattern: `(?:(?:this|in\\s+the)\\s+)?(?:morning|afternoon|evening)|tonight|at\\s+night`, read: readDayPart },
+    { pattern: EXPLICIT_TIME, read: text => readClockSlot('startClock', text) },
+    { pattern: `(?:at|@|around|by)\\s+${SPOKEN_TIME}`, read: text => readClockSlot('startClock', text) },
+    { pattern: `(?:to\\s+)?start(?:ing|s)?\\s+(?:at\\s+)?${SPOKEN_TIME}`, read: text => readClockSlot('startClock', text) },
+    { pattern: `(?:(?:to\\s+)?end(?:ing|s)?\\s+(?:at\\s+)?|until\\s+|till\\s+|til\\s+)${SPOKEN_TIME}`, read: text => readClockSlot('endClock', text) },
+    {
+        pattern: `(?:from|at)\\s+${SPOKEN_TIME}${RANGE_SEPARATOR}${SPOKEN_TIME}|between\\s+${SPOKEN_TIME}\\s+and\\s+${SPOKEN_TIME}|${LOOSE_TIME}\\s*(?:-|–|to|until|till)\\s*${EXPLICIT_TIME}|${EXPLICIT_TIME}${RANGE_SEPARATOR}${LOOSE_TIME}`,
+        read: readTimeRange
+    },
+    { pattern: `for\\s+(?:${DURATION})|(?:${DURATION})\\s+long`, read: text => ({ durationMinutes: parseDuration(text) }) },
+    {
+        pattern: `every\\s+(?:other\\s+)?(?:day|weekday|week|month|year|${WEEKDAY_LIST})|every\\s*day|every\\s+${NUM}\\s+(?:days|weeks|months)|each\\s+(?:day|week|month|${WEEKDAY})|daily|weekly|monthly|yearly|annually|fortnightly|biweekly|(?:on\\s+)?weekdays|(?:on\\s+)?${PLURAL_WEEKDAY}(?:(?:\\s*,\\s*(?:and\\s+)?|\\s+and\\s+)${PLURAL_WEEKDAY})*`,
+        read: text => ({ recurrence: readRecurrence(text) }),
+        repeats: true
+    },
+    {
+        pattern: `for\\s+(?:the\\s+next\\s+)?${NUM}\\s+(?:weeks|months|days|occurrences|times)|${NUM}\\s+times`,
+        read: text => ({ repeatFor: readRepeatFor(text) })
+    }
+];
+
+// Words that often sit in front of a date or time and belong to it: "on Friday", "for tomorrow", "at noon"
+const LEADING_WORDS = '(?:(?:on|for|at|by|around|from|starting|beginning|of)\\s+)?';
+
+const compiledRules = RULES.map(rule => ({
+    ...rule,
+    regex: new RegExp(`(?<![\\w@.:/'-])${LEADING_WORDS}(?:${rule.pattern})(?![\\w@:/-])`, 'gi')
+}));
+
+function toNumber(word) {
+    const lower = word.toLowerCase().replace(/[-\s]+/g, ' ');
+    if (/^\d/.test(lower)) return parseFloat(lower);
+    return NUMBER_WORDS[lower] ?? MINUTE_WORDS[lower] ?? null;
+}
+
+function stripLeadingWords(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim().replace(/^(?:on|for|at|by|around|from|starting|beginning|of|@)\s*/, '');
+}
+
+function isRealDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function toDateString(year, month, day) {
+    if (!isRealDate(year, month, day)) return null;
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// A month and day without a year means the next time that day comes round
+function upcomingDate(month, day, today) {
+    const year = Number(today.slice(0, 4));
+    const thisYear = toDateString(year, month, day);
+    if (thisYear && thisYear >= today) return thisYear;
+    return toDateString(year + 1, month, day);
+}
+
+function readDayNumber(text) {
+    const digits = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b/);
+    if (digits) return parseInt(digits[1], 10);
+    const words = text.replace(/-/g, ' ');
+    const ordinal = Object.keys(ORDINAL_DAYS).sort((a, b) => b.length - a.length).find(word => new RegExp(`\\b${word}\\b`).test(words));
+    return ordinal ? ORDINAL_DAYS[ordinal] : null;
+}
+
+// Turns one date phrase into YYYY-MM-DD, or null if it isn't one
+function readDate(text, { today }) {
+    const lower = stripLeadingWords(text).replace(/,/g, '');
+
+    if (/day after tomorrow/.test(lower)) return addDays(today, 2);
+    if (/^(today|tonight)$/.test(lower)) return today;
+    if (/^(tomorrow|tmrw)$/.test(lower)) return addDays(today, 1);
+    if (lower === 'yesterday') return addDays(today, -1);
+
+    const iso = lower.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) return toDateString(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+
+    const numeric = lower.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?$/);
+    if (numeric) {
+        const [, month, day, year] = numeric;
+        if (!year) return upcomingDate(Number(month), Number(day), today);
+        return toDateString(Number(year.length === 2 ? `20${year}` : year), Number(month), Number(day));
+    }
+
+    const relative = lower.match(new RegExp(`^(?:in\\s+)?(${NUM})\\s+(days?|weeks?)`));
+    if (relative) return addDays(today, Math.round(toNumber(relative[1]) * (relative[2].startsWith('w') ? 7 : 1)));
+
+    const weekdayWord = lower.match(new RegExp(`\\b(${WEEKDAY})\\b`));
+    if (weekdayWord) {
+        const target = WEEKDAY_NAMES[weekdayWord[1]];
+        const todayWeekday = getWeekday(today);
+        if (/next week/.test(lower)) {
+            const nextMonday = addDays(today, (8 - todayWeekday) % 7 || 7);
+            return addDays(nextMonday, (target + 6) % 7);
+        }
+        // "next Friday" is the first Friday after today; a plain "Friday" may be today
+        if (/^next\b/.test(lower)) return addDays(today, (target - todayWeekday + 7) % 7 || 7);
+        return addDays(today, (target - todayWeekday + 7) % 7);
+    }
+
+    const monthWord = lower.match(new RegExp(`\\b(${alternatives(Object.keys(MONTH_NAMES))})\\b`));
+    if (monthWord) {
+        const month = MONTH_NAMES[monthWord[1]];
+        const day = readDayNumber(lower.replace(monthWord[0], ' ').replace(/\b\d{4}\b/, ' '));
+        const year = lower.match(/\b(\d{4})\b/);
+        if (!day) return null;
+        return year ? toDateString(Number(year[1]), month, day) : upcomingDate(month, day, today);
+    }
+
+    // "the 15th" is this month, or next month once the 15th has passed
+    const nth = lower.match(/^the\s+(\d{1,2})(?:st|nd|rd|th)$/);
+    if (nth) {
+        const day = Number(nth[1]);
+        let [year, month] = today.slice(0, 7).split('-').map(Number);
+        for (let tries = 0; tries < 12; tries++) {
+            const date = toDateString(year, month, day);
+            if (date && date >= today) return date;
+            month = month === 12 ? 1 : month + 1;
+            if (month === 1) year++;
+        }
+    }
+    return null;
+}
+
+function readDateSlots(text, context) {
+    const date = readDate(text, context);
+    if (!date) return {};
+    return /\btonight\b/i.test(text) ? { date, dayPart: 'evening' } : { date };
+}
+
+function readDateRange(text, { today }) {
+    const lower = stripLeadingWords(text);
+    const weekday = getWeekday(today);
+    const daysUntilSunday = (7 - weekday) % 7;
+    if (/^this week$|rest of/.test(lower)) return { startDate: today, endDate: addDays(today, daysUntilSunday) };
+    if (lower === 'next week') return { startDate: addDays(today, daysUntilSunday + 1), endDate: addDays(today, daysUntilSunday + 7) };
+    if (/weekend$/.test(lower)) {
+        const saturday = weekday === 0 ? addDays(today, -1) : addDays(today, 6 - weekday);
+        const startDate = /^next/.test(lower) ? addDays(saturday, 7) : saturday;
+        return { startDate: startDate < today ? today : startDate, endDate: addDays(startDate, 1) };
+    }
+    if (/month$/.test(lower)) {
+        let [year, month] = today.slice(0, 7).split('-').map(Number);
+        if (/^next/.test(lower)) {
+            month = month === 12 ? 1 : month + 1;
+            if (month === 1) year++;
+        }
+        const first = toDateString(year, month, 1);
+        const last = addDays(month === 12 ? toDateString(year + 1, 1, 1) : toDateString(year, month + 1, 1), -1);
+        return { startDate: /^next/.test(lower) ? first : today, endDate: last };
+    }
+    const days = lower.match(new RegExp(`(?:next|coming)\\s+(${NUM})\\s+days`));
+    const count = days ? Math.round(toNumber(days[1])) : 1;
+    return { startDate: today, endDate: addDays(today, Math.max(count, 1) - 1) };
+}
+
+// "until Friday" is inclusive; "until December" means up to the last day before December starts
+function readUntil(text, context) {
+    const rest = text.replace(/^(?:until|till|through)\s+/i, '');
+    const date = readDate(rest, context);
+    if (date) return { until: date };
+    const month = MONTH_NAMES[rest.toLowerCase().replace('.', '').trim()];
+    if (!month) return {};
+    return { until: addDays(upcomingDate(month, 1, context.today), -1) };
+}
+
+function readDayPart(text) {
+    const lower = text.toLowerCase();
+    const dayPart = /night/.test(lower) ? 'evening' : lower.match(/morning|afternoon|evening/)[0];
+    return /\b(this|tonight)\b/.test(lower) ? { dayPart, isToday: true } : { dayPart };
+}
+
+// Number of minutes in "45 minutes", "an hour and a half", "1 hour 30 minutes", "half an hour"
+function parseDuration(text) {
+    const lower = text.toLowerCase();
+    if (/half\s+an\s+hour/.test(lower)) return 30;
+    const match = lower.match(new RegExp(`\\b(${NUM})\\s*-?\\s*(hours?|hrs?|minutes?|mins?)(?:\\s+(?:and\\s+)?(a\\s+half|(${NUM})\\s*-?\\s*(?:minutes?|mins?)))?`));
+    if (!match) return null;
+    const amount = toNumber(match[1]);
+    if (amount === null) return null;
+    if (/^m/.test(match[2])) return Math.round(amount);
+    const extra = match[3] ? (/half/.test(match[3]) ? 30 : toNumber(match[4])) : 0;
+    return Math.round(amount * 60 + extra);
+}
+
+// "in two hours" and "30 minutes from now" are a date and time counted from the current moment
+function readRelativeTime(text, { now, timeZone }) {
+    const minutes = parseDuration(text);
+    if (!minutes) return {};
+    const instant = new Date(now.getTime() + minutes * 60 * 1000);
+    return { date: getLocalDate(instant, timeZone), startClock: { time: `${getLocalTime(instant, timeZone).slice(0, 5)}:00`, fixed: true } };
+}
+
+// Reads a clock phrase into its hours and minutes plus whether AM/PM or a day part was said.
+// The hours stay as spoken until finishClock decides between morning and afternoon.
+function readClock(text) {
+    const lower = stripLeadingWords(text.replace(/^(?:to\s+)?(?:start|end)(?:ing|s)?\s+(?:at\s+)?|^(?:until|till|til|around|@)\s+/i, ''));
+    const dayPart = (lower.match(/\b(morning|afternoon|evening|night)\b/) || [])[1] || null;
+    if (/^(noon|midday)/.test(lower)) return { time: '12:00:00', fixed: true };
+    if (/^midnight/.test(lower)) return { time: '00:00:00', fixed: true };
+
+    const hourPattern = `(\\d{1,2}|${HOUR_WORD})`;
+    const past = lower.match(new RegExp(`^(half|quarter)\\s+past\\s+${hourPattern}`));
+    const to = lower.match(new RegExp(`^quarter\\s+(?:to|of)\\s+${hourPattern}`));
+    let hours, minutes;
+    if (past) {
+        hours = readHour(past[2]);
+        minutes = past[1] === 'half' ? 30 : 15;
+    } else if (to) {
+        hours = readHour(to[1]) - 1 || 12;
+        minutes = 45;
+    } else {
+        const clock = lower.match(new RegExp(`^${hourPattern}(?::(\\d{2})|\\s+(${MINUTE_WORD}))?`));
+        if (!clock) return null;
+        hours = readHour(clock[1]);
+        minutes = clock[2] ? parseInt(clock[2], 10) : clock[3] ? toNumber(clock[3]) : 0;
+        // "09:30" and "15:00" are already 24-hour times
+        if (clock[2] && (/^0/.test(clock[1]) || hours > 12)) {
+            if (hours > 23 || minutes > 59) return null;
+            return { time: formatClock(hours, minutes), fixed: true };
+        }
+    }
+    if (hours === null || hours > 23 || minutes > 59) return null;
+    const meridiem = (lower.match(/\b([ap])\.?m\.?(?![a-z])|\d([ap])\.?m\.?(?![a-z])/) || []).slice(1).find(Boolean) || null;
+    if (hours > 12 || hours === 0) return { time: formatClock(hours, minutes), fixed: true };
+    return { hours, minutes, meridiem, dayPart };
+}
+
+function readClockSlot(name, text) {
+    const clock = readClock(text);
+    return clock ? { [name]: clock } : {};
+}
+
+function readHour(word) {
+    return /^\d/.test(word) ? parseInt(word, 10) : HOUR_WORDS.indexOf(word.replace(/-/g, ' ')) + 1 || null;
+}
+
+function formatClock(hours, minutes) {
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`;
+}
+
+// Picks AM or PM for a clock reading. A bare hour from 1 to 7 is read as PM, since meetings rarely
+// start before 8 AM, unless the day part ("tomorrow morning at 7") says otherwise.
+function finishClock(clock, dayPart) {
+    if (!clock) return null;
+    if (clock.fixed) return clock.time;
+    let { hours } = clock;
+    const part = clock.dayPart || dayPart;
+    if (clock.meridiem === 'p') hours = hours === 12 ? 12 : hours + 12;
+    else if (clock.meridiem === 'a') hours = hours === 12 ? 0 : hours;
+    else if (['afternoon', 'evening', 'night'].includes(part)) hours = hours === 12 ? 12 : hours + 12;
+    else if (part === 'morning') hours = hours === 12 ? 0 : hours;
+    else if (hours >= 1 && hours <= 7) hours += 12;
+    return formatClock(hours, clock.minutes);
+}
+
+// "from 3 to 4:30 pm", "between 10 and 11 am", "3-4pm": AM/PM said once applies to both ends
+function readTimeRange(text) {
+    const body = stripLeadingWords(text).replace(/^(?:between|from|at)\s+/, '');
+    const separator = body.match(/\s*(?:-|–)\s*|\s+(?:to|until|till|through|and)\s+/);
+    if (!separator) return {};
+    const start = readClock(body.slice(0, separator.index));
+    const end = readClock(body.slice(separator.index + separator[0].length));
+    if (!start || !end) return {};
+    if (!start.fixed && !end.fixed && !start.meridiem && end.meridiem) {
+        start.meridiem = end.meridiem;
+        // "11 to 1 pm" starts in the morning
+        if (finishClock(start) > finishClock(end)) start.meridiem = end.meridiem === 'p' ? 'a' : 'p';
+    } else if (!start.fixed && !end.fixed && start.meridiem && !end.meridiem) {
+        end.meridiem = start.meridiem;
+        if (finishClock(end) <= finishClock(start)) end.meridiem = 'p';
+    }
+    return { startClock: start, endClock: end, isRange: true };
+}
+
+function readRecurrence(text) {
+    const lower = stripLeadingWords(text).replace(/-/g, ' ');
+    const other = /\bother\b/.test(lower) || /fortnightly|biweekly/.test(lower);
+    const every = lower.match(new RegExp(`every\\s+(${NUM})\\s+(days|weeks|months)`));
+    const recurrence = {};
+    if (every) {
+        recurrence.frequency = { days: 'DAILY', weeks: 'WEEKLY', months: 'MONTHLY' }[every[2]];
+        recurrence.interval = Math.round(toNumber(every[1]));
+    } else if (/weekdays?\b/.test(lower)) {
+        return { frequency: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] };
+    } else if (/\b(day|daily|everyday)\b/.test(lower)) {
+        recurrence.frequency = 'DAILY';
+    } else if (/\b(month|monthly)\b/.test(lower)) {
+        recurrence.frequency = 'MONTHLY';
+    } else if (/\b(year|yearly|annually)\b/.test(lower)) {
+        recurrence.frequency = 'YEARLY';
+    } else {
+        recurrence.frequency = 'WEEKLY';
+        const days = [...lower.matchAll(new RegExp(`\\b(${WEEKDAY})s?\\b`, 'g'))].map(match => WEEKDAY_CODES[WEEKDAY_NAMES[match[1]]]);
+        if (days.length > 0) recurrence.byDay = [...new Set(days)];
+    }
+    if (other) recurrence.interval = 2;
+    return recurrence;
+}
+
+function readRepeatFor(text) {
+    const match = text.toLowerCase().match(new RegExp(`\\b(${NUM})\\s+(weeks|months|days|occurrences|times)`));
+    return { amount: Math.round(toNumber(match[1])), unit: match[2] };
+}
+
+// Applies "for 6 weeks" or "10 times" to a repeat rule, as a count or a last date
+function applyRepeatFor(recurrence, repeatFor, startDate) {
+    if (['times', 'occurrences'].includes(repeatFor.unit)) return { ...recurrence, count: repeatFor.amount };
+    if (!startDate) return recurrence;
+    let until;
+    if (repeatFor.unit === 'months') {
+        const [year, month, day] = startDate.split('-').map(Number);
+        const total = month - 1 + repeatFor.amount;
+        until = addDays(toDateString(year + Math.floor(total / 12), (total % 12) + 1, 1), day - 2);
+    } else {
+        until = addDays(startDate, repeatFor.amount * (repeatFor.unit === 'weeks' ? 7 : 1) - 1);
+    }
+    return { ...recurrence, until };
+}
+
+// Finds every rule match, then keeps the earliest and, among those, the longest non-overlapping ones
+function scan(text, context) {
+    const matches = [];
+    for (const rule of compiledRules) {
+        if (rule.repeats && !context.repeats) continue;
+        rule.regex.lastIndex = 0;
+        for (const match of text.matchAll(rule.regex)) {
+            matches.push({ rule, start: match.index, end: match.index + match[0].length, text: match[0] });
+        }
+    }
+    matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const chunks = [];
+    let position = 0;
+    for (const match of matches) {
+        if (match.start < position) continue;
+        const slots = match.rule.read(match.text, context);
+        if (Object.keys(slots).length === 0) continue;
+        chunks.push({ text: match.text.trim(), start: match.start, end: match.end, slots });
+        position = match.end;
+    }
+    return chunks;
+}
+
+// Parses every date, time, duration and repeat phrase in a command. Returns the resolved slots
+// (date, startTime, endTime, durationMinutes, range, dayPart, before, until, recurrence) with the
+// phrases that produced them, and `rest`: the command with those phrases taken out.
+// With { repeats: false } repeat words ("weekly", "every Monday") are left in `rest` as ordinary words.
+function parseDateTime(text, { timeZone, now = new Date(), repeats = true } = {}) {
+    timeZone = resolveTimeZone(timeZone);
+    const context = { timeZone, now, today: getLocalDate(now, timeZone), repeats };
+    const chunks = scan(text, context);
+    const result = { chunks };
+    let startClock = null;
+    let endClock = null;
+
+    for (const { slots } of chunks) {
+        if (slots.date && !result.date) result.date = slots.date;
+        if (slots.startClock && !startClock) startClock = slots.startClock;
+        if (slots.endClock && !endClock) endClock = slots.endClock;
+        if (slots.isRange) result.isRange = true;
+        for (const key of ['durationMinutes', 'range', 'dayPart', 'before', 'until', 'recurrence', 'repeatFor']) {
+            if (slots[key] && !result[key]) result[key] = slots[key];
+        }
+        if (slots.isToday && !result.date) result.date = context.today;
+    }
+
+    result.startTime = finishClock(startClock, result.dayPart);
+    result.endTime = finishClock(endClock, result.dayPart);
+    // "until 5" after "at 3" is still the afternoon
+    if (result.startTime && result.endTime && endClock && !endClock.fixed && !endClock.meridiem && result.endTime <= result.startTime && endClock.hours < 12) {
+        result.endTime = formatClock(endClock.hours + 12, endClock.minutes);
+    }
+
+    if (result.recurrence) {
+        // A repeating event with no start date begins today, or on its first matching weekday
+        if (!result.date) {
+            const offsets = (result.recurrence.byDay || []).map(code => (WEEKDAY_CODES.indexOf(code) - getWeekday(context.today) + 7) % 7);
+            result.date = addDays(context.today, offsets.length > 0 ? Math.min(...offsets) : 0);
+        }
+        if (result.until) result.recurrence = { ...result.recurrence, until: result.until };
+        if (result.repeatFor) result.recurrence = applyRepeatFor(result.recurrence, result.repeatFor, result.date || context.today);
+    }
+
+    let rest = '';
+    let position = 0;
+    for (const chunk of chunks) {
+        rest += `${text.slice(position, chunk.start)} `;
+        position = chunk.end;
+    }
+    rest += text.slice(position);
+    result.rest = rest.replace(/(^|\s)'s\b/g, ' ').replace(/\s+([,.!?])/g, '$1').replace(/\s+/g, ' ').trim();
+    return result;
+}
+
+// Finds a spoken clock time ("5", "5 pm", "at 5:30", "noon", "half past four") and returns it as HH:MM:SS
+function parseSpokenTime(text) {
+    const match = text.match(new RegExp(`(?<![\\w@.:/'-])(?:${LOOSE_TIME})(?![\\w@:/-])`, 'i'));
+    return match ? finishClock(readClock(match[0])) : null;
+}
+
+function resolveDate(dateStr, timeZone, now = new Date()) {
+    return readDate(dateStr, { today: getLocalDate(now, resolveTimeZone(timeZone)) });
+}
+
+function resolveDateRange(rangeStr, timeZone, now = new Date()) {
+    return readDateRange(rangeStr, { today: getLocalDate(now, resolveTimeZone(timeZone)) });
+}
+
+function convertTo24Hour(timeStr) {
+    const [time, modifier] = timeStr.toLowerCase().split(/\s+/);
+    let [hours, minutes] = time.split(':');
+    hours = parseInt(hours, 10);
+    if (modifier === 'pm' && hours !== 12) hours += 12;
+    if (modifier === 'am' && hours === 12) hours = 0;
+    return `${hours.toString().padStart(2, '0')}:${minutes.padStart(2, '0')}:00`;
+}
+
+module.exports = {
+    DAY_PARTS,
+    parseDateTime,
+    parseDuration,
+    parseSpokenTime,
+    resolveDate,
+    resolveDateRange,
+    convertTo24Hour
+};
@@ -2,21 +2,328 @@
 
 const authButton = document.getElementById('authButton');
 const micButton = document.getElementById('micButton');
+const handsFreeSetting = document.getElementById('handsFreeSetting');
+const handsFreeToggle = document.getElementById('handsFreeToggle');
+const listeningIndicator = document.getElementById('listeningIndicator');
 const statusDiv = document.getElementById('status');
-const responseDiv = document.getElementById('response');
+const commandProgress = document.getElementById('commandProgress');
+const transcriptDiv = document.getElementById('transcript');
+const commandForm = document.getElementById('commandForm');
+const commandInput = document.getElementById('commandInput');
+const sendButton = document.getElementById('sendButton');
+const clearTranscriptButton = document.getElementById('clearTranscriptButton');
 const statusCheckButton = document.getElementById('statusCheckButton');
+const disconnectButton = document.getElementById('disconnectButton');
+const timezoneSelect = document.getElementById('timezoneSelect');
+const calendarSetting = document.getElementById('calendarSetting');
+const calendarSelect = document.getElementById('calendarSelect');
+const agendaDiv = document.getElementById('agenda');
+const agendaTitle = document.getElementById('agendaTitle');
+const agendaDayButton = document.getElementById('agendaDayButton');
+const agendaWeekButton = document.getElementById('agendaWeekButton');
+
+const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
 
 let isAuth = false;
+// Spoken commands get spoken replies and listen for the answer to a follow-up; typed ones don't
+let lastCommandSpoken = false;
+let commandInFlight = false;
 
 function updateStatus(message, isError = false) {
     statusDiv.textContent = message;
     statusDiv.style.color = isError ? '#e74c3c' : '#3498db';
 }
 
-function updateResponse(message) {
-    responseDiv.innerHTML = message;
+// The conversation so far, kept in localStorage so it survives reloads
+const TRANSCRIPT_KEY = 'calendarBotTranscript';
+const MAX_TRANSCRIPT_TURNS = 100;
+
+function loadTranscript() {
+    try {
+        return JSON.parse(localStorage.getItem(TRANSCRIPT_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+}
+
+let transcript = loadTranscript();
+
+function saveTranscript() {
+    transcript = transcript.slice(-MAX_TRANSCRIPT_TURNS);
+    try {
+        localStorage.setItem(TRANSCRIPT_KEY, JSON.stringify(transcript));
+    } catch (e) {
+        console.error('Failed to save the transcript:', e);
+    }
+}
+
+// Adds a user or bot turn. A question's options are kept with it so they can still be clicked after a reload.
+function addTurn(role, text, { status, options } = {}) {
+    transcript.push({ role, text, status, options, time: new Date().toISOString() });
+    saveTranscript();
+    renderTranscript();
+}
+
+function renderTranscript() {
+    transcriptDiv.replaceChildren();
+    if (transcript.length === 0) {
+        transcriptDiv.textContent = 'Waiting for command...';
+        return;
+    }
+    transcript.forEach((turn, index) => {
+        const turnDiv = document.createElement('div');
+        turnDiv.className = `turn ${turn.role}${turn.status ? ` ${turn.status}` : ''}`;
+        turnDiv.textContent = turn.text;
+        turnDiv.title = new Date(turn.time).toLocaleString();
+        // Only the latest question can still be answered
+        if (index === transcript.length - 1 && turn.options && turn.options.length > 0) {
+            turnDiv.appendChild(renderChoiceButtons(turn.options));
+        }
+        transcriptDiv.appendChild(turnDiv);
+    });
+    transcriptDiv.scrollTop = transcriptDiv.scrollHeight;
+}
+
+clearTranscriptButton.addEventListener('click', () => {
+    transcript = [];
+    saveTranscript();
+    renderTranscript();
+});
+
+// Event choices come with a title and start time rather than a label
+function choiceLabel(option) {
+    if (option.label) return option.label;
+    return [option.title, option.startTime && `at ${option.startTime}`, option.calendar && `(${option.calendar})`].filter(Boolean).join(' ');
+}
+
+// Lets the user answer a question by clicking instead of speaking; the option's id is sent as the answer
+function renderChoiceButtons(options) {
+    const choices = document.createElement('div');
+    choices.className = 'choices';
+    for (const option of options) {
+        const button = document.createElement('button');
+        button.textContent = choiceLabel(option);
+        button.addEventListener('click', () => {
+            stopListening();
+            choices.remove();
+            updateStatus(`Chose: "${button.textContent}"`, false);
+            sendCommand(String(option.id), { label: button.textContent, spoken: lastCommandSpoken });
+        });
+        choices.appendChild(button);
+    }
+    return choices;
+}
+
+function setCommandInputEnabled(enabled) {
+    commandInput.disabled = !enabled;
+    sendButton.disabled = !enabled;
+}
+
+// The agenda shows the day or Monday-to-Sunday week around agendaDate (today until the user moves)
+const HOUR_HEIGHT = 40;
+let agendaView = 'day';
+let agendaDate = null;
+let agendaTimeZone = browserTimeZone;
+// The events the last command created, moved or deleted ({ change, id, title, start, end })
+let highlightedChanges = [];
+
+// The date and minutes since midnight of an instant (or a plain all-day date) in the agenda's timezone
+function zonedDateAndMinutes(instant, timeZone) {
+    if (!instant.includes('T')) return { date: instant, minutes: 0 };
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+    }).formatToParts(new Date(instant)).map(part => [part.type, part.value]));
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function shiftDate(date, days) {
+    const shifted = new Date(`${date}T00:00:00Z`);
+    shifted.setUTCDate(shifted.getUTCDate() + days);
+    return shifted.toISOString().slice(0, 10);
+}
+
+function formatAgendaDate(date, options) {
+    return new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC', ...options });
+}
+
+function formatAgendaTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${hours % 12 || 12}${minutes % 60 ? `:${String(minutes % 60).padStart(2, '0')}` : ''}${hours < 12 ? 'am' : 'pm'}`;
+}
+
+// Recurring events are highlighted on every occurrence ("abc_20261020T150000Z" belongs to "abc")
+function findChange(eventId) {
+    return highlightedChanges.find(change => change.id === eventId || eventId.startsWith(`${change.id}_`));
+}
+
+async function loadAgenda() {
+    if (!isAuth) return;
+    const params = new URLSearchParams({ view: agendaView, timeZone: browserTimeZone });
+    if (agendaDate) params.set('date', agendaDate);
+    try {
+        const res = await fetch(`/api/agenda?${params}`);
+        const data = await res.json();
+        if (data.status !== 'success') throw new Error(data.message);
+        agendaDate = data.date;
+        agendaTimeZone = data.timeZone;
+        renderAgenda(data);
+    } catch (e) {
+        agendaDiv.textContent = 'Could not load your agenda.';
+        console.error('Agenda error:', e);
+    }
+}
+
+function renderAgenda({ view, startDate, endDate, timeZone, events }) {
+    agendaDayButton.classList.toggle('selected', view === 'day');
+    agendaWeekButton.classList.toggle('selected', view === 'week');
+    agendaTitle.textContent = view === 'week'
+        ? `${formatAgendaDate(startDate, { month: 'short', day: 'numeric' })} – ${formatAgendaDate(endDate, { month: 'short', day: 'numeric' })}`
+        : formatAgendaDate(startDate, { weekday: 'long', month: 'long', day: 'numeric' });
+
+    const days = [];
+    for (let date = startDate; date <= endDate; date = shiftDate(date, 1)) days.push(date);
+    const today = zonedDateAndMinutes(new Date().toISOString(), timeZone).date;
+
+    // Deleted events are gone from the calendar, so they are drawn struck through where they were
+    const items = [
+        ...events.map(event => ({ id: event.id, title: event.title, calendar: event.calendar, start: event.startDateTime, end: event.endDateTime, allDay: event.allDay })),
+        ...highlightedChanges.filter(change => change.change === 'deleted' && change.start)
+            .map(change => ({ ...change, allDay: !change.start.includes('T') }))
+    ].map(item => {
+        const start = zonedDateAndMinutes(item.start, timeZone);
+        const end = zonedDateAndMinutes(item.end || item.start, timeZone);
+        // Timed events that run past midnight are cut off at the end of their first day
+        const endMinutes = end.date > start.date ? 24 * 60 : end.minutes;
+        const change = item.change || (findChange(item.id) || {}).change;
+        return { ...item, date: start.date, endDate: end.date, startMinutes: start.minutes, endMinutes: Math.max(endMinutes, start.minutes + 15), change };
+    });
+
+    const timed = items.filter(item => !item.allDay && days.includes(item.date));
+    const firstHour = Math.min(8, ...timed.map(item => Math.floor(item.startMinutes / 60)));
+    const lastHour = Math.max(18, ...timed.map(item => Math.ceil(item.endMinutes / 60)));
+
+    const eventBlock = (item, label) => {
+        const block = document.createElement('div');
+        block.className = `agenda-event${item.change ? ` ${item.change}` : ''}`;
+        block.textContent = label;
+        block.title = `${item.title}${item.calendar ? ` (${item.calendar})` : ''}${item.change ? ` — ${item.change}` : ''}`;
+        return block;
+    };
+    const row = (className, cells) => {
+        const rowDiv = document.createElement('div');
+        rowDiv.className = className;
+        rowDiv.append(...cells);
+        return rowDiv;
+    };
+    const cell = (className, text = '') => {
+        const cellDiv = document.createElement('div');
+        cellDiv.className = className;
+        cellDiv.textContent = text;
+        return cellDiv;
+    };
+
+    const header = row('agenda-header', [cell('agenda-gutter'), ...days.map(date =>
+        cell(date === today ? 'today' : '', formatAgendaDate(date, view === 'week' ? { weekday: 'short', day: 'numeric' } : { weekday: 'short' })))]);
+
+    // All-day events cover their dates up to (but not including) the end date
+    const allDay = items.filter(item => item.allDay);
+    const allDayRow = row('agenda-all-day', [cell('agenda-gutter', 'all day'), ...days.map(date => {
+        const dayCell = cell('');
+        for (const item of allDay.filter(item => item.date <= date && (date < item.endDate || date === item.date))) {
+            dayCell.appendChild(eventBlock(item, item.title));
+        }
+        return dayCell;
+    })]);
+
+    const hours = cell('agenda-gutter agenda-hours');
+    const dayColumns = days.map(date => {
+        const column = cell('agenda-day');
+        // Overlapping events are indented so each stays visible
+        const placed = [];
+        for (const item of timed.filter(item => item.date === date).sort((a, b) => a.startMinutes - b.startMinutes)) {
+            const overlapping = placed.filter(other => other.endMinutes > item.startMinutes).length;
+            const block = eventBlock(item, `${formatAgendaTime(item.startMinutes)} ${item.title}`);
+            block.style.top = `${(item.startMinutes - firstHour * 60) / 60 * HOUR_HEIGHT}px`;
+            block.style.height = `${(item.endMinutes - item.startMinutes) / 60 * HOUR_HEIGHT - 2}px`;
+            block.style.left = `${2 + overlapping * 10}px`;
+            column.appendChild(block);
+            placed.push(item);
+        }
+        return column;
+    });
+    for (let hour = firstHour; hour < lastHour; hour++) {
+        const top = `${(hour - firstHour) * HOUR_HEIGHT}px`;
+        const label = cell('', formatAgendaTime(hour * 60));
+        label.style.top = top;
+        hours.appendChild(label);
+        for (const column of dayColumns) {
+            const line = cell('agenda-line');
+            line.style.top = top;
+            column.prepend(line);
+        }
+    }
+    for (const column of [hours, ...dayColumns]) column.style.height = `${(lastHour - firstHour) * HOUR_HEIGHT}px`;
+    const body = row('agenda-body', [hours, ...dayColumns]);
+
+    agendaDiv.replaceChildren(header, ...(allDayRow.querySelector('.agenda-event') ? [allDayRow] : []), body);
+    // Bring the first highlighted event, or the morning, into view
+    const highlighted = timed.find(item => item.change);
+    body.scrollTop = ((highlighted ? highlighted.startMinutes / 60 : 8) - firstHour) * HOUR_HEIGHT - HOUR_HEIGHT / 2;
+}
+
+// After a command, the agenda moves to the day it touched and highlights what changed
+function showCommandOnAgenda(data) {
+    highlightedChanges = data.changedEvents || [];
+    if (highlightedChanges.length > 0 && highlightedChanges[0].start) {
+        agendaDate = zonedDateAndMinutes(highlightedChanges[0].start, agendaTimeZone).date;
+    } else if (Array.isArray(data.data) && data.data.length > 0 && data.data[0].date) {
+        // Query results: show the first day found, as a week when they span several days
+        agendaDate = data.data[0].date;
+        if (agendaView === 'day' && data.data.some(event => event.date !== agendaDate)) agendaView = 'week';
+    }
+    loadAgenda();
 }
 
+agendaDayButton.addEventListener('click', () => {
+    agendaView = 'day';
+    loadAgenda();
+});
+
+agendaWeekButton.addEventListener('click', () => {
+    agendaView = 'week';
+    loadAgenda();
+});
+
+document.getElementById('agendaPrevButton').addEventListener('click', () => {
+    if (!agendaDate) return;
+    agendaDate = shiftDate(agendaDate, agendaView === 'week' ? -7 : -1);
+    loadAgenda();
+});
+
+document.getElementById('agendaNextButton').addEventListener('click', () => {
+    if (!agendaDate) return;
+    agendaDate = shiftDate(agendaDate, agendaView === 'week' ? 7 : 1);
+    loadAgenda();
+});
+
+document.getElementById('agendaTodayButton').addEventListener('click', () => {
+    agendaDate = null;
+    loadAgenda();
+});
+
+// Hints shown while listening for the answer to a follow-up question. The server remembers the
+// paused action, so the answer is sent back as-is ("the second one", "make it 5 instead").
+const FOLLOW_UP_PROMPTS = {
+    conflict: 'Say "book anyway", "next free slot", a different time, or "cancel".',
+    recurrenceScope: 'Say "this occurrence", "this and following" or "the whole series".',
+    eventChoice: 'Say which one, e.g. "the second one" or "the 3 PM one".',
+    slot: 'Say the option number to book it (e.g., "option 2"), or "cancel".',
+    timeRange: 'Please provide a valid time range (e.g., "between 4:00 pm and 6:00 pm").',
+    details: 'Answer the question, or say "cancel".',
+    confirmDelete: 'Say "yes" to delete, or "cancel" to keep them.',
+    attendees: 'Say their email address (e.g., "zed at example dot com"), or "cancel".'
+};
+
 function speakResponse(text) {
     if ('speechSynthesis' in window) {
         const utterance = new SpeechSynthesisUtterance(text);
@@ -26,6 +333,69 @@ function speakResponse(text) {
     }
 }
 
+async function loadTimeZoneSetting() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [browserTimeZone];
+    timezoneSelect.replaceChildren(new Option(`Browser default (${browserTimeZone})`, ''), ...zones.map(zone => new Option(zone, zone)));
+    try {
+        const res = await fetch('/api/settings');
+        const data = await res.json();
+        timezoneSelect.value = data.timeZone || '';
+    } catch (e) {
+        console.error('Failed to load settings:', e);
+    }
+}
+
+timezoneSelect.addEventListener('change', async () => {
+    try {
+        const res = await fetch('/api/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ timeZone: timezoneSelect.value || null })
+        });
+        const data = await res.json();
+        if (data.status !== 'success') throw new Error(data.message);
+        updateStatus(`Timezone set to ${data.timeZone || browserTimeZone}.`);
+        agendaDate = null;
+        loadAgenda();
+    } catch (e) {
+        updateStatus('Failed to update timezone.', true);
+        console.error('Settings error:', e);
+    }
+});
+
+async function loadCalendars() {
+    try {
+        const res = await fetch('/api/calendars');
+        const data = await res.json();
+        if (data.status !== 'success') throw new Error(data.message);
+        // Shared calendars are named by other people, so names are never parsed as markup
+        calendarSelect.replaceChildren(...data.calendars
+            .filter(calendar => calendar.canWrite)
+            .map(calendar => new Option(calendar.name, calendar.id)));
+        calendarSelect.value = data.defaultCalendarId;
+        calendarSetting.style.display = data.calendars.length > 1 ? 'block' : 'none';
+    } catch (e) {
+        calendarSetting.style.display = 'none';
+        console.error('Failed to load calendars:', e);
+    }
+}
+
+calendarSelect.addEventListener('change', async () => {
+    try {
+        const res = await fetch('/api/settings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ defaultCalendarId: calendarSelect.value })
+        });
+        const data = await res.json();
+        if (data.status !== 'success') throw new Error(data.message);
+        updateStatus(`New events will go on ${calendarSelect.selectedOptions[0].textContent}.`);
+    } catch (e) {
+        updateStatus('Failed to update the default calendar.', true);
+        console.error('Settings error:', e);
+    }
+});
+
 async function requestMicrophonePermission() {
     try {
         const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
@@ -36,11 +406,24 @@ async function requestMicrophonePermission() {
     } catch (err) {
         micButton.disabled = true;
         micButton.textContent = '🚫';
-        updateStatus('Microphone permission required to proceed.', true);
+        updateStatus('Microphone permission denied. You can still type commands.', true);
         console.error('Microphone access denied:', err);
     }
 }
 
+function showReconnectPrompt(message = 'Your calendar connection has expired. Please click Reconnect Calendar.') {
+    isAuth = false;
+    authButton.textContent = 'Reconnect Calendar';
+    authButton.disabled = false;
+    authButton.style.display = 'block';
+    disconnectButton.style.display = 'none';
+    calendarSetting.style.display = 'none';
+    micButton.disabled = true;
+    setHandsFreeAvailable(false);
+    setCommandInputEnabled(false);
+    updateStatus(message, true);
+}
+
 async function checkAuthStatus() {
     updateStatus('Checking calendar connection status...');
     try {
@@ -53,19 +436,42 @@ async function checkAuthStatus() {
             authButton.textContent = 'Calendar Connected';
             authButton.disabled = true;
             authButton.style.display = 'block';
+            // Local calendars (.ics file or CalDAV) have no Google account to disconnect
+            disconnectButton.style.display = data.requiresLogin === false ? 'none' : 'block';
             statusCheckButton.style.display = 'none';
-            await requestMicrophonePermission();
+            setCommandInputEnabled(true);
+            loadCalendars();
+            loadAgenda();
+            setHandsFreeAvailable(handsFreeSupported());
+            if (voiceInputAvailable()) {
+                await requestMicrophonePermission();
+            } else {
+                micButton.disabled = true;
+                updateStatus('Speech recognition is not supported in this browser. You can type commands, or use Chrome/Edge to speak them.', true);
+            }
+        } else if (data.reauthRequired) {
+            statusCheckButton.style.display = 'none';
+            showReconnectPrompt();
         } else {
+            authButton.textContent = 'Connect Calendar';
+            authButton.disabled = false;
             authButton.style.display = 'block';
+            disconnectButton.style.display = 'none';
+            calendarSetting.style.display = 'none';
             statusCheckButton.style.display = 'none';
             micButton.disabled = true;
+            setHandsFreeAvailable(false);
+            setCommandInputEnabled(false);
             updateStatus('Please click Connect Calendar to begin.', true);
         }
     } catch (e) {
         console.error('Auth check failed:', e);
         authButton.style.display = 'block';
+        disconnectButton.style.display = 'none';
         statusCheckButton.style.display = 'none';
         micButton.disabled = true;
+        setHandsFreeAvailable(false);
+        setCommandInputEnabled(false);
         updateStatus('Cannot connect to the backend. Ensure the server is running (`node index.js`).', true);
     }
 }
@@ -81,7 +487,23 @@ authButton.addEventListener('click', async () => {
     }
 });
 
-window.addEventListener('load', () => {
+disconnectButton.addEventListener('click', async () => {
+    try {
+        const res = await fetch('/api/auth/logout', { method: 'POST' });
+        const data = await res.json();
+        addTurn('bot', data.message);
+    } catch (e) {
+        updateStatus('Failed to disconnect your calendar.', true);
+        return;
+    }
+    await checkAuthStatus();
+});
+
+window.addEventListener('load', async () => {
+    renderTranscript();
+    loadTimeZoneSetting();
+    // Whether the mic can be used depends on the server's speech settings
+    await loadSpeechSettings();
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('auth') === 'success') {
         checkAuthStatus();
@@ -91,150 +513,485 @@ window.addEventListener('load', () => {
     }
 });
 
+// Reads a text/event-stream response, calling onEvent(event, data) for each message as it arrives
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const event = (block.match(/^event: (.*)$/m) || [])[1] || 'message';
+            const data = block.split('\n').filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+            if (data) onEvent(event, JSON.parse(data));
+        }
+    }
+}
+
+// "Finding what to cancel...", "Deleted 'sync' (2 of 5)"; counted steps fill the progress bar
+function showProgress(progress) {
+    updateStatus(progress.message, false);
+    if (progress.total) {
+        commandProgress.hidden = false;
+        commandProgress.max = progress.total;
+        commandProgress.value = progress.done;
+    }
+}
+
+// Commands, answers to follow-up questions and clicked choices all go through the same endpoint
+async function sendCommand(commandText, { label = commandText, spoken = false } = {}) {
+    lastCommandSpoken = spoken;
+    commandInFlight = true;
+    touchHandsFree();
+    addTurn('user', label);
+    micButton.classList.remove('active');
+    micButton.textContent = '🧠';
+    setCommandInputEnabled(false);
+    updateStatus('Working on it...');
+
+    try {
+        const res = await fetch('/api/command', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+            body: JSON.stringify({ commandText, timeZone: browserTimeZone })
+        });
+
+        // The server streams progress while the command runs and sends the reply last
+        let data = null;
+        let spokeSummary = false;
+        if ((res.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+            await readEventStream(res, (event, payload) => {
+                if (event === 'result') {
+                    data = payload;
+                } else if (event === 'progress') {
+                    showProgress(payload);
+                    // A bulk change says what it's doing right away rather than after the last event
+                    if (spoken && payload.summary) {
+                        speakResponse(payload.summary);
+                        spokeSummary = true;
+                    }
+                }
+            });
+            if (!data) throw new Error('The command stream ended without a result');
+        } else {
+            data = await res.json();
+        }
+
+        const clarificationType = data.status === 'clarification' && data.data ? data.data.type : null;
+        addTurn('bot', data.message, {
+            status: data.status,
+            options: clarificationType ? data.data.options : undefined
+        });
+        if (spoken && !(spokeSummary && data.status === 'success')) speakResponse(data.message);
+
+        if (data.status === 'success') {
+            updateStatus('Command executed successfully!', false);
+            showCommandOnAgenda(data);
+        } else if (data.status === 'clarification') {
+            updateStatus(FOLLOW_UP_PROMPTS[clarificationType] || 'Clarification needed.', false);
+            if (spoken) listenForClarification(clarificationType);
+        } else if (data.reauthRequired) {
+            showReconnectPrompt();
+        } else {
+            updateStatus('Command failed.', true);
+        }
+    } catch (e) {
+        updateStatus('Network or server connection failed.', true);
+        addTurn('bot', 'Network Error: Could not connect to the backend.', { status: 'error' });
+        console.error('Fetch error:', e);
+    } finally {
+        commandInFlight = false;
+        commandProgress.hidden = true;
+        if (!micButton.classList.contains('active')) micButton.textContent = '🎤';
+        if (isAuth) setCommandInputEnabled(true);
+        // Back to waiting for the wake phrase unless a follow-up is being listened for
+        resumeWakeListening();
+        updateListeningIndicator();
+    }
+}
+
+commandForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const commandText = commandInput.value.trim();
+    if (!commandText) return;
+    if (!isAuth) {
+        updateStatus('Please connect your Google Calendar first.', true);
+        return;
+    }
+    stopListening();
+    commandInput.value = '';
+    sendCommand(commandText);
+    commandInput.focus();
+});
+
+// Voice comes from the browser's own recognizer (Chrome/Edge) or, where there is none or the server
+// prefers it, from a MediaRecorder recording that /api/transcribe turns into text
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+const recognition = SpeechRecognition ? new SpeechRecognition() : null;
+const canRecord = Boolean(window.MediaRecorder && navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+let useServerTranscription = false;
+
+// A recording stops once the speaker has been quiet for a moment, or at the length limit
+const SILENCE_MS = 1500;
+const SILENCE_LEVEL = 0.02;
+const MAX_RECORDING_MS = 15000;
+let recording = null;
+
+async function loadSpeechSettings() {
+    try {
+        const res = await fetch('/api/speech');
+        const data = await res.json();
+        useServerTranscription = data.serverTranscription && canRecord && (!recognition || data.preferServer);
+    } catch (e) {
+        console.error('Failed to load speech settings:', e);
+    }
+}
+
+function voiceInputAvailable() {
+    return useServerTranscription || Boolean(recognition);
+}
+
+function resetMicButton() {
+    micButton.classList.remove('active');
+    micButton.textContent = '🎤';
+    updateListeningIndicator();
+}
+
+// Listens for one command or answer. The wake-phrase listener is paused first, since a browser
+// runs one recognizer at a time.
+async function startListening() {
+    micButton.classList.add('active');
+    micButton.textContent = '🛑';
+    updateListeningIndicator();
+    await pauseWakeListening();
+    if (useServerTranscription) startRecording();
+    else recognition.start();
+}
+
+function stopListening() {
+    stopRecording({ discard: true });
+    if (recognition) recognition.abort();
+}
+
+function listenForClarification(clarificationType) {
+    if (!FOLLOW_UP_PROMPTS[clarificationType]) return;
+    startListening();
+}
+
+// Calls onDone once the speaker goes quiet after saying something, or when the recording gets too long.
+// Returns a function that stops watching.
+function watchForSilence(stream, onDone) {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const analyser = audioContext.createAnalyser();
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+    const startedAt = Date.now();
+    let heardSpeech = false;
+    let lastSound = startedAt;
+    const timer = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        const level = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+        const now = Date.now();
+        if (level > SILENCE_LEVEL) {
+            heardSpeech = true;
+            lastSound = now;
+        }
+        if ((heardSpeech && now - lastSound > SILENCE_MS) || now - startedAt > MAX_RECORDING_MS) onDone();
+    }, 100);
+    return () => {
+        clearInterval(timer);
+        audioContext.close();
+    };
+}
 
-if (SpeechRecognition) {
-    const recognition = new SpeechRecognition();
+async function startRecording() {
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+        resetMicButton();
+        updateStatus('Microphone permission denied. You can still type commands.', true);
+        console.error('Microphone access denied:', err);
+        return;
+    }
+    const mediaRecorder = new MediaRecorder(stream);
+    const chunks = [];
+    const session = { mediaRecorder, discard: false };
+    recording = session;
+
+    mediaRecorder.ondataavailable = (event) => {
+        if (event.data.size > 0) chunks.push(event.data);
+    };
+    mediaRecorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        session.stopWatching();
+        if (recording === session) recording = null;
+        if (session.discard) return; // Stopped on purpose, e.g. a command was typed
+        transcribeRecording(new Blob(chunks, { type: mediaRecorder.mimeType }));
+    };
+    session.stopWatching = watchForSilence(stream, () => stopRecording());
+    mediaRecorder.start();
+}
+
+function stopRecording({ discard = false } = {}) {
+    if (!recording) return;
+    recording.discard = discard;
+    if (recording.mediaRecorder.state !== 'inactive') recording.mediaRecorder.stop();
+}
+
+async function transcribeRecording(audio) {
+    micButton.textContent = '🧠';
+    updateStatus('Transcribing...');
+    try {
+        const res = await fetch('/api/transcribe', {
+            method: 'POST',
+            headers: { 'Content-Type': audio.type || 'application/octet-stream' },
+            body: audio
+        });
+        const data = await res.json();
+        if (data.status !== 'success') {
+            resetMicButton();
+            updateStatus(`${data.message} Click to retry.`, true);
+            return;
+        }
+        updateStatus(`Heard: "${data.transcript}"`, false);
+        await sendCommand(data.transcript, { spoken: true });
+    } catch (e) {
+        resetMicButton();
+        updateStatus('Transcription failed. Click to retry.', true);
+        console.error('Transcription error:', e);
+    }
+}
+
+micButton.addEventListener('click', () => {
+    if (!isAuth) {
+        updateStatus('Please connect your Google Calendar first.', true);
+        return;
+    }
+    // 🛑 ends a recording early and sends it
+    if (recording) {
+        stopRecording();
+        return;
+    }
+    if (micButton.classList.contains('active')) {
+        if (!useServerTranscription) recognition.stop();
+        return;
+    }
+    updateStatus(useServerTranscription ? 'Listening... Speak now, then pause or click 🛑.' : 'Listening... Speak now.');
+    startListening();
+});
+
+if (recognition) {
     recognition.continuous = false;
     recognition.lang = 'en-US';
     recognition.interimResults = false;
     recognition.maxAlternatives = 1;
 
-    micButton.addEventListener('click', () => {
-        if (!isAuth) {
-            updateStatus('Please connect your Google Calendar first.', true);
-            return;
-        }
-        
-        micButton.classList.add('active');
-        micButton.textContent = '🛑';
-        updateStatus('Listening... Speak now.');
-        recognition.start();
-    });
-
     recognition.onresult = async (event) => {
         const commandText = event.results[0][0].transcript;
         updateStatus(`Heard: "${commandText}"`, false);
-        micButton.classList.remove('active');
-        micButton.textContent = '🧠';
-        
-        try {
-            const res = await fetch('/api/command', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ commandText })
-            });
-
-            const data = await res.json();
-
-            if (data.status === 'success') {
-                updateStatus('Command executed successfully!', false);
-                updateResponse(`<p style="color: green;">Bot: ${data.message}</p>`);
-                speakResponse(data.message);
-            } else if (data.status === 'clarification') {
-                updateStatus('Clarification needed:', false);
-                updateResponse(`<p>Bot: ${data.message}</p>`);
-                speakResponse(data.message);
-                await listenForClarification(data.data.options, data.message.includes('time range') ? 'timeRange' : null);
-            } else {
-                updateStatus('Command failed.', true);
-                updateResponse(`<p style="color: red;">Bot: ${data.message}</p>`);
-                speakResponse(data.message);
-            }
-        } catch (e) {
-            updateStatus('Network or server connection failed.', true);
-            updateResponse(`<p style="color: red;">Network Error: Could not connect to the backend.</p>`);
-            console.error('Fetch error:', e);
-        } finally {
-            micButton.textContent = '🎤';
-        }
+        await sendCommand(commandText, { spoken: true });
     };
 
-    async function listenForClarification(options, clarificationType) {
-        if (clarificationType === 'timeRange') {
-            updateStatus('Please provide a valid time range (e.g., "between 4:00 pm and 6:00 pm").', false);
-            recognition.start();
-    
-            recognition.onresult = async (event) => {
-                const clarificationText = event.results[0][0].transcript;
-                recognition.stop();
-                updateStatus(`Heard: "${clarificationText}"`, false);
-    
-                try {
-                    const res = await fetch('/api/command', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ commandText: `cancel all my meetings ${clarificationText}` })
-                    });
-    
-                    const data = await res.json();
-                    updateStatus(data.status === 'success' ? 'Action completed.' : 'Action failed.', data.status !== 'success');
-                    updateResponse(`<p style="color: ${data.status === 'success' ? 'green' : 'red'};">Bot: ${data.message}</p>`);
-                    speakResponse(data.message);
-                } catch (e) {
-                    updateStatus('Clarification failed.', true);
-                    updateResponse(`<p style="color: red;">Network Error: Could not process clarification.</p>`);
-                    console.error('Fetch error:', e);
-                }
-            };
-        } else {
-            updateStatus('Please specify the event by saying "modify event with ID [ID]".', false);
-            recognition.start();
-    
-            recognition.onresult = async (event) => {
-                const clarificationText = event.results[0][0].transcript;
-                recognition.stop();
-                updateStatus(`Heard: "${clarificationText}"`, false);
-    
-                const idMatch = clarificationText.match(/modify event with ID (\w+)/i);
-                if (idMatch) {
-                    const selectedId = idMatch[1];
-                    const selectedEvent = options.find(option => option.id === selectedId);
-    
-                    if (selectedEvent) {
-                        try {
-                            const res = await fetch('/api/command', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({ commandText: `modify ${selectedEvent.title} with ID ${selectedId}` })
-                            });
-    
-                            const data = await res.json();
-                            updateStatus(data.status === 'success' ? 'Action completed.' : 'Action failed.', data.status !== 'success');
-                            updateResponse(`<p style="color: ${data.status === 'success' ? 'green' : 'red'};">Bot: ${data.message}</p>`);
-                            speakResponse(data.message);
-                        } catch (e) {
-                            updateStatus('Confirmation failed.', true);
-                            updateResponse(`<p style="color: red;">Network Error: Could not confirm modification.</p>`);
-                            console.error('Fetch error:', e);
-                        }
-                    } else {
-                        updateStatus('Invalid event ID.', true);
-                        updateResponse('<p style="color: red;">Bot: Please provide a valid event ID from the list.</p>');
-                        speakResponse('Please provide a valid event ID from the list.');
-                        await listenForClarification(options, clarificationType); // Retry
-                    }
-                } else {
-                    updateStatus('Invalid format. Please say "modify event with ID [ID]".', true);
-                    updateResponse('<p style="color: red;">Bot: Invalid format. Please say "modify event with ID [ID]".</p>');
-                    speakResponse('Invalid format. Please say "modify event with ID [ID]".');
-                    await listenForClarification(options, clarificationType); // Retry
-                }
-            };
-        }
-    }
-
     recognition.onspeechend = () => {
         recognition.stop();
     };
 
     recognition.onerror = (event) => {
-        micButton.classList.remove('active');
-        micButton.textContent = '🎤';
+        resetMicButton();
+        if (event.error === 'aborted') return; // Stopped on purpose, e.g. a choice was clicked
         updateStatus(`Error: ${event.error}. Click to retry.`, true);
         console.error('Speech recognition error:', event.error);
     };
-} else {
-    updateStatus('Speech Recognition not supported in this browser. Please use Chrome/Edge.', true);
-    micButton.disabled = true;
-}
\ No newline at end of file
+
+    // Nothing was heard, or the command is on its way; hands-free goes back to the wake phrase
+    recognition.onend = () => {
+        if (!commandInFlight) resetMicButton();
+        resumeWakeListening();
+    };
+}
+
+// Hands-free mode: a second, continuous recognizer waits for "Hey Calendar". A command said in the
+// same breath ("Hey Calendar, what's on today") is sent straight away; otherwise the mic listens for
+// the next sentence. Follow-up questions are answered the same way, and the mode turns itself off
+// after a few minutes without a command. It needs the browser's recognizer; streaming every sound
+// to the server to find the wake phrase would defeat the point of server-side transcription.
+const WAKE_PATTERN = /\b(?:hey|hi|ok|okay)[\s,.!]+calendar\b/i;
+const HANDS_FREE_TIMEOUT_MS = 5 * 60 * 1000;
+const wakeRecognition = SpeechRecognition ? new SpeechRecognition() : null;
+let handsFree = false;
+let handsFreeTimer = null;
+// wakeWanted: the wake listener should be running; wakeActive: it is
+let wakeWanted = false;
+let wakeActive = false;
+let wakeResumeTimer = null;
+let onWakePaused = null;
+
+function handsFreeSupported() {
+    return Boolean(wakeRecognition) && !useServerTranscription;
+}
+
+function setHandsFreeAvailable(available) {
+    if (!available) setHandsFree(false);
+    handsFreeToggle.disabled = !available;
+    handsFreeSetting.classList.toggle('unavailable', !available);
+    handsFreeSetting.title = available || !isAuth ? '' : "Hands-free mode needs the browser's speech recognition (Chrome or Edge).";
+}
+
+function setHandsFree(enabled, message) {
+    handsFree = enabled;
+    handsFreeToggle.checked = enabled;
+    if (enabled) {
+        touchHandsFree();
+        updateStatus('Hands-free mode is on. Say "Hey Calendar" and then your command.');
+        resumeWakeListening();
+    } else {
+        clearTimeout(handsFreeTimer);
+        pauseWakeListening();
+        if (message) updateStatus(message, false);
+    }
+    updateListeningIndicator();
+}
+
+// Any command keeps hands-free mode alive
+function touchHandsFree() {
+    clearTimeout(handsFreeTimer);
+    if (!handsFree) return;
+    handsFreeTimer = setTimeout(() => {
+        setHandsFree(false, `Hands-free mode turned off after ${HANDS_FREE_TIMEOUT_MS / 60000} minutes without a command.`);
+    }, HANDS_FREE_TIMEOUT_MS);
+}
+
+function resumeWakeListening() {
+    if (!handsFree || !isAuth || commandInFlight || recording || micButton.classList.contains('active')) return;
+    wakeWanted = true;
+    clearTimeout(wakeResumeTimer);
+    // Wait for the spoken reply to finish so the recognizer doesn't hear the bot
+    if (window.speechSynthesis && window.speechSynthesis.speaking) {
+        wakeResumeTimer = setTimeout(resumeWakeListening, 300);
+        return;
+    }
+    if (wakeActive) return;
+    try {
+        wakeRecognition.start();
+        wakeActive = true;
+    } catch (e) {
+        console.error('Failed to start the wake phrase listener:', e);
+    }
+    updateListeningIndicator();
+}
+
+// Resolves once the wake listener has let go of the microphone
+function pauseWakeListening() {
+    wakeWanted = false;
+    clearTimeout(wakeResumeTimer);
+    if (!wakeActive) return Promise.resolve();
+    return new Promise(resolve => {
+        onWakePaused = resolve;
+        wakeRecognition.abort();
+    });
+}
+
+// "hey calendar, what's on today" -> "what's on today"; "hey calendar" -> ""; no wake phrase -> null
+function extractWakeCommand(text) {
+    const match = text.match(WAKE_PATTERN);
+    if (!match) return null;
+    return text.slice(match.index + match[0].length).replace(/^[\s,.!?]+/, '').trim();
+}
+
+function updateListeningIndicator() {
+    if (micButton.classList.contains('active')) {
+        listeningIndicator.className = 'command';
+        listeningIndicator.textContent = 'Listening for your command';
+    } else if (wakeActive) {
+        listeningIndicator.className = 'wake';
+        listeningIndicator.textContent = 'Waiting for "Hey Calendar"';
+    } else if (handsFree) {
+        listeningIndicator.className = 'paused';
+        listeningIndicator.textContent = 'Hands-free: working on it';
+    } else {
+        listeningIndicator.className = '';
+        listeningIndicator.textContent = '';
+    }
+}
+
+if (wakeRecognition) {
+    wakeRecognition.continuous = true;
+    wakeRecognition.lang = 'en-US';
+    wakeRecognition.interimResults = false;
+    wakeRecognition.maxAlternatives = 1;
+
+    wakeRecognition.onresult = async (event) => {
+        const result = event.results[event.results.length - 1];
+        const command = extractWakeCommand(result[0].transcript.trim());
+        if (command === null) return; // Talk that wasn't meant for the bot
+        touchHandsFree();
+        if (command) {
+            await pauseWakeListening();
+            updateStatus(`Heard: "${command}"`, false);
+            await sendCommand(command, { spoken: true });
+        } else {
+            updateStatus('Yes? Say your command.');
+            startListening();
+        }
+    };
+
+    wakeRecognition.onerror = (event) => {
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed') {
+            setHandsFree(false, 'Microphone permission denied, so hands-free mode is off.');
+            return;
+        }
+        // 'no-speech', 'network' and 'aborted' just end the session; onend starts a new one if wanted
+        if (event.error !== 'aborted' && event.error !== 'no-speech') console.error('Wake phrase listener error:', event.error);
+    };
+
+    // Browsers end continuous recognition on their own after a while, so it is restarted until paused
+    wakeRecognition.onend = () => {
+        wakeActive = false;
+        if (onWakePaused) {
+            onWakePaused();
+            onWakePaused = null;
+        }
+        updateListeningIndicator();
+        if (wakeWanted) wakeResumeTimer = setTimeout(resumeWakeListening, 250);
+    };
+}
+
+handsFreeToggle.addEventListener('change', () => {
+    setHandsFree(handsFreeToggle.checked, 'Hands-free mode is off. Click the mic or hold Space to talk.');
+});
+
+// Push-to-talk: hold Space (outside text fields and controls) to speak a command, release to send it
+let pushToTalkActive = false;
+
+// Space types into text fields and presses buttons, checkboxes and the like, so it's left alone there
+const SPACE_TARGETS = 'input, textarea, select, button, summary, [contenteditable="true"], '
+    + '[role="button"], [role="checkbox"], [role="radio"], [role="switch"], [role="tab"], [role="menuitem"], [role="option"]';
+
+function usesSpaceKey(target) {
+    return Boolean(target.closest && target.closest(SPACE_TARGETS));
+}
+
+document.addEventListener('keydown', (event) => {
+    if (event.code !== 'Space' || usesSpaceKey(event.target)) return;
+    // Keeps Space from scrolling the page
+    event.preventDefault();
+    if (event.repeat || pushToTalkActive || !isAuth || micButton.disabled || !voiceInputAvailable()) return;
+    if (micButton.classList.contains('active') || commandInFlight) return;
+    pushToTalkActive = true;
+    updateStatus('Listening... Release Space when you are done.');
+    startListening();
+});
+
+document.addEventListener('keyup', (event) => {
+    if (event.code !== 'Space' || !pushToTalkActive) return;
+    event.preventDefault();
+    pushToTalkActive = false;
+    if (recording) stopRecording();
+    else if (recognition && micButton.classList.contains('active')) recognition.stop();
+});
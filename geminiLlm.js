@@ -0,0 +1,30 @@
+// geminiLlm.js
+
+const { GoogleGenAI } = require('@google/genai');
+
+// The Gemini provider. The schema is passed as Gemini's responseSchema so the reply is always JSON.
+// `client` may be anything with the same models.generateContent, e.g. a stub in tests.
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+function createGeminiProvider({ client = null, apiKey = process.env.GEMINI_API_KEY, model = process.env.GEMINI_MODEL || DEFAULT_MODEL } = {}) {
+    const ai = client || new GoogleGenAI({ apiKey });
+
+    async function generateJson({ systemInstruction, text, schema, signal }) {
+        const response = await ai.models.generateContent({
+            model,
+            contents: [{ role: 'user', parts: [{ text }] }],
+            config: {
+                systemInstruction,
+                responseMimeType: "application/json",
+                responseSchema: schema,
+                abortSignal: signal
+            },
+        });
+        return JSON.parse(response.text);
+    }
+
+    return { name: 'gemini', model, generateJson };
+}
+
+module.exports = { createGeminiProvider };
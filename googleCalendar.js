@@ -0,0 +1,118 @@
+// googleCalendar.js
+
+const { google } = require('googleapis');
+const { createTokenStore } = require('./tokenStore');
+
+// The Google Calendar provider. Each browser session connects through OAuth; its tokens live in
+// the token store and the client is the googleapis Calendar v3 client.
+
+const SCOPES = [
+    'https://www.googleapis.com/auth/calendar.events',
+    'https://www.googleapis.com/auth/calendar.freebusy',
+    'https://www.googleapis.com/auth/calendar.calendarlist.readonly'
+];
+
+const REAUTH_REQUIRED = 'REAUTH_REQUIRED';
+
+function reauthRequiredError(message = 'Google Calendar access has expired or was revoked. Please reconnect your calendar.') {
+    const error = new Error(message);
+    error.code = REAUTH_REQUIRED;
+    return error;
+}
+
+function isInvalidGrant(error) {
+    return error?.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error?.message || '');
+}
+
+function getOAuth2Client() {
+    const { GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI } = process.env;
+    if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI) {
+        throw new Error("Missing Google OAuth environment variables.");
+    }
+    const auth = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REDIRECT_URI);
+    return auth;
+}
+
+function createGoogleProvider() {
+    const tokenStore = createTokenStore();
+
+    // Drops the session's dead tokens and surfaces a structured error so callers can prompt a reconnect.
+    async function rethrowIfReauthRequired(sessionId, error) {
+        if (error.code === REAUTH_REQUIRED) throw error;
+        if (isInvalidGrant(error)) {
+            await tokenStore.delete(sessionId);
+            throw reauthRequiredError();
+        }
+    }
+
+    async function setCalendarTokens(sessionId, tokens) {
+        await tokenStore.set(sessionId, tokens);
+        console.log("Calendar tokens successfully set.");
+    }
+
+    async function isAuthenticated(sessionId) {
+        if (!sessionId) return false;
+        return !!(await tokenStore.get(sessionId));
+    }
+
+    async function getClient(sessionId) {
+        const calendarTokens = sessionId ? await tokenStore.get(sessionId) : null;
+        if (!calendarTokens) {
+            throw reauthRequiredError('User not authenticated. Calendar tokens are missing.');
+        }
+        const auth = getOAuth2Client();
+        auth.setCredentials(calendarTokens);
+        auth.on('tokens', async (tokens) => {
+            try {
+                // Google only sends a refresh_token on some refreshes, so merge rather than replace
+                const stored = (await tokenStore.get(sessionId)) || {};
+                await tokenStore.set(sessionId, { ...stored, ...tokens });
+                console.log("Access token refreshed automatically.");
+            } catch (error) {
+                console.error("Failed to persist refreshed tokens:", error.message);
+            }
+        });
+        try {
+            // Forces a refresh if the access token has expired, so a revoked grant is caught up front
+            await auth.getAccessToken();
+        } catch (error) {
+            await rethrowIfReauthRequired(sessionId, error);
+            throw error;
+        }
+        return google.calendar({ version: 'v3', auth });
+    }
+
+    async function disconnect(sessionId) {
+        const calendarTokens = sessionId ? await tokenStore.get(sessionId) : null;
+        if (!calendarTokens) return false;
+        try {
+            const auth = getOAuth2Client();
+            await auth.revokeToken(calendarTokens.refresh_token || calendarTokens.access_token);
+            console.log("Google token revoked.");
+        } catch (error) {
+            // The token may already be expired or revoked on Google's side; local credentials are cleared regardless
+            console.error("Token revocation failed:", error.message);
+        }
+        await tokenStore.delete(sessionId);
+        return true;
+    }
+
+    return {
+        name: 'google',
+        displayName: 'Google Calendar',
+        requiresLogin: true,
+        supportsConferences: true,
+        setCalendarTokens,
+        isAuthenticated,
+        getClient,
+        disconnect,
+        rethrowIfReauthRequired
+    };
+}
+
+module.exports = {
+    createGoogleProvider,
+    getOAuth2Client,
+    SCOPES,
+    REAUTH_REQUIRED
+};
@@ -0,0 +1,357 @@
+// icalendar.js
+
+const { isValidTimeZone, getDefaultTimeZone, zonedTimeToUtc, getLocalDate, getLocalTime, addDays, getWeekday } = require('./timeUtils');
+
+// Reads and writes iCalendar (RFC 5545) text for the local calendar provider. Events are converted
+// to and from the shape the Google Calendar API uses ({ id, summary, start: { dateTime, timeZone } or
+// { date }, end, recurrence: ['RRULE:...'], attendees, reminders, ... }) so calendarService can work
+// with either backend. Only the properties the bot itself reads or writes are kept.
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const PARTSTATS = { accepted: 'ACCEPTED', declined: 'DECLINED', tentative: 'TENTATIVE', needsAction: 'NEEDS-ACTION' };
+const RECURRENCE_PROPERTIES = ['RRULE', 'EXDATE', 'RDATE'];
+// Series without an end are expanded this far when the caller gives no timeMax
+const DEFAULT_EXPANSION_DAYS = 2 * 365;
+
+function escapeText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+// Content lines longer than 75 octets continue on lines that start with a space
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+// 'DTSTART;TZID=Europe/Paris:20261020T150000' -> { name, params: { TZID }, value }
+function parseContentLine(line) {
+    let inQuotes = false;
+    let split = -1;
+    for (let i = 0; i < line.length && split === -1; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) split = i;
+    }
+    if (split === -1) return null;
+    const head = line.slice(0, split);
+    const name = head.split(';')[0].toUpperCase();
+    const params = {};
+    for (const [, key, value] of head.slice(name.length).matchAll(/;([^=;]+)=("[^"]*"|[^;]*)/g)) {
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+    }
+    return { name, params, value: line.slice(split + 1) };
+}
+
+// Returns the top-level components as { name, properties, components } trees
+function parseComponents(text) {
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+    for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+        const property = line.trim() ? parseContentLine(line) : null;
+        if (!property) continue;
+        const current = stack[stack.length - 1];
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            if (stack.length > 1) stack.pop();
+        } else {
+            current.properties.push(property);
+        }
+    }
+    return root.components;
+}
+
+// Dates and date-times: '20261020' (VALUE=DATE), '20261020T150000Z' (UTC) or a wall-clock time
+// in TZID. Unknown zones (e.g. Windows names) and floating times use the server's default zone.
+function parseDateValue(value, params = {}, defaultTimeZone = getDefaultTimeZone()) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const date = `${year}-${month}-${day}`;
+    if (!hours) return { date };
+    const time = `${hours}:${minutes}:${seconds}`;
+    if (utc) return { dateTime: new Date(`${date}T${time}Z`).toISOString() };
+    const timeZone = isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+    return { dateTime: zonedTimeToUtc(date, time, timeZone).toISOString(), timeZone };
+}
+
+// Milliseconds since the epoch for an event time. All-day dates start at midnight in the default zone.
+function getInstant(time) {
+    if (time.date) return zonedTimeToUtc(time.date, '00:00:00', getDefaultTimeZone()).getTime();
+    if (/(Z|[+-]\d\d:\d\d)$/.test(time.dateTime)) return new Date(time.dateTime).getTime();
+    const [date, clock] = time.dateTime.split('T');
+    return zonedTimeToUtc(date, clock, time.timeZone || getDefaultTimeZone()).getTime();
+}
+
+function toUtcStamp(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Occurrence ids follow Google's format: '<series id>_20261020T150000Z' or '<series id>_20261020'
+function instanceId(seriesId, start) {
+    return `${seriesId}_${start.date ? start.date.replace(/-/g, '') : toUtcStamp(getInstant(start))}`;
+}
+
+function formatTimeProperty(name, time) {
+    if (time.date) return `${name};VALUE=DATE:${time.date.replace(/-/g, '')}`;
+    const instant = getInstant(time);
+    if (!isValidTimeZone(time.timeZone)) return `${name}:${toUtcStamp(instant)}`;
+    const wallClock = `${getLocalDate(instant, time.timeZone)}T${getLocalTime(instant, time.timeZone)}`.replace(/[-:]/g, '');
+    return `${name};TZID=${time.timeZone}:${wallClock}`;
+}
+
+function formatProperty({ name, params, value }) {
+    const paramText = Object.entries(params).map(([key, paramValue]) =>
+        `;${key}=${/[:;,]/.test(paramValue) ? `"${paramValue}"` : paramValue}`).join('');
+    return `${name}${paramText}:${value}`;
+}
+
+// 'P1D', '-PT15M', 'PT1H30M' -> seconds
+function parseDuration(value) {
+    const match = (value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    const total = ((+weeks * 7 + +days) * 24 * 60 + +hours * 60 + +minutes) * 60 + +seconds;
+    return sign === '-' ? -total : total;
+}
+
+function addSeconds(time, seconds) {
+    if (time.date) return { date: addDays(time.date, Math.round(seconds / 86400)) };
+    return { dateTime: new Date(getInstant(time) + seconds * 1000).toISOString(), timeZone: time.timeZone };
+}
+
+function eventFromComponent(component) {
+    const get = name => component.properties.find(property => property.name === name);
+    const getText = name => get(name) ? unescapeText(get(name).value) : undefined;
+    const uid = get('UID')?.value;
+    const dtStart = get('DTSTART');
+    const start = dtStart && parseDateValue(dtStart.value, dtStart.params);
+    if (!uid || !start) return null;
+
+    let end = get('DTEND') && parseDateValue(get('DTEND').value, get('DTEND').params);
+    if (!end) {
+        const duration = parseDuration(get('DURATION')?.value);
+        end = addSeconds(start, duration ?? (start.date ? 86400 : 0));
+    }
+
+    const event = {
+        id: uid,
+        iCalUID: uid,
+        status: (get('STATUS')?.value || 'CONFIRMED').toLowerCase(),
+        summary: getText('SUMMARY') || '',
+        start,
+        end
+    };
+    if (get('DESCRIPTION')) event.description = getText('DESCRIPTION');
+    if (get('LOCATION')) event.location = getText('LOCATION');
+    if (get('X-CALENDARBOT-COLOR-ID')) event.colorId = get('X-CALENDARBOT-COLOR-ID').value;
+    if (get('TRANSP')?.value === 'TRANSPARENT') event.transparency = 'transparent';
+    if (get('CREATED')) event.created = parseDateValue(get('CREATED').value)?.dateTime;
+    if (get('LAST-MODIFIED')) event.updated = parseDateValue(get('LAST-MODIFIED').value)?.dateTime;
+
+    const recurrence = component.properties.filter(property => RECURRENCE_PROPERTIES.includes(property.name)).map(formatProperty);
+    if (recurrence.length > 0) event.recurrence = recurrence;
+
+    const attendees = component.properties.filter(property => property.name === 'ATTENDEE').map(property => {
+        const attendee = { email: property.value.replace(/^mailto:/i, '') };
+        if (property.params.CN) attendee.displayName = property.params.CN;
+        const status = Object.keys(PARTSTATS).find(key => PARTSTATS[key] === property.params.PARTSTAT);
+        attendee.responseStatus = status || 'needsAction';
+        return attendee;
+    });
+    if (attendees.length > 0) event.attendees = attendees;
+
+    const overrides = component.components
+        .filter(alarm => alarm.name === 'VALARM')
+        .map(alarm => parseDuration(alarm.properties.find(property => property.name === 'TRIGGER')?.value))
+        .filter(seconds => seconds !== null && seconds <= 0)
+        .map(seconds => ({ method: 'popup', minutes: Math.round(-seconds / 60) }));
+    event.reminders = overrides.length > 0 ? { useDefault: false, overrides } : { useDefault: true };
+
+    // A modified occurrence of a series shares the series' UID and names the start it replaces
+    const recurrenceId = get('RECURRENCE-ID');
+    if (recurrenceId) {
+        event.recurringEventId = uid;
+        event.originalStartTime = parseDateValue(recurrenceId.value, recurrenceId.params);
+        event.id = instanceId(uid, event.originalStartTime);
+    }
+    return event;
+}
+
+function eventToLines(event) {
+    const uid = event.recurringEventId || event.id;
+    const now = toUtcStamp(Date.now());
+    const lines = ['BEGIN:VEVENT', `UID:${uid}`, `DTSTAMP:${now}`];
+    if (event.created) lines.push(`CREATED:${toUtcStamp(event.created)}`);
+    lines.push(`LAST-MODIFIED:${event.updated ? toUtcStamp(event.updated) : now}`);
+    if (event.recurringEventId && event.originalStartTime) lines.push(formatTimeProperty('RECURRENCE-ID', event.originalStartTime));
+    lines.push(formatTimeProperty('DTSTART', event.start), formatTimeProperty('DTEND', event.end || event.start));
+    lines.push(`SUMMARY:${escapeText(event.summary || '')}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.status && event.status !== 'confirmed') lines.push(`STATUS:${event.status.toUpperCase()}`);
+    if (event.transparency === 'transparent') lines.push('TRANSP:TRANSPARENT');
+    if (event.colorId) lines.push(`X-CALENDARBOT-COLOR-ID:${event.colorId}`);
+    if (!event.recurringEventId) lines.push(...(event.recurrence || []));
+    for (const attendee of event.attendees || []) {
+        const params = [`PARTSTAT=${PARTSTATS[attendee.responseStatus] || 'NEEDS-ACTION'}`];
+        if (attendee.displayName) params.unshift(`CN="${attendee.displayName.replace(/"/g, '')}"`);
+        lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+    }
+    if (event.reminders && !event.reminders.useDefault) {
+        for (const reminder of event.reminders.overrides || []) {
+            lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapeText(event.summary || 'Reminder')}`, `TRIGGER:-PT${reminder.minutes}M`, 'END:VALARM');
+        }
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// Returns every VEVENT in the text: series masters, single events and modified occurrences
+function parseEvents(text) {
+    return parseComponents(text)
+        .filter(component => component.name === 'VCALENDAR')
+        .flatMap(calendar => calendar.components.filter(component => component.name === 'VEVENT'))
+        .map(eventFromComponent)
+        .filter(Boolean);
+}
+
+function serializeCalendar(events, { name } = {}) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//calendarbot//EN', 'CALSCALE:GREGORIAN'];
+    if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    for (const event of events) lines.push(...eventToLines(event));
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function formatDateParts(year, monthIndex, day) {
+    return new Date(Date.UTC(year, monthIndex, day)).toISOString().split('T')[0];
+}
+
+// Candidate dates in the period `offset` periods after the series start, in order
+function getPeriodDates(frequency, startDate, offset, byDay) {
+    const [year, month, day] = startDate.split('-').map(Number);
+    switch (frequency) {
+        case 'DAILY': {
+            const date = addDays(startDate, offset);
+            return !byDay || byDay.some(code => code.endsWith(WEEKDAY_CODES[getWeekday(date)])) ? [date] : [];
+        }
+        case 'WEEKLY': {
+            // Weeks start on Monday (the RFC 5545 default for WKST)
+            const weekStart = addDays(startDate, offset * 7 - (getWeekday(startDate) + 6) % 7);
+            const weekdays = byDay ? byDay.map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(index => index >= 0) : [getWeekday(startDate)];
+            return weekdays.map(weekday => addDays(weekStart, (weekday + 6) % 7)).sort();
+        }
+        case 'MONTHLY': {
+            const first = new Date(Date.UTC(year, month - 1 + offset, 1));
+            const [targetYear, targetMonth] = [first.getUTCFullYear(), first.getUTCMonth()];
+            const daysInMonth = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+            if (!byDay) return day <= daysInMonth ? [formatDateParts(targetYear, targetMonth, day)] : [];
+            // BYDAY=2TU is the second Tuesday, -1FR the last Friday, plain TU every Tuesday
+            const dates = [];
+            for (const code of byDay) {
+                const [, ordinal, weekdayCode] = code.match(/^([+-]?\d+)?([A-Z]{2})$/) || [];
+                const matching = [];
+                for (let dayOfMonth = 1; dayOfMonth <= daysInMonth; dayOfMonth++) {
+                    const date = formatDateParts(targetYear, targetMonth, dayOfMonth);
+                    if (WEEKDAY_CODES[getWeekday(date)] === weekdayCode) matching.push(date);
+                }
+                if (!ordinal) dates.push(...matching);
+                else {
+                    const nth = parseInt(ordinal, 10);
+                    const date = nth > 0 ? matching[nth - 1] : matching[matching.length + nth];
+                    if (date) dates.push(date);
+                }
+            }
+            return [...new Set(dates)].sort();
+        }
+        case 'YEARLY': {
+            const date = formatDateParts(year + offset, month - 1, day);
+            // Feb 29 only occurs in leap years
+            return date.endsWith(`-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`) ? [date] : [];
+        }
+        default:
+            return [];
+    }
+}
+
+// Start times of a series' occurrences that begin before timeMax (ms), honouring INTERVAL, BYDAY,
+// UNTIL, COUNT and EXDATE. Occurrences keep the series' wall-clock time across DST changes.
+function expandRecurrence(event, timeMax = Date.now() + DEFAULT_EXPANSION_DAYS * 86400000) {
+    const ruleLine = (event.recurrence || []).find(line => line.startsWith('RRULE:'));
+    if (!ruleLine) return [event.start];
+    const rule = Object.fromEntries(ruleLine.slice('RRULE:'.length).split(';').map(part => part.split('=')));
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return [event.start];
+
+    const timeZone = event.start.timeZone || 'UTC';
+    const startInstant = getInstant(event.start);
+    const startDate = event.start.date || getLocalDate(startInstant, timeZone);
+    const clock = event.start.date ? null : getLocalTime(startInstant, timeZone);
+    const interval = Math.max(parseInt(rule.INTERVAL || '1', 10), 1);
+    const count = rule.COUNT ? parseInt(rule.COUNT, 10) : null;
+    const until = rule.UNTIL ? parseDateValue(rule.UNTIL, {}, timeZone) : null;
+    const untilInstant = !until ? Infinity : until.date ? getInstant({ date: addDays(until.date, 1) }) - 1 : getInstant(until);
+    const byDay = rule.BYDAY ? rule.BYDAY.split(',') : null;
+
+    const excluded = new Set();
+    for (const line of event.recurrence.filter(entry => entry.startsWith('EXDATE'))) {
+        const property = parseContentLine(line);
+        for (const value of property.value.split(',')) {
+            const time = parseDateValue(value, property.params, timeZone);
+            if (time) excluded.add(getInstant(time));
+        }
+    }
+
+    const occurrences = [];
+    let produced = 0;
+    // Bounded so a malformed rule can never loop forever
+    for (let period = 0; period < 10000; period++) {
+        for (const date of getPeriodDates(rule.FREQ, startDate, period * interval, byDay)) {
+            if (date < startDate) continue;
+            const start = clock
+                ? { dateTime: zonedTimeToUtc(date, clock, timeZone).toISOString(), timeZone: event.start.timeZone }
+                : { date };
+            const instant = getInstant(start);
+            if ((count !== null && produced >= count) || instant > untilInstant || instant >= timeMax) return occurrences;
+            produced++;
+            if (!excluded.has(instant)) occurrences.push(start);
+        }
+    }
+    return occurrences;
+}
+
+// The occurrences of a series as events, with modified occurrences (overrides) swapped in
+function expandSeries(master, overrides, timeMax) {
+    const { recurrence, ...fields } = master;
+    const duration = (getInstant(master.end) - getInstant(master.start)) / 1000;
+    return expandRecurrence(master, timeMax).map(start => {
+        const id = instanceId(master.id, start);
+        const override = overrides.find(event => event.id === id);
+        if (override) return override;
+        return { ...fields, id, recurringEventId: master.id, originalStartTime: start, start, end: addSeconds(start, duration) };
+    });
+}
+
+module.exports = {
+    parseEvents,
+    serializeCalendar,
+    parseDateValue,
+    formatTimeProperty,
+    getInstant,
+    instanceId,
+    expandSeries
+};
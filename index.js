@@ -4,16 +4,31 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const { google } = require('googleapis');
-const { parseCommand } = require('./llmParser');
+const { parseCommand, parseFollowUp } = require('./llmParser');
+const { sessionMiddleware } = require('./session');
+const { createOAuthState, consumeOAuthState, resolvePostLoginRedirect, withAuthResult } = require('./oauthState');
+const { getPreferences, updatePreferences } = require('./userPreferences');
+const { getPendingAction, setPendingAction, clearPendingAction, getLastChange, setLastChange, clearLastChange } = require('./conversation');
+const { getSttInfo, transcribeAudio } = require('./speechToText');
+const { isValidTimeZone, resolveTimeZone, getTodayInZone, addDays, getWeekday, formatDate, formatTime } = require('./timeUtils');
 const { 
     getOAuth2Client, 
+    getProviderInfo,
     setCalendarTokens, 
     isAuthenticated,
+    getCalendarClient,
+    revokeCalendarTokens,
+    listCalendars,
+    resolveCalendarSelection,
     createCalendarEvent, 
     queryCalendarEvents,
     modifyCalendarEvent,
     SCOPES, 
-    deleteCalendarEvents
+    REAUTH_REQUIRED,
+    deleteCalendarEvents,
+    deleteCalendarEvent,
+    undoCalendarChanges,
+    findFreeSlots
 } = require('./calendarService');
 
 const app = express();
@@ -21,6 +36,7 @@ const app = express();
 // Serve static files from the 'frontend' directory
 app.use(express.static(path.join(__dirname, 'frontend')));
 app.use(express.json());
+app.use(sessionMiddleware());
 
 const PORT = process.env.PORT || 9000;
 
@@ -30,40 +46,536 @@ app.get('/', (req, res) => {
 });
 
 // OAuth2 Setup
-app.get('/api/auth/google', (req, res) => {
+app.get('/api/auth/google', async (req, res) => {
+    const provider = getProviderInfo();
+    if (!provider.requiresLogin) {
+        return res.status(400).json({ status: 'error', message: `Google sign-in isn't used with the ${provider.displayName}.` });
+    }
     const auth = getOAuth2Client();
-    const authUrl = auth.generateAuthUrl({ scope: SCOPES, access_type: 'offline' });
+    const { codeVerifier, codeChallenge } = await auth.generateCodeVerifierAsync();
+    const state = createOAuthState(req.sessionId, {
+        codeVerifier,
+        redirectTo: resolvePostLoginRedirect(req.query.redirect)
+    });
+    const authUrl = auth.generateAuthUrl({
+        scope: SCOPES,
+        access_type: 'offline',
+        state,
+        code_challenge_method: 'S256',
+        code_challenge: codeChallenge
+    });
     res.json({ authUrl });
 });
 
 app.get('/oauth2callback', async (req, res) => {
-    const code = req.query.code;
+    const { code, state } = req.query;
+    const pendingLogin = consumeOAuthState(req.sessionId, state);
+    if (!pendingLogin) {
+        console.log('Error: Invalid or expired OAuth state');
+        return res.status(400).send('<h1>Invalid Login Request</h1><p>This sign-in link is invalid or has expired. Please start again from the app.</p>');
+    }
     if (!code) {
         return res.status(400).send('<h1>Authorization Code Missing</h1>');
     }
 
     try {
         const auth = getOAuth2Client();
-        const { tokens } = await auth.getToken(code);
-        console.log('Tokens received and set:', tokens);
-        setCalendarTokens(tokens);
-        res.redirect('http://localhost:9000/?auth=success');
+        const { tokens } = await auth.getToken({ code, codeVerifier: pendingLogin.codeVerifier });
+        console.log('Tokens received and set for session.');
+        await setCalendarTokens(req.sessionId, tokens);
+        res.redirect(withAuthResult(pendingLogin.redirectTo, 'success'));
     } catch (error) {
         console.error("Token exchange failed:", error.message);
         res.status(500).send('<h1>Error</h1><p>Token exchange failed. Check server logs.</p>');
     }
 });
 
-app.get('/api/auth/status', (req, res) => {
-    res.json({ authenticated: isAuthenticated() });
+app.get('/api/auth/status', async (req, res) => {
+    const { name: provider, requiresLogin } = getProviderInfo();
+    if (!(await isAuthenticated(req.sessionId))) {
+        return res.json({ authenticated: false, provider, requiresLogin });
+    }
+    try {
+        await getCalendarClient(req.sessionId);
+        res.json({ authenticated: true, provider, requiresLogin });
+    } catch (error) {
+        if (error.code === REAUTH_REQUIRED) {
+            return res.json({ authenticated: false, reauthRequired: true, provider, requiresLogin });
+        }
+        console.error("Auth status check failed:", error.message);
+        res.json({ authenticated: true, provider, requiresLogin });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const wasConnected = await revokeCalendarTokens(req.sessionId);
+        res.json({ status: 'success', message: wasConnected ? 'Your Google Calendar has been disconnected.' : 'No calendar was connected.' });
+    } catch (error) {
+        console.error("Logout failed:", error.message);
+        res.status(500).json({ status: 'error', message: 'Failed to disconnect your calendar. Check server logs.' });
+    }
 });
 
 
+// A timezone the user picked explicitly wins over the one their browser reports
+function getRequestTimeZone(req) {
+    return resolveTimeZone(getPreferences(req.sessionId).timeZone, req.body?.timeZone || req.query?.timeZone);
+}
+
+app.get('/api/settings', (req, res) => {
+    const { timeZone } = getPreferences(req.sessionId);
+    res.json({ timeZone: timeZone || null, effectiveTimeZone: resolveTimeZone(timeZone, req.query.timeZone) });
+});
+
+const isCalendarId = value => typeof value === 'string' && value.trim() !== '';
+
+app.post('/api/settings', async (req, res) => {
+    const changes = {};
+    if ('timeZone' in req.body) {
+        const { timeZone } = req.body;
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            return res.status(400).json({ status: 'error', message: `Unknown timezone '${timeZone}'. Use an IANA name such as 'America/New_York'.` });
+        }
+        changes.timeZone = timeZone || null;
+    }
+    if ('defaultCalendarId' in req.body) {
+        const { defaultCalendarId } = req.body;
+        if (defaultCalendarId && !isCalendarId(defaultCalendarId)) {
+            return res.status(400).json({ status: 'error', message: 'defaultCalendarId must be a calendar id.' });
+        }
+        changes.defaultCalendarId = defaultCalendarId || null;
+    }
+    if ('selectedCalendarIds' in req.body) {
+        const { selectedCalendarIds } = req.body;
+        if (selectedCalendarIds && (!Array.isArray(selectedCalendarIds) || !selectedCalendarIds.every(isCalendarId))) {
+            return res.status(400).json({ status: 'error', message: 'selectedCalendarIds must be a list of calendar ids.' });
+        }
+        changes.selectedCalendarIds = selectedCalendarIds?.length ? selectedCalendarIds : null;
+    }
+    // Calendar ids are passed to the calendar API later, so only the user's own calendars are stored
+    const calendarIds = [changes.defaultCalendarId, ...(changes.selectedCalendarIds || [])].filter(Boolean);
+    if (calendarIds.length > 0) {
+        if (!(await isAuthenticated(req.sessionId))) {
+            return res.status(401).json({ status: 'error', message: "Authentication required. Please connect your Google Calendar first." });
+        }
+        try {
+            const known = (await listCalendars(req.sessionId)).map(calendar => calendar.id);
+            const unknown = calendarIds.filter(id => !known.includes(id));
+            if (unknown.length > 0) {
+                return res.status(400).json({ status: 'error', message: `Unknown calendar ${unknown.map(id => `'${id}'`).join(', ')}. Choose one from your calendar list.` });
+            }
+        } catch (error) {
+            console.error("Checking calendars failed:", error.message);
+            if (error.code === REAUTH_REQUIRED) {
+                return res.status(401).json({ status: 'error', reauthRequired: true, message: "Your calendar connection has expired. Please reconnect." });
+            }
+            return res.status(500).json({ status: 'error', message: `Error: ${error.message}` });
+        }
+    }
+    const preferences = updatePreferences(req.sessionId, changes);
+    res.json({
+        status: 'success',
+        timeZone: preferences.timeZone || null,
+        defaultCalendarId: preferences.defaultCalendarId || null,
+        selectedCalendarIds: preferences.selectedCalendarIds || null
+    });
+});
+
+app.get('/api/calendars', async (req, res) => {
+    if (!(await isAuthenticated(req.sessionId))) {
+        return res.status(401).json({ status: 'error', message: "Authentication required. Please connect your Google Calendar first." });
+    }
+    try {
+        const preferences = getPreferences(req.sessionId);
+        const selection = await resolveCalendarSelection(req.sessionId, {
+            defaultCalendar: preferences.defaultCalendarId,
+            selectedCalendars: preferences.selectedCalendarIds
+        });
+        res.json({
+            status: 'success',
+            calendars: await listCalendars(req.sessionId),
+            defaultCalendarId: selection.calendarId,
+            selectedCalendarIds: selection.calendarIds
+        });
+    } catch (error) {
+        console.error("Listing calendars failed:", error.message);
+        if (error.code === REAUTH_REQUIRED) {
+            return res.status(401).json({ status: 'error', reauthRequired: true, message: "Your calendar connection has expired. Please reconnect." });
+        }
+        res.status(500).json({ status: 'error', message: `Error: ${error.message}` });
+    }
+});
+
+// The events on a day, or the Monday-to-Sunday week around it, for the agenda panel
+app.get('/api/agenda', async (req, res) => {
+    if (!(await isAuthenticated(req.sessionId))) {
+        return res.status(401).json({ status: 'error', message: "Authentication required. Please connect your Google Calendar first." });
+    }
+    const timeZone = getRequestTimeZone(req);
+    const view = req.query.view === 'week' ? 'week' : 'day';
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : getTodayInZone(timeZone);
+    const startDate = view === 'week' ? addDays(date, -((getWeekday(date) + 6) % 7)) : date;
+    const endDate = view === 'week' ? addDays(startDate, 6) : date;
+    try {
+        const preferences = getPreferences(req.sessionId);
+        const selection = await resolveCalendarSelection(req.sessionId, {
+            defaultCalendar: preferences.defaultCalendarId,
+            selectedCalendars: preferences.selectedCalendarIds
+        });
+        const queryResult = await queryCalendarEvents({ sessionId: req.sessionId, timeZone, ...selection }, { startDate, endDate });
+        res.json({ status: 'success', view, date, startDate, endDate, timeZone, events: queryResult.events });
+    } catch (error) {
+        console.error("Loading the agenda failed:", error.message);
+        if (error.code === REAUTH_REQUIRED) {
+            return res.status(401).json({ status: 'error', reauthRequired: true, message: "Your calendar connection has expired. Please reconnect." });
+        }
+        res.status(500).json({ status: 'error', message: `Error: ${error.message}` });
+    }
+});
+
+// Tells the browser whether it can send recordings to /api/transcribe instead of using its own recognizer
+app.get('/api/speech', (req, res) => {
+    const { enabled, engine, preferServer } = getSttInfo();
+    res.json({ serverTranscription: enabled, engine, preferServer });
+});
+
+// Checked before the recording is read, so sessions without a calendar can't make the server buffer uploads
+async function requireConnectedCalendar(req, res, next) {
+    if (!(await isAuthenticated(req.sessionId))) {
+        return res.status(401).json({ status: 'error', message: "Authentication required. Please connect your Google Calendar first." });
+    }
+    next();
+}
+
+// Turns a MediaRecorder recording into text. The browser sends the transcript on to /api/command,
+// exactly as it does with speech its own recognizer heard.
+app.post('/api/transcribe', requireConnectedCalendar, express.raw({ type: ['audio/*', 'video/webm', 'application/octet-stream'], limit: getSttInfo().maxBytes }), async (req, res) => {
+    if (!getSttInfo().enabled) {
+        return res.status(503).json({ status: 'error', message: "Speech recognition isn't set up on the server. Please type your command." });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ status: 'error', message: "No audio received. Please try speaking again." });
+    }
+    try {
+        const transcript = await transcribeAudio(req.body, { mimeType: req.get('content-type') });
+        if (!transcript) {
+            return res.json({ status: 'error', message: "I didn't catch that. Please try speaking again." });
+        }
+        res.json({ status: 'success', transcript });
+    } catch (error) {
+        console.error("Transcription failed:", error.message);
+        res.status(500).json({ status: 'error', message: `Transcription failed: ${error.message}` });
+    }
+});
+
+// Follow-up questions whose answer resumes the paused action rather than starting a new command
+const FOLLOW_UP_TYPES = ['conflict', 'recurrenceScope', 'timeRange', 'confirmDelete', 'attendees'];
+
+const MISSING_DETAIL_QUESTIONS = {
+    title: 'What should I call it?',
+    date: 'What day should it be on?',
+    startTime: 'What time should it start?',
+    endTime: 'What time should it end?',
+    targetDate: 'Which day should I clear?'
+};
+
+// Shown to streaming clients once the command is understood
+const PROGRESS_MESSAGES = {
+    CREATE_EVENT: 'Scheduling the event...',
+    QUERY_EVENTS: 'Checking your calendar...',
+    MODIFY_EVENT: 'Finding the event to change...',
+    DELETE_EVENTS: 'Finding what to cancel...',
+    FIND_FREE_TIME: 'Looking for free time...',
+    LIST_CALENDARS: 'Listing your calendars...',
+    UNDO: 'Undoing your last change...'
+};
+
+// Where each intent keeps its details in the parsed command
+const DETAIL_SECTIONS = {
+    CREATE_EVENT: 'eventDetails',
+    QUERY_EVENTS: 'queryDetails',
+    MODIFY_EVENT: 'modifyDetails',
+    DELETE_EVENTS: 'deleteDetails',
+    FIND_FREE_TIME: 'freeTimeDetails'
+};
+
+const EXAMPLE_VALUES = { date: '"next Tuesday" or "March 3"', time: '"4 PM"' };
+
+function describeCreatedEvent(calendarResult, context) {
+    const guests = calendarResult.guests ? ` with ${calendarResult.guests}` : '';
+    const recurrence = calendarResult.recurrence ? `, repeating ${calendarResult.recurrence}` : '';
+    const calendarName = (context.calendars || []).length > 1 ? ` on your ${calendarResult.calendar} calendar` : '';
+    return `Okay, I've scheduled "${calendarResult.title}"${calendarName} starting at ${formatTime(calendarResult.start, context.timeZone)}${guests}${recurrence}.`;
+}
+
+// Remembers a paused action together with the calendars it was working on
+function rememberPendingAction(context, pending) {
+    const { calendarId, calendarIds, calendars } = context;
+    setPendingAction(context.sessionId, { ...pending, calendarContext: { calendarId, calendarIds, calendars } });
+}
+
+// Turns a service-level clarification into a bot response, remembering the action if the answer should resume it
+function clarificationResponse(context, clarification, pendingAction) {
+    const { type, message, options, conflicts, events, nextFreeSlot, unresolved } = clarification;
+    if (FOLLOW_UP_TYPES.includes(type)) {
+        rememberPendingAction(context, {
+            ...pendingAction,
+            awaiting: type,
+            question: message,
+            choices: options,
+            nextFreeSlot,
+            unresolved,
+            missing: type === 'timeRange' ? ['startTime', 'endTime'] : []
+        });
+    }
+    return { status: 'clarification', message, data: { type, options, conflicts, events } };
+}
+
+// Asks for the first required detail the command left out, e.g. "What time should it start?"
+function askForMissingDetails(context, intent, details, missing, preface = '') {
+    const question = MISSING_DETAIL_QUESTIONS[missing[0]];
+    rememberPendingAction(context, { awaiting: 'details', intent, details, missing, question });
+    return { status: 'clarification', message: `${preface}${question}`, data: { type: 'details', missing } };
+}
+
+function findMissingDetails(intent, details) {
+    if (intent === 'CREATE_EVENT') return ['title', 'date', 'startTime'].filter(field => !details[field]);
+    if (intent === 'DELETE_EVENTS') return details.targetDate ? [] : ['targetDate'];
+    return [];
+}
+
+// Asks again for a date or time the model gave in a form we couldn't read ("after lunch"), or an end
+// before the start. New events and whole-day deletes resume with the answer; anything else is said again.
+function askAboutInvalidDetails(context, intent, details, problems) {
+    const [problem] = problems;
+    const preface = problem.reason === 'beforeStart'
+        ? 'That would end before it starts. '
+        : `I couldn't understand "${problem.value}" as a ${problem.kind}. `;
+    const resumable = intent === 'CREATE_EVENT' || (intent === 'DELETE_EVENTS' && !details.eventName && !details.attendee);
+    if (resumable && MISSING_DETAIL_QUESTIONS[problem.field]) {
+        const missing = [...new Set([problem.field, ...findMissingDetails(intent, details)])];
+        return askForMissingDetails(context, intent, details, missing, preface);
+    }
+    return {
+        status: 'clarification',
+        message: `${preface}Could you say that again with the ${problem.kind}, e.g. ${EXAMPLE_VALUES[problem.kind]}?`,
+        data: { type: 'invalidDetails', problems }
+    };
+}
+
+function addMinutesToTime(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}:00`;
+}
+
+// Merges the values from a follow-up answer into the paused action's details. A new start time
+// without an end time keeps the original duration ("make it 5 instead").
+function applyFollowUpSlots(intent, details, slots = {}) {
+    const merged = { ...details };
+    if (slots.date) merged[intent === 'DELETE_EVENTS' ? 'targetDate' : 'date'] = slots.date;
+    if (slots.title && intent === 'CREATE_EVENT') merged.title = slots.title;
+    if (slots.description) merged.description = slots.description;
+    if (slots.startTime) {
+        merged.startTime = slots.startTime;
+        if (!slots.endTime && details.startTime && details.endTime) {
+            const [startHours, startMinutes] = details.startTime.split(':').map(Number);
+            const [endHours, endMinutes] = details.endTime.split(':').map(Number);
+            merged.endTime = addMinutesToTime(slots.startTime, (endHours * 60 + endMinutes) - (startHours * 60 + startMinutes));
+        }
+    }
+    if (slots.endTime) merged.endTime = slots.endTime;
+    return merged;
+}
+
+async function runCreate(context, details, options = {}) {
+    const missing = findMissingDetails('CREATE_EVENT', details);
+    if (missing.length > 0) return askForMissingDetails(context, 'CREATE_EVENT', details, missing);
+    const calendarResult = await createCalendarEvent(context, details, options);
+    console.log('Create event result:', calendarResult);
+    if (calendarResult.clarificationNeeded) {
+        return clarificationResponse(context, calendarResult.clarificationNeeded, { intent: 'CREATE_EVENT', details, options });
+    }
+    return { status: 'success', message: describeCreatedEvent(calendarResult, context), data: calendarResult, changedEvents: calendarResult.changedEvents };
+}
+
+async function runModify(context, eventId, details, options = {}) {
+    const modifyResult = await modifyCalendarEvent(context, eventId, details, options);
+    console.log('Modify event result:', modifyResult);
+    if (modifyResult.clarificationNeeded) {
+        return clarificationResponse(context, modifyResult.clarificationNeeded, { intent: 'MODIFY_EVENT', eventId, details, options });
+    } else if (modifyResult.status === 'success') {
+        setLastChange(context.sessionId, { description: `the change to '${modifyResult.title}'`, steps: modifyResult.undo });
+        return { status: 'success', message: modifyResult.message, data: null, changedEvents: modifyResult.changedEvents };
+    }
+    return { status: 'error', message: `Failed to modify event: ${modifyResult.message || 'Unknown error'}`, data: null };
+}
+
+async function runUndo(context) {
+    const lastChange = getLastChange(context.sessionId);
+    if (!lastChange) {
+        return { status: 'error', message: "There's nothing recent to undo.", data: null };
+    }
+    const undoResult = await undoCalendarChanges(context, lastChange.steps);
+    console.log('Undo result:', undoResult);
+    if (undoResult.status !== 'success') {
+        return { status: 'error', message: undoResult.message, data: null };
+    }
+    clearLastChange(context.sessionId);
+    return { status: 'success', message: `Okay, I undid ${lastChange.description}.`, data: null };
+}
+
+async function runDelete(context, details, options = {}) {
+    const missing = findMissingDetails('DELETE_EVENTS', details);
+    if (missing.length > 0) return askForMissingDetails(context, 'DELETE_EVENTS', details, missing);
+    const deleteResult = await deleteCalendarEvents(context, details, options);
+    console.log('Delete events result:', deleteResult);
+    // Recorded first, so a delete that failed part-way can still be undone
+    if (deleteResult.deletedCount > 0) {
+        setLastChange(context.sessionId, {
+            description: `deleting ${deleteResult.deletedCount} meeting${deleteResult.deletedCount === 1 ? '' : 's'} on ${formatDate(details.targetDate)}`,
+            steps: deleteResult.undo
+        });
+    }
+    if (deleteResult.clarificationNeeded) {
+        return clarificationResponse(context, deleteResult.clarificationNeeded, { intent: 'DELETE_EVENTS', details, options });
+    }
+    return { status: 'success', message: deleteResult.message, data: null, changedEvents: deleteResult.changedEvents };
+}
+
+async function runDeleteEvent(context, eventId, details, options = {}) {
+    const deleteResult = await deleteCalendarEvent(context, eventId, { ...options, note: details.cancellationNote });
+    console.log('Delete event result:', deleteResult);
+    if (deleteResult.clarificationNeeded) {
+        return clarificationResponse(context, deleteResult.clarificationNeeded, { intent: 'DELETE_EVENTS', eventId, details, options });
+    } else if (deleteResult.status === 'success') {
+        setLastChange(context.sessionId, { description: `cancelling '${deleteResult.title}'`, steps: deleteResult.undo });
+        return { status: 'success', message: deleteResult.message, data: null, changedEvents: deleteResult.changedEvents };
+    }
+    return { status: 'error', message: deleteResult.message, data: null };
+}
+
+// Finds the event a modify or single delete refers to by (partial) title and/or attendee on the
+// given day (default today). Several matches are listed so the user can pick one.
+async function runOnNamedEvent(context, intent, { eventName, attendee, date }, details) {
+    const targetDate = date || getTodayInZone(context.timeZone);
+    const queryResult = await queryCalendarEvents(context, { targetDate, keyword: eventName, attendee });
+    console.log('Query for named events:', queryResult);
+    const matchingEvents = eventName
+        ? queryResult.events.filter(e => e.title.toLowerCase().includes(eventName.toLowerCase()))
+        : queryResult.events;
+    const described = [eventName && `'${eventName}'`, attendee && `with ${attendee}`].filter(Boolean).join(' ');
+
+    context.onProgress?.({ stage: 'matched', count: matchingEvents.length, message: `Found ${matchingEvents.length} event${matchingEvents.length === 1 ? '' : 's'} matching ${described}.` });
+
+    if (matchingEvents.length === 0) {
+        return { status: 'error', message: `No event found matching ${described} on ${formatDate(targetDate)}.`, data: null };
+    }
+    if (matchingEvents.length > 1) {
+        const question = `I found ${matchingEvents.length} events matching ${described} on ${formatDate(targetDate)}: ${matchingEvents.map((e, index) => `${index + 1}. ${e.title} at ${e.startTime}`).join('; ')}. Which one did you mean?`;
+        rememberPendingAction(context, {
+            awaiting: 'eventChoice',
+            intent,
+            details,
+            choices: matchingEvents.map(e => ({ id: e.id, calendarId: e.calendarId, title: e.title, startTime: e.startTime })),
+            question
+        });
+        return { status: 'clarification', message: question, data: { type: 'eventChoice', options: matchingEvents } };
+    }
+    // The event is changed on whichever calendar it was found on
+    const eventContext = { ...context, calendarId: matchingEvents[0].calendarId };
+    if (intent === 'DELETE_EVENTS') return runDeleteEvent(eventContext, matchingEvents[0].id, details);
+    return runModify(eventContext, matchingEvents[0].id, details);
+}
+
+function runPendingIntent(context, pending, details, options) {
+    if (pending.intent === 'CREATE_EVENT') return runCreate(context, details, options);
+    if (pending.intent === 'MODIFY_EVENT') return runModify(context, pending.eventId, details, options);
+    if (pending.eventId) return runDeleteEvent(context, pending.eventId, details, options);
+    return runDelete(context, details, options);
+}
+
+// Resumes the paused action with the user's answer, or returns null if the answer wasn't recognized
+async function resumePendingAction(context, pending, commandText) {
+    const reply = await parseFollowUp(commandText, pending, context.timeZone);
+    if (reply.cancel) {
+        return { status: 'success', message: 'Okay, I left your calendar unchanged.', data: null };
+    }
+
+    const slots = reply.slots || {};
+    const hasSlots = Object.values(slots).some(Boolean);
+    const { details, options = {} } = pending;
+
+    if (pending.awaiting === 'conflict') {
+        if (reply.choice === 'book') return runPendingIntent(context, pending, details, { ...options, allowConflicts: true });
+        if (reply.choice === 'next') {
+            if (!pending.nextFreeSlot) {
+                return { status: 'error', message: 'I could not find a free slot in the next week. Your calendar was left unchanged.', data: null };
+            }
+            const { date, startTime, endTime } = pending.nextFreeSlot;
+            return runPendingIntent(context, pending, { ...details, date, startTime, endTime }, { ...options, allowConflicts: true });
+        }
+        // A different time ("make it 5 instead") is checked for conflicts again
+        if (hasSlots) return runPendingIntent(context, pending, applyFollowUpSlots(pending.intent, details, slots), options);
+        return null;
+    }
+
+    if (pending.awaiting === 'confirmDelete') {
+        if (reply.choice !== 'yes') return null;
+        return runDelete(context, details, { ...options, confirmed: true });
+    }
+
+    if (pending.awaiting === 'attendees') {
+        if (!slots.attendees?.length) return null;
+        // The addresses stand in for the names the contacts file didn't know, in the order given
+        const field = pending.intent === 'MODIFY_EVENT' ? 'addAttendees' : 'attendees';
+        const addresses = [...slots.attendees];
+        const guests = (details[field] || []).map(name => pending.unresolved.includes(name) && addresses.length > 0 ? addresses.shift() : name);
+        return runPendingIntent(context, pending, { ...details, [field]: [...guests, ...addresses] }, options);
+    }
+
+    if (pending.awaiting === 'recurrenceScope') {
+        if (!['this', 'following', 'all'].includes(reply.choice)) return null;
+        return runPendingIntent(context, pending, details, { ...options, recurrenceScope: reply.choice });
+    }
+
+    if (pending.awaiting === 'eventChoice' || pending.awaiting === 'slot') {
+        const chosen = pending.choices.find(choice => String(choice.id) === String(reply.choice));
+        if (!chosen) return null;
+        if (pending.awaiting === 'slot') {
+            const { date, startTime, endTime } = chosen;
+            return runCreate(context, { ...details, date, startTime, endTime });
+        }
+        const eventContext = { ...context, calendarId: chosen.calendarId };
+        if (pending.intent === 'DELETE_EVENTS') return runDeleteEvent(eventContext, chosen.id, details);
+        return runModify(eventContext, chosen.id, applyFollowUpSlots('MODIFY_EVENT', details, slots));
+    }
+
+    // 'details' and 'timeRange': fill in what was missing, asking again if something still is
+    if (!hasSlots) return null;
+    return runPendingIntent(context, pending, applyFollowUpSlots(pending.intent, details, slots), options);
+}
+
+// Clients that send Accept: text/event-stream get the reply as Server-Sent Events: 'progress' events
+// while the command runs ({ stage: 'parsed' | 'matched' | 'progress', message, ... }), then one
+// 'result' event with the usual JSON response. Everyone else gets the JSON response alone.
+function startEventStream(req, res) {
+    if (!(req.get('accept') || '').includes('text/event-stream')) return null;
+    res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    return (event, data) => {
+        if (!res.writableEnded && !res.destroyed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
 app.post('/api/command', async (req, res) => {
     const { commandText } = req.body;
-    console.log('Input command:', commandText);
+    const timeZone = getRequestTimeZone(req);
+    const context = { sessionId: req.sessionId, timeZone };
+    console.log('Input command:', commandText, `(${timeZone})`);
 
-    if (!isAuthenticated()) {
+    if (!(await isAuthenticated(req.sessionId))) {
         console.log('Error: Not authenticated');
         return res.status(401).json({ 
             status: 'error', 
@@ -79,89 +591,126 @@ app.post('/api/command', async (req, res) => {
         });
     }
 
+    const sendEvent = startEventStream(req, res);
+    if (sendEvent) context.onProgress = progress => sendEvent('progress', progress);
+    const reply = (body, statusCode = 200) => {
+        if (!sendEvent) return res.status(statusCode).json(body);
+        sendEvent('result', body);
+        res.end();
+    };
+
     try {
-        const parsedCommand = await parseCommand(commandText);
+        const pendingAction = getPendingAction(req.sessionId);
+        if (pendingAction) {
+            // Any new command supersedes the paused action; only a recognizable answer resumes it
+            clearPendingAction(req.sessionId);
+            const resumedResponse = await resumePendingAction({ ...context, ...pendingAction.calendarContext }, pendingAction, commandText);
+            if (resumedResponse) {
+                console.log('Response sent:', resumedResponse);
+                return reply(resumedResponse);
+            }
+        }
+
+        const parsedCommand = await parseCommand(commandText, timeZone);
         console.log('Parsed command:', JSON.stringify(parsedCommand, null, 2));
+        context.onProgress?.({ stage: 'parsed', intent: parsedCommand.intent || null, message: PROGRESS_MESSAGES[parsedCommand.intent] || 'Working on it...' });
+
+        const preferences = getPreferences(req.sessionId);
+        const selection = await resolveCalendarSelection(req.sessionId, {
+            spokenName: parsedCommand.calendarName,
+            defaultCalendar: preferences.defaultCalendarId,
+            selectedCalendars: preferences.selectedCalendarIds
+        });
+        if (selection.error) {
+            const errorResponse = { status: 'error', message: selection.error, data: null };
+            console.log('Response sent:', errorResponse);
+            return reply(errorResponse);
+        }
+        Object.assign(context, selection);
 
         let botResponse = {};
+        const detailSection = DETAIL_SECTIONS[parsedCommand.intent];
+        const invalidDetails = (parsedCommand.problems || []).filter(problem => problem.section === detailSection);
 
-        if (parsedCommand.intent === 'CREATE_EVENT') {
-            const eventDetails = parsedCommand.eventDetails;
-            const calendarResult = await createCalendarEvent(eventDetails);
-            console.log('Create event result:', calendarResult);
-            botResponse = {
-                status: 'success',
-                message: `Okay, I've scheduled "${calendarResult.title}" starting at ${new Date(calendarResult.start).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.`,
-                data: calendarResult
-            };
+        if (invalidDetails.length > 0) {
+            botResponse = askAboutInvalidDetails(context, parsedCommand.intent, parsedCommand[detailSection] || {}, invalidDetails);
+        } else if (parsedCommand.intent === 'CREATE_EVENT') {
+            botResponse = await runCreate(context, parsedCommand.eventDetails || {});
         } else if (parsedCommand.intent === 'QUERY_EVENTS') {
-            const queryDetails = parsedCommand.queryDetails;
-            const queryResult = await queryCalendarEvents(queryDetails.targetDate);
+            const queryDetails = parsedCommand.queryDetails || { targetDate: getTodayInZone(timeZone) };
+            const queryResult = await queryCalendarEvents(context, queryDetails);
             console.log('Query events result:', queryResult);
             botResponse = {
                 status: 'success',
                 message: queryResult.message,
                 data: queryResult.events
             };
+        } else if (parsedCommand.intent === 'MODIFY_EVENT' && !parsedCommand.modifyDetails?.eventName) {
+            botResponse = {
+                status: 'clarification',
+                message: 'Which event should I change? Say its name with the change, e.g. "move the team sync to 4 PM".',
+                data: { type: 'eventName' }
+            };
         }else if (parsedCommand.intent === 'MODIFY_EVENT') {
             const modifyDetails = parsedCommand.modifyDetails;
             console.log('Modify event details:', modifyDetails);
-            const targetDate = modifyDetails.date || new Date().toISOString().split('T')[0];
-            const queryResult = await queryCalendarEvents(targetDate, modifyDetails.eventName);
-            console.log('Query for modify events:', queryResult);
-            const matchingEvents = queryResult.events.filter(e => e.title.toLowerCase().includes(modifyDetails.eventName.toLowerCase()));
-        
-            if (matchingEvents.length === 0) {
-                botResponse = {
-                    status: 'error',
-                    message: `No event found matching '${modifyDetails.eventName}' on ${new Date(targetDate).toDateString()}.`,
-                    data: null
-                };
-            } else if (matchingEvents.length > 1) {
+            const updateDetails = {};
+            if (modifyDetails.startTime) updateDetails.startTime = modifyDetails.startTime;
+            if (modifyDetails.endTime) updateDetails.endTime = modifyDetails.endTime;
+            if (modifyDetails.description) updateDetails.description = modifyDetails.description;
+            if (modifyDetails.date) updateDetails.date = modifyDetails.date;
+            if (modifyDetails.addAttendees) updateDetails.addAttendees = modifyDetails.addAttendees;
+            if (modifyDetails.removeAttendees) updateDetails.removeAttendees = modifyDetails.removeAttendees;
+            if (modifyDetails.newTitle) updateDetails.newTitle = modifyDetails.newTitle;
+            if (modifyDetails.location) updateDetails.location = modifyDetails.location;
+            if (modifyDetails.addConference) updateDetails.addConference = true;
+            if (modifyDetails.color) updateDetails.color = modifyDetails.color;
+            if (modifyDetails.reminderMinutes) updateDetails.reminderMinutes = modifyDetails.reminderMinutes;
+
+            botResponse = await runOnNamedEvent(context, 'MODIFY_EVENT', { eventName: modifyDetails.eventName, date: modifyDetails.date }, updateDetails);
+        }else if (parsedCommand.intent === 'DELETE_EVENTS') {
+            const deleteDetails = parsedCommand.deleteDetails || {};
+            console.log('Delete events details:', deleteDetails);
+            if (deleteDetails.eventName || deleteDetails.attendee) {
+                const { eventName, attendee, targetDate, cancellationNote } = deleteDetails;
+                botResponse = await runOnNamedEvent(context, 'DELETE_EVENTS', { eventName, attendee, date: targetDate }, { cancellationNote });
+            } else {
+                botResponse = await runDelete(context, deleteDetails);
+            }
+        } else if (parsedCommand.intent === 'FIND_FREE_TIME') {
+            const freeTimeDetails = parsedCommand.freeTimeDetails || {};
+            console.log('Find free time details:', freeTimeDetails);
+            const freeTimeResult = await findFreeSlots(context, freeTimeDetails);
+            if (freeTimeResult.slots.length > 0) {
+                const question = `${freeTimeResult.message} I can book ${freeTimeResult.slots.map(slot => `option ${slot.id}, ${slot.label}`).join('; ')}. Say the option number to book it, or "cancel".`;
+                rememberPendingAction(context, {
+                    awaiting: 'slot',
+                    intent: 'CREATE_EVENT',
+                    // The guests whose time was checked are invited to the slot that's booked
+                    details: { title: freeTimeDetails.title || 'Meeting', ...(freeTimeDetails.attendees && { attendees: freeTimeDetails.attendees }) },
+                    choices: freeTimeResult.slots,
+                    question
+                });
                 botResponse = {
                     status: 'clarification',
-                    message: `Multiple events match '${modifyDetails.eventName}' on ${new Date(targetDate).toDateString()}. Please specify by saying 'modify event with ID [ID]' for one of these: ${matchingEvents.map(e => `${e.title} at ${e.startTime} (ID: ${e.id})`).join(', ')}.`,
-                    data: { options: matchingEvents }
+                    message: question,
+                    data: { type: 'slot', options: freeTimeResult.slots }
                 };
             } else {
-                const updateDetails = {};
-                if (modifyDetails.startTime) updateDetails.startTime = modifyDetails.startTime;
-                if (modifyDetails.endTime) updateDetails.endTime = modifyDetails.endTime;
-                if (modifyDetails.description) updateDetails.description = modifyDetails.description;
-                if (modifyDetails.date) updateDetails.date = modifyDetails.date;
-        
-                const modifyResult = await modifyCalendarEvent(matchingEvents[0].id, updateDetails);
-                console.log('Modify event result:', modifyResult);
-                if (modifyResult.clarificationNeeded) {
-                    botResponse = {
-                        status: 'clarification',
-                        message: modifyResult.clarificationNeeded.message,
-                        data: { options: modifyResult.clarificationNeeded.options }
-                    };
-                } else if (modifyResult.status === 'success') {
-                    botResponse = {
-                        status: 'success',
-                        message: modifyResult.message,
-                        data: null
-                    };
-                } else {
-                    botResponse = {
-                        status: 'error',
-                        message: `Failed to modify event: ${modifyResult.message || 'Unknown error'}`,
-                        data: null
-                    };
-                }
+                botResponse = { status: 'success', message: freeTimeResult.message, data: null };
             }
-        }else if (parsedCommand.intent === 'DELETE_EVENTS') {
-            const deleteDetails = parsedCommand.deleteDetails;
-            console.log('Delete events details:', deleteDetails);
-            const deleteResult = await deleteCalendarEvents(deleteDetails);
-            console.log('Delete events result:', deleteResult);
+        } else if (parsedCommand.intent === 'LIST_CALENDARS') {
+            const names = context.calendars.map(calendar => {
+                const notes = [calendar.id === context.calendarId && 'default', !calendar.canWrite && 'read-only'].filter(Boolean);
+                return `${calendar.name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+            });
             botResponse = {
-                status: deleteResult.clarificationNeeded ? 'clarification' : 'success',
-                message: deleteResult.clarificationNeeded ? deleteResult.clarificationNeeded.message : deleteResult.message,
-                data: deleteResult.clarificationNeeded ? { options: deleteResult.clarificationNeeded.options } : null
+                status: 'success',
+                message: `You have ${names.length} calendar${names.length === 1 ? '' : 's'}: ${names.join(', ')}.`,
+                data: context.calendars
             };
+        } else if (parsedCommand.intent === 'UNDO') {
+            botResponse = await runUndo(context);
         } else if (parsedCommand.useLocalFallback) {
             botResponse = {
                 status: 'error',
@@ -177,18 +726,25 @@ app.post('/api/command', async (req, res) => {
         }
 
         console.log('Response sent:', botResponse);
-        res.json(botResponse);
+        reply(botResponse);
     } catch (error) {
         console.error("Command processing failed:", error.message, error.stack);
-        const userMessage = error.message.includes('authenticated')
-            ? "Your calendar connection may have expired. Please reconnect."
-            : `Error: ${error.message}`;
-        const errorResponse = { status: 'error', message: userMessage };
+        if (error.code === REAUTH_REQUIRED) {
+            const reauthResponse = { status: 'error', reauthRequired: true, message: "Your calendar connection has expired. Please reconnect." };
+            console.log('Error response:', reauthResponse);
+            return reply(reauthResponse, 401);
+        }
+        const errorResponse = { status: 'error', message: `Error: ${error.message}` };
         console.log('Error response:', errorResponse);
-        res.status(500).json(errorResponse);
+        reply(errorResponse, 500);
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Only listen when run directly; the tests mount the app on their own port
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+    });
+}
+
+module.exports = app;
\ No newline at end of file
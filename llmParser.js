@@ -1,14 +1,36 @@
-const { GoogleGenAI, Type } = require('@google/genai');
+const { Type } = require('@google/genai');
+const { resolveTimeZone, getTodayInZone, getLocalDate, getLocalTime, getWeekday } = require('./timeUtils');
+const { parseCommandLocally, parseFollowUpLocally } = require('./localParser');
+const { resolveDate, resolveDateRange, convertTo24Hour } = require('./dateGrammar');
+const { createLlmProviders, generateJson } = require('./llmProvider');
+const { createGeminiProvider } = require('./geminiLlm');
+const { validateCommand } = require('./commandValidator');
 
-const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Tried in LLM_PROVIDERS order; with none configured every command goes straight to the offline parser
+let providers = createLlmProviders();
+
+function setLlmProviders(list) {
+    providers = list;
+}
+
+// Swaps in a single Gemini provider around anything with the same models.generateContent, e.g. a stub in tests
+function setLlmClient(client) {
+    providers = client ? [createGeminiProvider({ client })] : [];
+}
 
 const calendarSchema = {
     type: Type.OBJECT,
     properties: {
         intent: {
             type: Type.STRING,
-            description: "The user's intent: 'CREATE_EVENT' to schedule an event, 'QUERY_EVENTS' to ask about the schedule, 'MODIFY_EVENT' to change an existing event, or 'DELETE_EVENTS' to cancel events.",
-            enum: ['CREATE_EVENT', 'QUERY_EVENTS', 'MODIFY_EVENT', 'DELETE_EVENTS']
+            description: "The user's intent: 'CREATE_EVENT' to schedule an event, 'QUERY_EVENTS' to ask about the schedule, 'MODIFY_EVENT' to change an existing event, 'DELETE_EVENTS' to cancel events, 'FIND_FREE_TIME' to ask when they are free or to find a slot, 'LIST_CALENDARS' to ask which calendars they have, or 'UNDO' to revert the last delete or change.",
+            enum: ['CREATE_EVENT', 'QUERY_EVENTS', 'MODIFY_EVENT', 'DELETE_EVENTS', 'FIND_FREE_TIME', 'LIST_CALENDARS', 'UNDO']
+        },
+        calendarName: {
+            type: Type.STRING,
+            description: "The calendar the user named for this command, e.g. 'Team' for 'put it on the Team calendar' (optional)."
         },
         eventDetails: {
             type: Type.OBJECT,
@@ -18,17 +40,35 @@ const calendarSchema = {
                 date: { type: Type.STRING, description: "The specific date in YYYY-MM-DD format." },
                 startTime: { type: Type.STRING, description: "The starting time in 24-hour format (e.g., 15:00:00)." },
                 endTime: { type: Type.STRING, description: "The ending time in 24-hour format (optional)." },
-                description: { type: Type.STRING, description: "Optional notes or description." }
+                description: { type: Type.STRING, description: "Optional notes or description." },
+                attendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: "Guests to invite, as spoken names or email addresses (optional), e.g. ['alice@example.com', 'Bob']." },
+                recurrence: {
+                    type: Type.OBJECT,
+                    description: "How the event repeats, only for recurring events (optional).",
+                    properties: {
+                        frequency: { type: Type.STRING, enum: ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'], description: "Repeat frequency." },
+                        interval: { type: Type.INTEGER, description: "Repeat every N periods, e.g. 2 for 'every other week' (optional)." },
+                        byDay: { type: Type.ARRAY, items: { type: Type.STRING }, description: "Weekday codes for weekly rules: MO, TU, WE, TH, FR, SA, SU (optional)." },
+                        until: { type: Type.STRING, description: "Last date the event may occur, in YYYY-MM-DD format (optional)." },
+                        count: { type: Type.INTEGER, description: "Total number of occurrences (optional)." }
+                    },
+                    required: ['frequency']
+                }
             },
-            required: ['title', 'date', 'startTime']
+            required: ['title']
         },
         queryDetails: {
             type: Type.OBJECT,
-            description: "Details required for querying events.",
+            description: "Details required for querying events. Use 'targetDate' for a single day, 'startDate'/'endDate' for a range, or 'nextCount' for the next N upcoming events.",
             properties: {
-                targetDate: { type: Type.STRING, description: "The specific date to query in YYYY-MM-DD format." }
+                targetDate: { type: Type.STRING, description: "A single date to query in YYYY-MM-DD format (optional)." },
+                startDate: { type: Type.STRING, description: "First day of the range to query in YYYY-MM-DD format (optional)." },
+                endDate: { type: Type.STRING, description: "Last day of the range to query in YYYY-MM-DD format, inclusive (optional)." },
+                keyword: { type: Type.STRING, description: "Free-text search term for the event, e.g. 'dentist' (optional)." },
+                attendee: { type: Type.STRING, description: "Name or email of a person the event should include, e.g. 'Priya' (optional)." },
+                nextCount: { type: Type.INTEGER, description: "Return only the next N upcoming events, e.g. 1 for 'my next meeting' (optional)." }
             },
-            required: ['targetDate']
+            required: []
         },
         modifyDetails: {
             type: Type.OBJECT,
@@ -38,7 +78,14 @@ const calendarSchema = {
                 date: { type: Type.STRING, description: "The specific date in YYYY-MM-DD format (optional)." },
                 startTime: { type: Type.STRING, description: "The new starting time in 24-hour format (optional)." },
                 endTime: { type: Type.STRING, description: "The new ending time in 24-hour format (optional)." },
-                description: { type: Type.STRING, description: "The new description (optional)." }
+                description: { type: Type.STRING, description: "The new description (optional)." },
+                addAttendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: "Guests to add, as names or email addresses (optional)." },
+                removeAttendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: "Guests to remove, as names or email addresses (optional)." },
+                newTitle: { type: Type.STRING, description: "The new title when renaming (optional)." },
+                location: { type: Type.STRING, description: "The new location, e.g. 'Room 4B' (optional)." },
+                addConference: { type: Type.BOOLEAN, description: "True to add a Google Meet video link (optional)." },
+                color: { type: Type.STRING, description: "The new event color, e.g. 'red' or 'Tomato' (optional)." },
+                reminderMinutes: { type: Type.ARRAY, items: { type: Type.INTEGER }, description: "Reminder times in minutes before the event; empty to turn reminders off (optional)." }
             },
             required: ['eventName']
         },
@@ -48,9 +95,26 @@ const calendarSchema = {
             properties: {
                 targetDate: { type: Type.STRING, description: "The specific date to delete events from in YYYY-MM-DD format." },
                 startTime: { type: Type.STRING, description: "The start of the time range in 24-hour format (optional, e.g., 16:00:00)." },
-                endTime: { type: Type.STRING, description: "The end of the time range in 24-hour format (optional, e.g., 18:00:00)." }
+                endTime: { type: Type.STRING, description: "The end of the time range in 24-hour format (optional, e.g., 18:00:00)." },
+                eventName: { type: Type.STRING, description: "Name of a single event to cancel (optional, e.g., '1:1')." },
+                attendee: { type: Type.STRING, description: "Person the single event is with (optional, e.g., 'Sam')." },
+                cancellationNote: { type: Type.STRING, description: "Message for the event's guests (optional)." }
             },
-            required: ['targetDate']
+            required: []
+        },
+        freeTimeDetails: {
+            type: Type.OBJECT,
+            description: "Details required for finding free time.",
+            properties: {
+                startDate: { type: Type.STRING, description: "First day to search in YYYY-MM-DD format." },
+                endDate: { type: Type.STRING, description: "Last day to search in YYYY-MM-DD format, inclusive (optional)." },
+                durationMinutes: { type: Type.INTEGER, description: "Minimum length of the free slot in minutes (optional, default 30)." },
+                earliestTime: { type: Type.STRING, description: "Earliest start of the day part in 24-hour format, e.g. 12:00:00 for 'afternoon' (optional)." },
+                latestTime: { type: Type.STRING, description: "Latest end of the day part in 24-hour format, e.g. 17:00:00 for 'afternoon' (optional)." },
+                title: { type: Type.STRING, description: "Title for the event if the user wants to book the slot, e.g. 'Meeting with the team' (optional)." },
+                attendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: "People whose calendars must also be free, as names or email addresses (optional)." }
+            },
+            required: ['startDate']
         },
         useLocalFallback: {
             type: Type.BOOLEAN,
@@ -78,169 +142,92 @@ const calendarSchema = {
     }
 };
 
-async function parseCommand(commandText) {
+// `now` pins the current date, e.g. for the evaluation fixtures
+async function parseCommand(commandText, timeZone, { now = new Date() } = {}) {
     console.log('parseCommand input:', commandText);
-    const currentDate = new Date().toISOString().split('T')[0];
-    const systemInstruction = `You are a helpful AI assistant for calendar management. The current date is ${currentDate}. Analyze the request (${commandText}) and output a JSON object following the schema. Interpret natural language: 
-    - For CREATE_EVENT, extract 'title', 'date' (e.g., 'today', 'tomorrow', 'next Monday'), 'startTime', and optionally 'endTime' and 'description'. 
-    - For QUERY_EVENTS, extract 'targetDate' from phrases like 'what’s on my calendar for today'. 
-    - For MODIFY_EVENT, extract 'eventName' (e.g., 'Product call' should match 'Product call with Sharan' by ignoring extra details like names), and optional updates to 'date', 'startTime', 'endTime', or 'description' from phrases like 'modify the team meeting to start at 4 PM'. 
-    - For DELETE_EVENTS, identify commands like 'cancel all my meetings today' or 'cancel all my meetings between 4 pm and 6 pm today'. Extract 'targetDate' (required) and optionally 'startTime' and 'endTime' for a time range in 24-hour format (e.g., 16:00:00 to 18:00:00). If the time range is invalid (startTime >= endTime), include a 'clarificationNeeded' object with a message. 
+    timeZone = resolveTimeZone(timeZone);
+    const currentDate = getLocalDate(now, timeZone);
+    const currentTime = getLocalTime(now, timeZone).slice(0, 5);
+    const systemInstruction = `You are a helpful AI assistant for calendar management. The current date is ${currentDate} (${WEEKDAYS[getWeekday(currentDate)]}) and the current time is ${currentTime} in the user's timezone (${timeZone}). All dates and times you output are wall-clock values in that timezone. Analyze the request (${commandText}) and output a JSON object following the schema. Interpret natural language: 
+    - For CREATE_EVENT, extract 'title', 'date' (e.g., 'today', 'tomorrow', 'next Monday'), 'startTime', and optionally 'endTime', 'description' and 'attendees' (each person named or emailed, e.g. 'a sync with alice@example.com and Bob' gives ['alice@example.com', 'Bob']; spell out spoken emails like 'alice at example dot com' as 'alice@example.com'). For repeating events fill 'recurrence': 'every Tuesday at 10 until December' is WEEKLY with byDay ['TU'] and 'until' set to the last day before December; 'weekly standup on weekdays' is WEEKLY with byDay ['MO', 'TU', 'WE', 'TH', 'FR']; 'every other week' sets interval 2. Set 'date' to the first occurrence. Leave 'date' or 'startTime' empty if the user did not say it; the bot will ask a follow-up question. 
+    - For QUERY_EVENTS, extract 'targetDate' for a single day ('what’s on my calendar for today'), or 'startDate' and 'endDate' for ranges ('this week' is today through Sunday, 'next week' is next Monday through Sunday, 'next 3 days' is today plus the following two days). Put search words in 'keyword' ('when is my dentist appointment' gives keyword 'dentist') and people in 'attendee'. For 'my next meeting' or 'when is my next X' set 'nextCount' (e.g. 1) and omit the dates. 
+    - For MODIFY_EVENT, extract 'eventName' (e.g., 'Product call' should match 'Product call with Sharan' by ignoring extra details like names), and optional updates to 'date', 'startTime', 'endTime', or 'description' from phrases like 'modify the team meeting to start at 4 PM'. Guest changes like 'add Carol to the design review' or 'remove Bob from the sync' use 'addAttendees'/'removeAttendees'. 'Rename the sync to Roadmap review' sets 'newTitle'; 'move the offsite to Room 4B' sets 'location' (a place, not a time); 'add a Meet link to the planning call' sets 'addConference'; 'make the standup red' sets 'color'; 'remind me 10 minutes before the review' sets 'reminderMinutes' [10]. 
+    - For DELETE_EVENTS, identify commands like 'cancel all my meetings today' or 'cancel all my meetings between 4 pm and 6 pm today'. Extract 'targetDate' and optionally 'startTime' and 'endTime' for a time range in 24-hour format (e.g., 16:00:00 to 18:00:00). Leave 'targetDate' empty if the user did not say which day; the bot will ask. To cancel one event, as in 'cancel my 1:1 with Sam on Thursday', set 'eventName' ('1:1'), 'attendee' ('Sam') and 'targetDate'; leave 'eventName' empty for generic words like 'meeting'. A message for the guests ('and tell them I'm out sick') goes in 'cancellationNote'. 
+    - For FIND_FREE_TIME, handle questions like 'when am I free tomorrow afternoon?' or 'find 45 minutes with the team before Friday'. Extract 'startDate', optional 'endDate' ('before Friday' ends the day before Friday), 'durationMinutes', and 'earliestTime'/'latestTime' for parts of the day (morning 09:00:00-12:00:00, afternoon 12:00:00-17:00:00, evening 17:00:00-21:00:00). Put a short event title in 'title' when the user describes a meeting, and the people to meet in 'attendees' ('find an hour with Bob and carol@example.com' gives ['Bob', 'carol@example.com']). 
+    - For UNDO, handle 'undo that', 'undo the last change' or 'put them back'. No details are needed. 
+    - For any intent, if the user names a calendar ('put it on the Team calendar', 'what's on my personal calendar'), set 'calendarName' ('Team', 'personal'). 'Which calendars do I have?' is LIST_CALENDARS. 
     Resolve relative dates and times into YYYY-MM-DD and HH:MM:SS formats. Set 'useLocalFallback' to false unless the API fails. If multiple events might match the 'eventName' for MODIFY_EVENT, include a 'clarificationNeeded' object with a message and a list of matching event options (id, title, startTime).`;
 
     try {
-        const response = await ai.models.generateContent({
-            model: 'gemini-2.5-flash',
-            contents: [{ role: 'user', parts: [{ text: commandText }] }],
-            config: {
-                systemInstruction,
-                responseMimeType: "application/json",
-                responseSchema: calendarSchema,
-            },
-        });
-
-        const parsedResult = JSON.parse(response.text);
+        const { result, provider } = await generateJson(providers, { systemInstruction, text: commandText, schema: calendarSchema, schemaName: 'command' });
+        console.log(`Parsed by ${provider}`);
+        const parsedResult = validateCommand(result, calendarSchema, { timeZone, now });
         console.log('AI parsed result:', JSON.stringify(parsedResult, null, 2));
+        // A missing or made-up intent leaves nothing to act on; the local rules may still understand it
+        if (!parsedResult.intent) throw new Error(`The model returned no known intent (${JSON.stringify(result.intent)})`);
         return parsedResult;
     } catch (error) {
         console.error("LLM Parsing Error (falling back to local):", error.message);
-        const localResult = parseCommandLocally(commandText);
+        const localResult = parseCommandLocally(commandText, timeZone, now);
         console.log('Local parsed result:', JSON.stringify(localResult, null, 2));
         return localResult;
     }
 }
 
-function parseCommandLocally(commandText) {
-    console.log('parseCommandLocally input:', commandText);
-    const lowerCommand = commandText.toLowerCase();
-    let result = { useLocalFallback: true };
-
-    if (lowerCommand.includes('cancel') || lowerCommand.includes('delete')) {
-        result.intent = 'DELETE_EVENTS';
-        const dateMatch = commandText.match(/\b(on|for)?\s*(today|tomorrow|next\s+monday|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/i);
-        const timeRangeMatch = commandText.match(/between\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)\s+(?:and|to)\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)/i);
-
-        console.log('DELETE_EVENTS matches:', { dateMatch, timeRangeMatch });
-
-        if (dateMatch) {
-            result.deleteDetails = { targetDate: resolveDate(dateMatch[2]) };
-            if (timeRangeMatch) {
-                const startTime = convertTo24Hour(timeRangeMatch[1]);
-                const endTime = convertTo24Hour(timeRangeMatch[2]);
-                if (startTime >= endTime) {
-                    result.clarificationNeeded = {
-                        message: `The time range from ${timeRangeMatch[1]} to ${timeRangeMatch[2]} is invalid. Please provide a valid time range (e.g., 'between 4:00 pm and 6:00 pm').`,
-                        options: []
-                    };
-                    delete result.deleteDetails;
-                } else {
-                    result.deleteDetails.startTime = startTime;
-                    result.deleteDetails.endTime = endTime;
-                }
-            }
-        } else {
-            result.clarificationNeeded = {
-                message: `Please specify a date for canceling meetings (e.g., 'today', 'tomorrow', or '10/27/2025').`,
-                options: []
-            };
-        }
-    } else if (lowerCommand.includes('schedule') || lowerCommand.includes('create') || lowerCommand.includes('set up')) {
-        result.intent = 'CREATE_EVENT';
-        const titleMatch = commandText.match(/(schedule|create|set up)\s+(.+?)(?:\s+for|\s+at)/i);
-        const dateMatch = commandText.match(/\b(today|tomorrow|next\s+monday|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/i);
-        const timeMatch = commandText.match(/at\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)/i);
-        const endTimeMatch = commandText.match(/to\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)/i);
-        const descMatch = commandText.match(/for\s+(.+?)(?:\s+at|\s+to|$)/i);
-
-        console.log('CREATE_EVENT matches:', { titleMatch, dateMatch, timeMatch, endTimeMatch, descMatch });
-
-        if (titleMatch && dateMatch) {
-            result.eventDetails = {
-                title: titleMatch[2].trim(),
-                date: resolveDate(dateMatch[1]),
-                startTime: timeMatch ? convertTo24Hour(timeMatch[1]) : '09:00:00',
-                endTime: endTimeMatch ? convertTo24Hour(endTimeMatch[1]) : null,
-                description: descMatch ? descMatch[1].trim() : null
-            };
-            if (result.eventDetails.startTime && result.eventDetails.endTime && result.eventDetails.startTime >= result.eventDetails.endTime) {
-                result.clarificationNeeded = {
-                    message: `The time range from ${timeMatch[1]} to ${endTimeMatch[1]} is invalid. Please provide a valid time range (e.g., 'from 4:00 pm to 6:00 pm').`,
-                    options: []
-                };
-                delete result.eventDetails;
-            }
-        }
-    } else if (lowerCommand.includes('what') && (lowerCommand.includes('have') || lowerCommand.includes('on')) && lowerCommand.includes('calendar')) {
-        result.intent = 'QUERY_EVENTS';
-        const dateMatch = commandText.match(/\bfor\s+(today|tomorrow|next\s+monday|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/i);
-
-        console.log('QUERY_EVENTS matches:', { dateMatch });
-
-        if (dateMatch) result.queryDetails = { targetDate: resolveDate(dateMatch[1]) };
-    } else if (lowerCommand.includes('modify') || lowerCommand.includes('change') || lowerCommand.includes('update') || lowerCommand.includes('modified')) {
-        if (!lowerCommand.includes('cancel') && !lowerCommand.includes('delete')) {
-            result.intent = 'MODIFY_EVENT';
-            const nameMatch = commandText.match(/(modify|change|update|modified)\s+(?:the\s+)?(.+?)(?:\s+(?:to|at|on|between|$))/i);
-            const dateMatch = commandText.match(/\b(on|for)?\s*(today|tomorrow|next\s+monday|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?)\b/i);
-            const timeRangeMatch = commandText.match(/between\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)\s+(?:and|to)\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)/i);
-            const startTimeMatch = commandText.match(/(?:to\s+start\s+at|at)\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)/i);
-            const endTimeMatch = commandText.match(/to\s+end\s+at\s+(\d{1,2}:\d{2}(?:\s?(?:am|pm))?)/i);
-            const descMatch = commandText.match(/with\s+description\s+(.+?)(?:\s+at|\s+to|$)/i);
-
-            console.log('MODIFY_EVENT matches:', { nameMatch, dateMatch, timeRangeMatch, startTimeMatch, endTimeMatch, descMatch });
-
-            if (nameMatch) {
-                result.modifyDetails = { eventName: nameMatch[2].trim().split(' with ')[0].trim() };
-                if (dateMatch) result.modifyDetails.date = resolveDate(dateMatch[2]);
-                if (timeRangeMatch) {
-                    result.modifyDetails.startTime = convertTo24Hour(timeRangeMatch[1]);
-                    result.modifyDetails.endTime = convertTo24Hour(timeRangeMatch[2]);
-                } else {
-                    if (startTimeMatch) result.modifyDetails.startTime = convertTo24Hour(startTimeMatch[1]);
-                    if (endTimeMatch) result.modifyDetails.endTime = convertTo24Hour(endTimeMatch[1]);
-                }
-                if (descMatch) result.modifyDetails.description = descMatch[1].trim();
-
-                console.log('MODIFY_EVENT parsed details:', result.modifyDetails);
-
-                // Validate time range
-                if (result.modifyDetails.startTime && result.modifyDetails.endTime && result.modifyDetails.startTime >= result.modifyDetails.endTime) {
-                    result.clarificationNeeded = {
-                        message: `The time range from ${timeRangeMatch ? timeRangeMatch[1] : startTimeMatch[1]} to ${timeRangeMatch ? timeRangeMatch[2] : endTimeMatch[1]} is invalid. Please provide a valid time range (e.g., 'from 4:00 pm to 6:00 pm').`,
-                        options: []
-                    };
-                    delete result.modifyDetails;
-                }
+const followUpSchema = {
+    type: Type.OBJECT,
+    properties: {
+        cancel: { type: Type.BOOLEAN, description: "True if the user wants to abandon the pending action." },
+        choice: { type: Type.STRING, description: "The id of the option the user picked, exactly as listed (optional)." },
+        slots: {
+            type: Type.OBJECT,
+            description: "Values the user supplied or corrected for the pending action (optional).",
+            properties: {
+                title: { type: Type.STRING, description: "Event title." },
+                date: { type: Type.STRING, description: "Date in YYYY-MM-DD format." },
+                startTime: { type: Type.STRING, description: "Start time in 24-hour HH:MM:SS format." },
+                endTime: { type: Type.STRING, description: "End time in 24-hour HH:MM:SS format." },
+                description: { type: Type.STRING, description: "Event notes." },
+                attendees: { type: Type.ARRAY, items: { type: Type.STRING }, description: "Guest email addresses the user gave." }
             }
         }
     }
+};
 
-    console.log('parseCommandLocally output:', JSON.stringify(result, null, 2));
-    return result;
-}
+// Interprets a reply to a follow-up question ("the second one", "make it 5 instead", "cancel")
+// against the paused action. Returns { cancel, choice, slots }.
+async function parseFollowUp(commandText, pending, timeZone) {
+    console.log('parseFollowUp input:', commandText, pending.awaiting);
+    timeZone = resolveTimeZone(timeZone);
+    const currentDate = getTodayInZone(timeZone);
+    const choices = (pending.choices || []).map(choice => `${choice.id}: ${choice.label || `${choice.title} at ${choice.startTime}`}`).join('; ');
+    const systemInstruction = `You are a helpful AI assistant for calendar management. The current date is ${currentDate} (${WEEKDAYS[getWeekday(currentDate)]}) in the user's timezone (${timeZone}). The bot asked: "${pending.question}". The pending ${pending.intent} action has these details: ${JSON.stringify(pending.details || {})}. ${choices ? `The options are (id: label) ${choices}.` : ''} The user replied (${commandText}). If they picked an option (by number, ordinal such as 'the second one', time, title or id), set 'choice' to that option's id. If they supplied or corrected values (e.g. 'make it 5 instead' sets startTime 17:00:00), put them in 'slots' in YYYY-MM-DD and HH:MM:SS formats. Email addresses for guests go in slots.attendees, written out ('zed at example dot com' is zed@example.com). Set 'cancel' if they want to stop.`;
 
-function resolveDate(dateStr) {
-    const now = new Date();
-    switch (dateStr.toLowerCase()) {
-        case 'today': return now.toISOString().split('T')[0];
-        case 'tomorrow': return new Date(now.setDate(now.getDate() + 1)).toISOString().split('T')[0];
-        case 'next monday':
-            const monday = new Date(now);
-            monday.setDate(now.getDate() + (1 - now.getDay() + 7) % 7 || 1);
-            return monday.toISOString().split('T')[0];
-        default:
-            const [month, day, year] = dateStr.split('/');
-            return year ? `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : now.toISOString().split('T')[0];
+    try {
+        const { result, provider } = await generateJson(providers, { systemInstruction, text: commandText, schema: followUpSchema, schemaName: 'followUp' });
+        console.log(`Parsed by ${provider}`);
+        // Unreadable slots are dropped; an answer with nothing usable left is treated as a new command
+        const { problems, ...parsedResult } = validateCommand(result, followUpSchema, { timeZone });
+        console.log('AI parsed follow-up:', JSON.stringify(parsedResult, null, 2));
+        return parsedResult;
+    } catch (error) {
+        console.error("LLM Follow-up Parsing Error (falling back to local):", error.message);
+        const localResult = parseFollowUpLocally(commandText, pending, timeZone);
+        console.log('Local parsed follow-up:', JSON.stringify(localResult, null, 2));
+        return localResult;
     }
 }
 
-function convertTo24Hour(timeStr) {
-    const [time, modifier] = timeStr.toLowerCase().split(/\s+/);
-    let [hours, minutes] = time.split(':');
-    hours = parseInt(hours, 10);
-    if (modifier === 'pm' && hours !== 12) hours += 12;
-    if (modifier === 'am' && hours === 12) hours = 0;
-    return `${hours.toString().padStart(2, '0')}:${minutes.padStart(2, '0')}:00`;
-}
-
-module.exports = { parseCommand };
\ No newline at end of file
+module.exports = {
+    parseCommand,
+    parseFollowUp,
+    setLlmClient,
+    setLlmProviders,
+    calendarSchema,
+    followUpSchema,
+    parseCommandLocally,
+    parseFollowUpLocally,
+    resolveDate,
+    resolveDateRange,
+    convertTo24Hour
+};
\ No newline at end of file
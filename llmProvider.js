@@ -0,0 +1,90 @@
+// llmProvider.js
+
+const { createGeminiProvider } = require('./geminiLlm');
+const { createOpenAiProvider } = require('./openaiLlm');
+
+// The models that turn commands into JSON, tried in the order given by LLM_PROVIDERS
+// (default 'gemini'; e.g. 'openai,gemini' asks a local model first). Every provider has:
+//   name, model
+//   generateJson({ systemInstruction, text, schema, schemaName, signal })
+//                          resolves to the parsed JSON reply; schema is in Gemini's format
+// A provider that isn't configured (Gemini without GEMINI_API_KEY) is left out, and with no
+// providers at all the parser goes straight to its offline rules.
+
+function createLlmProvider(type) {
+    switch (type) {
+        case 'gemini':
+            if (!process.env.GEMINI_API_KEY) {
+                console.log('GEMINI_API_KEY is not set; skipping the gemini provider.');
+                return null;
+            }
+            return createGeminiProvider();
+        case 'openai':
+            return createOpenAiProvider();
+        default:
+            throw new Error(`Unknown LLM provider '${type}' in LLM_PROVIDERS. Use 'gemini' or 'openai'.`);
+    }
+}
+
+function createLlmProviders(types = process.env.LLM_PROVIDERS || 'gemini') {
+    return types.split(',').map(type => type.trim()).filter(Boolean).map(createLlmProvider).filter(Boolean);
+}
+
+function getLlmOptions() {
+    return {
+        timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 15000,
+        retries: process.env.LLM_RETRIES === undefined ? 1 : Math.max(Number(process.env.LLM_RETRIES) || 0, 0),
+        retryDelayMs: process.env.LLM_RETRY_DELAY_MS === undefined ? 500 : Math.max(Number(process.env.LLM_RETRY_DELAY_MS) || 0, 0)
+    };
+}
+
+// Timeouts, rate limits, server errors and garbled JSON may go away on a second try; a refused
+// connection or a bad request won't, so those move straight on to the next provider
+function isRetryable(error) {
+    if (error.timedOut || error instanceof SyntaxError) return true;
+    const status = error.status || error.code;
+    return status === 408 || status === 429 || (typeof status === 'number' && status >= 500);
+}
+
+async function withTimeout(provider, request, timeoutMs) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${provider.name} (${provider.model}) did not answer within ${timeoutMs} ms`);
+            error.timedOut = true;
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+    try {
+        return await Promise.race([provider.generateJson({ ...request, signal: controller.signal }), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Asks each provider in turn, retrying transient failures with a doubling delay.
+// Resolves to { result, provider }, or rejects with the last error once every provider has failed.
+async function generateJson(providers, request, options = getLlmOptions()) {
+    if (providers.length === 0) throw new Error('No LLM provider is configured');
+    let lastError;
+    for (const provider of providers) {
+        for (let attempt = 0; attempt <= options.retries; attempt++) {
+            try {
+                const result = await withTimeout(provider, request, options.timeoutMs);
+                return { result, provider: `${provider.name}/${provider.model}` };
+            } catch (error) {
+                lastError = error;
+                console.error(`LLM provider ${provider.name} failed (attempt ${attempt + 1}):`, error.message);
+                if (!isRetryable(error) || attempt === options.retries) break;
+                await sleep(options.retryDelayMs * 2 ** attempt);
+            }
+        }
+    }
+    throw lastError;
+}
+
+module.exports = { createLlmProvider, createLlmProviders, generateJson, getLlmOptions };
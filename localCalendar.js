@@ -0,0 +1,302 @@
+// localCalendar.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseEvents, serializeCalendar, parseDateValue, formatTimeProperty, getInstant, expandSeries } = require('./icalendar');
+
+// The local calendar provider: events live in an .ics file (CALENDAR_PROVIDER=ics, ICS_FILE, default
+// calendar.ics) or on a CalDAV server such as Radicale (CALENDAR_PROVIDER=caldav, CALDAV_URL pointing
+// at the calendar collection, plus CALDAV_USERNAME / CALDAV_PASSWORD). There is no login; every
+// session shares the one calendar. The client answers the same calls, with the same response
+// shapes, as the part of the Google Calendar API that calendarService uses.
+
+const LOCAL_CALENDAR_ID = 'local';
+
+const CALENDAR_QUERY = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"/></c:comp-filter></c:filter>
+</c:calendar-query>`;
+
+// A series and its modified occurrences share one UID and are always stored together
+function getUid(event) {
+    return event.recurringEventId || event.id;
+}
+
+// Stores load every stored event and save(uid, events) replaces everything with that UID;
+// saving an empty list removes it.
+function createFileStore({ filePath, calendarName }) {
+    async function load() {
+        if (!fs.existsSync(filePath)) return [];
+        return parseEvents(fs.readFileSync(filePath, 'utf8'));
+    }
+    return {
+        load,
+        async save(uid, events) {
+            const others = (await load()).filter(event => getUid(event) !== uid);
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, serializeCalendar([...others, ...events], { name: calendarName }));
+            fs.renameSync(tmpPath, filePath);
+        }
+    };
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#13;|&#x[dD];/g, '\r')
+        .replace(/&amp;/g, '&');
+}
+
+// Each UID is one calendar object resource on the server: '<collection>/<uid>.ics' for new events
+function createCalDavStore({ url, username, password }) {
+    if (!url) {
+        throw new Error("Missing CALDAV_URL environment variable for the CalDAV calendar provider.");
+    }
+    const baseUrl = url.endsWith('/') ? url : `${url}/`;
+    const authHeaders = username
+        ? { Authorization: `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` }
+        : {};
+    const resourceUrls = new Map();
+
+    async function request(method, target, { body, headers = {} } = {}) {
+        const response = await fetch(target, { method, headers: { ...authHeaders, ...headers }, body });
+        if (!response.ok) {
+            const error = new Error(`CalDAV ${method} ${target} failed: ${response.status} ${response.statusText}`);
+            error.code = response.status;
+            throw error;
+        }
+        return response.text();
+    }
+
+    return {
+        async load() {
+            const xml = await request('REPORT', baseUrl, {
+                body: CALENDAR_QUERY,
+                headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' }
+            });
+            const events = [];
+            for (const [, resource] of xml.matchAll(/<(?:[\w-]+:)?response\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?response>/g)) {
+                const href = resource.match(/<(?:[\w-]+:)?href\b[^>]*>([^<]+)</)?.[1];
+                const data = resource.match(/<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/)?.[1];
+                if (!href || !data) continue;
+                const parsed = parseEvents(decodeXml(data));
+                for (const event of parsed) resourceUrls.set(getUid(event), new URL(href.trim(), baseUrl).toString());
+                events.push(...parsed);
+            }
+            return events;
+        },
+        async save(uid, events) {
+            const target = resourceUrls.get(uid) || `${baseUrl}${encodeURIComponent(uid)}.ics`;
+            if (events.length === 0) {
+                await request('DELETE', target);
+                resourceUrls.delete(uid);
+                return;
+            }
+            await request('PUT', target, { body: serializeCalendar(events), headers: { 'Content-Type': 'text/calendar; charset=utf-8' } });
+            resourceUrls.set(uid, target);
+        }
+    };
+}
+
+function notFoundError(eventId) {
+    const error = new Error(`Event ${eventId} was not found in the local calendar.`);
+    error.code = 404;
+    return error;
+}
+
+// Stores times as instants (with the zone they were entered in) so events read back the same way
+function normalizeTime(time) {
+    if (!time) return time;
+    if (time.date) return { date: time.date };
+    const normalized = { dateTime: new Date(getInstant(time)).toISOString() };
+    if (time.timeZone) normalized.timeZone = time.timeZone;
+    return normalized;
+}
+
+// Video links need Google; anything else in the resource is kept as-is
+function toStoredEvent(resource, fields) {
+    const { conferenceData, hangoutLink, ...rest } = resource;
+    return {
+        ...rest,
+        ...fields,
+        start: normalizeTime(rest.start),
+        end: normalizeTime(rest.end),
+        attendees: rest.attendees?.map(attendee => ({ responseStatus: 'needsAction', ...attendee }))
+    };
+}
+
+function matchesQuery(event, q) {
+    const text = [event.summary, event.description, event.location, ...(event.attendees || []).flatMap(a => [a.email, a.displayName])]
+        .filter(Boolean).join(' ').toLowerCase();
+    return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => text.includes(term));
+}
+
+function parseTimeMax(timeMax) {
+    return timeMax ? new Date(timeMax).getTime() : undefined;
+}
+
+function createLocalClient(store, { calendarId, calendarName }) {
+    // Series are expanded into occurrences; modified occurrences replace the generated ones
+    function expandEvents(events, timeMax) {
+        const overrides = events.filter(event => event.recurringEventId);
+        return events
+            .filter(event => !event.recurringEventId)
+            .flatMap(event => event.recurrence?.some(line => line.startsWith('RRULE:')) ? expandSeries(event, overrides, timeMax) : [event]);
+    }
+
+    // Finds a stored event, or generates the occurrence a '<series>_<start>' id refers to
+    function findEvent(events, eventId) {
+        const stored = events.find(event => event.id === eventId);
+        if (stored) return stored;
+        const split = eventId.lastIndexOf('_');
+        const start = split > 0 ? parseDateValue(eventId.slice(split + 1)) : null;
+        const master = start && events.find(event => event.id === eventId.slice(0, split) && !event.recurringEventId);
+        if (!master) return null;
+        const overrides = events.filter(event => event.recurringEventId === master.id);
+        return expandSeries(master, overrides, getInstant(start) + 1).find(event => event.id === eventId) || null;
+    }
+
+    async function replaceEvent(eventId, buildResource) {
+        const events = await store.load();
+        const existing = findEvent(events, eventId);
+        if (!existing) throw notFoundError(eventId);
+        const uid = getUid(existing);
+        const updated = toStoredEvent(buildResource(existing), {
+            id: existing.id,
+            iCalUID: uid,
+            created: existing.created,
+            updated: new Date().toISOString()
+        });
+        if (!updated.status) updated.status = existing.status || 'confirmed';
+        if (existing.recurringEventId) {
+            // Editing one occurrence stores it as a modified occurrence of the series
+            updated.recurringEventId = uid;
+            updated.originalStartTime = existing.originalStartTime;
+            delete updated.recurrence;
+        }
+        const related = events.filter(event => getUid(event) === uid && event.id !== existing.id);
+        await store.save(uid, [...related, updated]);
+        return { data: updated };
+    }
+
+    async function list({ timeMin, timeMax, q } = {}) {
+        const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+        const max = parseTimeMax(timeMax);
+        const items = expandEvents(await store.load(), max)
+            .filter(event => event.status !== 'cancelled')
+            .filter(event => getInstant(event.end) > min && (max === undefined || getInstant(event.start) < max))
+            .filter(event => !q || matchesQuery(event, q))
+            .sort((a, b) => getInstant(a.start) - getInstant(b.start));
+        return { data: { items } };
+    }
+
+    return {
+        calendarList: {
+            async list() {
+                return { data: { items: [{ id: calendarId, summary: calendarName, summaryOverride: calendarName, primary: true, selected: true, accessRole: 'owner' }] } };
+            }
+        },
+        events: {
+            list,
+            async get({ eventId }) {
+                const event = findEvent(await store.load(), eventId);
+                if (!event) throw notFoundError(eventId);
+                return { data: event };
+            },
+            async insert({ resource }) {
+                const id = crypto.randomUUID().replace(/-/g, '');
+                const now = new Date().toISOString();
+                const event = toStoredEvent(resource, { id, iCalUID: id, status: 'confirmed', created: now, updated: now });
+                await store.save(id, [event]);
+                console.log(`Saved event ${id} to the local calendar.`);
+                return { data: event };
+            },
+            async update({ eventId, resource }) {
+                return replaceEvent(eventId, () => resource);
+            },
+            async patch({ eventId, resource }) {
+                return replaceEvent(eventId, existing => ({ ...existing, ...resource }));
+            },
+            async delete({ eventId }) {
+                const events = await store.load();
+                const existing = findEvent(events, eventId);
+                if (!existing) throw notFoundError(eventId);
+                const uid = getUid(existing);
+                if (!existing.recurringEventId) {
+                    await store.save(uid, []);
+                    return { data: '' };
+                }
+                // Deleting one occurrence excludes its start from the series
+                const remaining = events.filter(event => getUid(event) === uid && event.id !== existing.id);
+                const master = remaining.find(event => !event.recurringEventId);
+                if (master) master.recurrence = [...(master.recurrence || []), formatTimeProperty('EXDATE', existing.originalStartTime)];
+                await store.save(uid, remaining);
+                return { data: '' };
+            },
+            async instances({ eventId, timeMax }) {
+                const events = await store.load();
+                const master = events.find(event => event.id === eventId && !event.recurringEventId);
+                if (!master) throw notFoundError(eventId);
+                const overrides = events.filter(event => event.recurringEventId === master.id);
+                const items = expandSeries(master, overrides, parseTimeMax(timeMax)).filter(event => event.status !== 'cancelled');
+                return { data: { items } };
+            }
+        },
+        freebusy: {
+            async query({ requestBody: { timeMin, timeMax, items = [] } }) {
+                const { data } = await list({ timeMin, timeMax });
+                const busy = data.items
+                    .filter(event => event.start.dateTime && event.transparency !== 'transparent')
+                    .map(event => ({ start: event.start.dateTime, end: event.end.dateTime }));
+                const calendars = {};
+                for (const { id } of items) {
+                    calendars[id] = [calendarId, 'primary'].includes(id) ? { busy } : { busy: [], errors: [{ domain: 'global', reason: 'notFound' }] };
+                }
+                return { data: { calendars } };
+            }
+        }
+    };
+}
+
+function createLocalProvider(type) {
+    const store = type === 'caldav'
+        ? createCalDavStore({ url: process.env.CALDAV_URL, username: process.env.CALDAV_USERNAME, password: process.env.CALDAV_PASSWORD })
+        : createFileStore({ filePath: path.resolve(process.env.ICS_FILE || 'calendar.ics'), calendarName: process.env.LOCAL_CALENDAR_NAME });
+    const client = createLocalClient(store, {
+        calendarId: LOCAL_CALENDAR_ID,
+        calendarName: process.env.LOCAL_CALENDAR_NAME || (type === 'caldav' ? 'CalDAV' : 'Local')
+    });
+
+    return {
+        name: type,
+        displayName: type === 'caldav' ? 'CalDAV calendar' : 'local calendar file',
+        requiresLogin: false,
+        supportsConferences: false,
+        async setCalendarTokens() {
+            throw new Error(`The ${type} calendar provider does not use Google sign-in.`);
+        },
+        async isAuthenticated() {
+            return true;
+        },
+        async getClient() {
+            return client;
+        },
+        async disconnect() {
+            return false;
+        },
+        // Nothing to reconnect: a rejected CalDAV login has to be fixed in the server's configuration
+        async rethrowIfReauthRequired(sessionId, error) {
+            if (error.code === 401 || error.code === 403) {
+                throw new Error('The CalDAV server rejected the configured credentials. Check CALDAV_USERNAME and CALDAV_PASSWORD.');
+            }
+        }
+    };
+}
+
+module.exports = { createLocalProvider };
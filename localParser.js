@@ -0,0 +1,370 @@
+// localParser.js
+
+// The offline command parser, used when the model fails or no API key is set. Dates, times, durations
+// and repeat rules come from the grammar in dateGrammar.js; the words left over are matched against
+// the phrasings for each intent ("schedule X", "what's on", "move X to 4", "cancel X") to find the
+// title, event name, guest or search term. Returns the same shape as the model does.
+
+const { resolveTimeZone, getLocalDate, addDays } = require('./timeUtils');
+const { DAY_PARTS, parseDateTime, parseDuration, parseSpokenTime } = require('./dateGrammar');
+
+// Lead-ins that don't change the meaning: "hey calendar, can you please schedule ..."
+const POLITE_PREFIX = /^(?:(?:hey|ok|okay)\s+calendar[,\s]*|please\s+|(?:can|could|would|will)\s+you\s+|i\s+(?:want|need|would\s+like|'d\s+like)\s+to\s+|i'd\s+like\s+to\s+|let's\s+|go\s+ahead\s+and\s+|help\s+me\s+)+/i;
+
+const CREATE_VERBS = /^(?:schedule|create|set\s+up|book|add|put|plan|arrange|organi[sz]e|block(?:\s+(?:off|out))?|pencil\s+in|new|remind\s+me\s+to)\b/i;
+const QUERY_WORDS = /^(?:what|what's|whats|when|when's|where|show|list|tell|give|read|do|does|did|am|is|are|any|anything|how|check|display|agenda|my\s+(?:next|agenda|schedule|calendar))\b/i;
+const MODIFY_VERBS = /^(?:move|reschedule|push|pull|shift|bump|change|modify|update|edit|extend|shorten|make)\b/i;
+const DELETE_VERBS = /\b(?:cancel|delete|remove|clear|drop|scrap|call\s+off)\b/i;
+const FREE_TIME_WORDS = /\b(?:free|available|availability|open\s+slots?|free\s+slots?)\b|^(?:find|look\s+for|get)\b/i;
+
+// Names that mean "every event" rather than one in particular
+const GENERIC_EVENT_NAME = /^(?:(?:all\s+)?(?:of\s+)?(?:my\s+)?(?:meetings?|events?|appointments?|calls?|everything|calendar|schedule|day|plans?))$/i;
+
+// Words that make up the question rather than the search term in "do I have a dentist appointment"
+const QUERY_FILLER = new Set(['what', "what's", 'whats', 'when', "when's", 'where', 'is', 'are', 'am', 'on', 'my', 'calendar', 'do', 'does', 'did',
+    'i', 'have', 'got', 'show', 'me', 'list', 'tell', 'give', 'read', 'any', 'anything', 'the', 'a', 'an', 'events', 'event', 'meetings', 'meeting',
+    'appointment', 'appointments', 'agenda', 'schedule', 'look', 'looks', 'like', 'about', 'there', 'for', 'of', 'in', 'how', 'busy', 'planned',
+    'scheduled', 'going', 'up', 'coming', 'upcoming', 'next', 'check', 'display', 'happening', 'all', 'to', 'at', 'with', 'booked', 'again']);
+
+const EDIT_COLORS = /^(red|tomato|green|basil|blue|blueberry|yellow|banana|orange|tangerine|purple|grape|pink|flamingo|gray|grey|graphite|teal|peacock|turquoise|cyan|lavender|sage)$/i;
+
+// Drops "the"/"my" in front of an event name and connecting words left at either end
+function cleanName(text) {
+    return (text || '')
+        .replace(/^[\s,]+|[\s,.!?]+$/g, '')
+        .replace(/^(?:(?:the|my|a|an|our)(?:\s+|$))+/i, '')
+        .replace(/\s+(?:on|for|at|to|from|in|by|with|and|is|starting)$/i, '')
+        .trim();
+}
+
+// Non-time edits: "rename the sync to Roadmap review", "move the offsite to Room 4B",
+// "add a Meet link to the planning call", "make the standup red", "remind me 10 minutes before the review",
+// "add carol@example.com to the design review", "remove Bob from the sync".
+// Works on the command with its dates already taken out. Returns modifyDetails, or null if the command isn't one of these.
+function parseEventEditLocally(text) {
+    const renameMatch = text.match(/^rename\s+(.+?)\s+(?:to|as)\s+(.+)$/i);
+    const locationMatch = text.match(/^(?:move|relocate)\s+(.+?)\s+to\s+(.+)$/i)
+        || text.match(/^(?:change|set)\s+the\s+location\s+of\s+(.+?)\s+to\s+(.+)$/i);
+    const conferenceMatch = text.match(/^add\s+(?:a\s+)?(?:google\s+)?(?:meet|video|conference|hangouts?|zoom)\s+(?:link|call)\s+to\s+(.+)$/i);
+    const colorMatch = text.match(/^(?:make|color|colour)\s+(.+?)\s+(\w+)$/i)
+        || text.match(/^change\s+the\s+colou?r\s+of\s+(.+?)\s+to\s+(\w+)$/i);
+    const reminderMatch = text.match(/^remind\s+me\s+(.+?)\s+before\s+(.+)$/i);
+    const addGuestMatch = text.match(/^(?:add|invite)\s+(.+?)\s+to\s+(.+)$/i);
+    const removeGuestMatch = text.match(/^(?:remove|uninvite|drop)\s+(.+?)\s+from\s+(.+)$/i);
+    // Guests are emails or names said with a capital letter, so "add lunch to my calendar" stays a new event
+    const guestList = names => names.split(/\s*(?:,|\band\b)\s*/).map(name => name.trim()).filter(Boolean);
+    const looksLikeGuests = names => guestList(names).every(name => /@/.test(name) || /^[A-Z][\w'-]*(?:\s+[A-Z][\w'-]*)?$/.test(name));
+    const isCalendar = target => /^(?:the\s+|my\s+)?(?:\w+\s+)?calendar$/i.test(target.trim());
+
+    if (renameMatch) {
+        return { eventName: cleanName(renameMatch[1]), newTitle: renameMatch[2].trim() };
+    }
+    if (locationMatch && !/^\d/.test(locationMatch[2]) && parseSpokenTime(locationMatch[2]) === null) {
+        return { eventName: cleanName(locationMatch[1]), location: locationMatch[2].trim() };
+    }
+    if (conferenceMatch) {
+        return { eventName: cleanName(conferenceMatch[1]), addConference: true };
+    }
+    if (colorMatch && EDIT_COLORS.test(colorMatch[2])) {
+        return { eventName: cleanName(colorMatch[1]), color: colorMatch[2].toLowerCase() };
+    }
+    if (reminderMatch && parseDuration(reminderMatch[1])) {
+        return { eventName: cleanName(reminderMatch[2]), reminderMinutes: [parseDuration(reminderMatch[1])] };
+    }
+    if (addGuestMatch && !isCalendar(addGuestMatch[2]) && looksLikeGuests(addGuestMatch[1])) {
+        return { eventName: cleanName(addGuestMatch[2]), addAttendees: guestList(addGuestMatch[1]) };
+    }
+    if (removeGuestMatch && !isCalendar(removeGuestMatch[2]) && looksLikeGuests(removeGuestMatch[1])) {
+        return { eventName: cleanName(removeGuestMatch[2]), removeAttendees: guestList(removeGuestMatch[1]) };
+    }
+    return null;
+}
+
+function addMinutes(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = Math.min(hours * 60 + mins + minutes, 23 * 60 + 59);
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}:00`;
+}
+
+function parseCreate(words, spoken, description) {
+    let title = cleanName(words.replace(CREATE_VERBS, '').trim()
+        .replace(/\b(?:on|to|in|into)\s+my\s+calendar\b/i, '')
+        .replace(/^(?:an?\s+)?(?:event|meeting|appointment)\s+(?:called|named|titled)\s+/i, ''));
+    if (!title) title = 'Meeting';
+
+    const eventDetails = {
+        title,
+        date: spoken.date || null,
+        startTime: spoken.startTime || null,
+        endTime: spoken.endTime || null,
+        description: description || null
+    };
+    if (eventDetails.startTime && !eventDetails.endTime && spoken.durationMinutes) {
+        eventDetails.endTime = addMinutes(eventDetails.startTime, spoken.durationMinutes);
+    }
+    const emails = words.match(/[^\s@,]+@[^\s@,]+\.[a-z]{2,}/gi);
+    if (emails) eventDetails.attendees = emails;
+    if (spoken.recurrence) eventDetails.recurrence = spoken.recurrence;
+    return eventDetails;
+}
+
+function parseQuery(words, spoken) {
+    const queryDetails = {};
+    if (spoken.range) Object.assign(queryDetails, spoken.range);
+    else if (spoken.date) queryDetails.targetDate = spoken.date;
+
+    const lower = words.toLowerCase();
+    const attendeeMatch = words.match(/\bwith\s+(.+?)(?:\s+(?:again|next))?[?.!]*$/i);
+    if (attendeeMatch) queryDetails.attendee = attendeeMatch[1].trim();
+    const searchText = attendeeMatch ? words.slice(0, attendeeMatch.index) : words;
+    const keyword = searchText.toLowerCase().replace(/[?.!,]/g, ' ').split(/\s+/).filter(word => word && !QUERY_FILLER.has(word)).join(' ');
+    if (keyword) queryDetails.keyword = keyword;
+
+    // "my next meeting", "the next 3 events", "when is my dentist appointment"
+    const nextMatch = lower.match(/\bnext\s+(\d+|two|three|four|five)?\b/);
+    if (!queryDetails.targetDate && !queryDetails.startDate) {
+        if (nextMatch) queryDetails.nextCount = nextMatch[1] ? ({ two: 2, three: 3, four: 4, five: 5 }[nextMatch[1]] || parseInt(nextMatch[1], 10)) : 1;
+        else if (/^when\b/.test(lower) && (queryDetails.keyword || queryDetails.attendee)) queryDetails.nextCount = 1;
+    }
+    return queryDetails;
+}
+
+function parseModify(words, spoken, description) {
+    const verb = words.match(MODIFY_VERBS)[0].toLowerCase();
+    const afterVerb = words.slice(verb.length).trim();
+    const toMatch = afterVerb.match(/\s+(?:to|until|till)(?:\s+(.+))?$/i);
+    const nameText = toMatch ? afterVerb.slice(0, toMatch.index) : afterVerb;
+    const modifyDetails = { eventName: cleanName(nameText).split(/\s+with\s+/i)[0].trim() };
+    if (spoken.date) modifyDetails.date = spoken.date;
+
+    let { startTime, endTime } = spoken;
+    // "move sync from 3 to 4" names the old and the new start, not a new range
+    const range = spoken.chunks.find(chunk => chunk.slots.isRange);
+    if (range && /^from\b/i.test(range.text) && /^(?:move|push|pull|shift|bump|reschedule)$/.test(verb)) {
+        startTime = endTime;
+        endTime = null;
+    }
+    // "move sync to 4": a bare hour after "to" is the new start
+    if (!startTime && !endTime && toMatch && toMatch[1]) {
+        const spokenTime = parseSpokenTime(toMatch[1]);
+        if (spokenTime) {
+            if (/^(?:extend|shorten)$/.test(verb)) endTime = spokenTime;
+            else startTime = spokenTime;
+        }
+    }
+    if (startTime && !endTime && spoken.durationMinutes) endTime = addMinutes(startTime, spoken.durationMinutes);
+    if (startTime) modifyDetails.startTime = startTime;
+    if (endTime) modifyDetails.endTime = endTime;
+    if (description) modifyDetails.description = description;
+    return modifyDetails;
+}
+
+function parseDelete(words, spoken, cancellationNote) {
+    const deleteDetails = {};
+    if (spoken.date) deleteDetails.targetDate = spoken.date;
+    if (spoken.startTime && spoken.endTime) {
+        deleteDetails.startTime = spoken.startTime;
+        deleteDetails.endTime = spoken.endTime;
+    } else if (spoken.startTime) {
+        // "cancel my 3 pm" means whatever starts at 3
+        deleteDetails.startTime = spoken.startTime;
+        deleteDetails.endTime = addMinutes(spoken.startTime, 1);
+    } else if (spoken.dayPart) {
+        // "clear my afternoon" is today unless another day was said
+        deleteDetails.targetDate = deleteDetails.targetDate || spoken.today;
+        deleteDetails.startTime = DAY_PARTS[spoken.dayPart].earliestTime;
+        deleteDetails.endTime = DAY_PARTS[spoken.dayPart].latestTime;
+    }
+
+    // "cancel my 1:1 with Sam on Thursday" names a single event rather than a whole day
+    if (!/\b(?:all|every(?:thing)?)\b/i.test(words)) {
+        const target = words.replace(/^.*?\b(?:cancel|delete|remove|clear|drop|scrap|call\s+off)\b/i, '')
+            .replace(/\s+from\s+(?:the\s+|my\s+)?(?:\w+\s+)?calendar$/i, '');
+        const withMatch = target.match(/\s+with\s+(.+)$/i);
+        const eventName = cleanName(withMatch ? target.slice(0, withMatch.index) : target);
+        if (eventName && !GENERIC_EVENT_NAME.test(eventName) && !/^(?:morning|afternoon|evening)$/i.test(eventName)) deleteDetails.eventName = eventName;
+        if (withMatch) deleteDetails.attendee = cleanName(withMatch[1]);
+        if (cancellationNote) deleteDetails.cancellationNote = cancellationNote;
+    }
+    return deleteDetails;
+}
+
+function parseFreeTime(words, spoken) {
+    const freeTimeDetails = {};
+    if (spoken.range) {
+        freeTimeDetails.startDate = spoken.range.startDate;
+        freeTimeDetails.endDate = spoken.range.endDate;
+    } else {
+        freeTimeDetails.startDate = spoken.date || spoken.today;
+    }
+    // "before Friday" stops the day before; "until Friday" includes it
+    if (spoken.before) freeTimeDetails.endDate = addDays(spoken.before, -1);
+    else if (spoken.until) freeTimeDetails.endDate = spoken.until;
+
+    const durationMinutes = spoken.durationMinutes || parseDuration(words);
+    if (durationMinutes) freeTimeDetails.durationMinutes = durationMinutes;
+    if (spoken.dayPart) Object.assign(freeTimeDetails, DAY_PARTS[spoken.dayPart]);
+    const withMatch = words.match(/\bwith\s+(.+?)[?.!]*$/i);
+    if (withMatch) {
+        freeTimeDetails.title = `Meeting with ${withMatch[1].trim()}`;
+        // Only people can be checked, so "with the team" stays a title
+        const names = withMatch[1].split(/\s*(?:,|\band\b)\s*/).map(name => name.trim()).filter(Boolean);
+        const guests = names.filter(name => /@/.test(name) || /^[A-Z][\w'-]*(?:\s+[A-Z][\w'-]*)?$/.test(name));
+        if (guests.length > 0) freeTimeDetails.attendees = guests;
+    }
+    return freeTimeDetails;
+}
+
+function parseCommandLocally(commandText, timeZone, now = new Date(), { repeats = true } = {}) {
+    console.log('parseCommandLocally input:', commandText);
+    timeZone = resolveTimeZone(timeZone);
+    const result = { useLocalFallback: true };
+    let text = commandText.trim().replace(/[?!.]+$/, '');
+
+    // Pieces that carry their own free text come off before the grammar reads dates and times
+    const noteMatch = text.match(/\s+and\s+(?:tell|let)\s+(?:them|everyone|the guests|(?:the\s+)?attendees)\s+(?:know\s+)?(?:that\s+)?(.+)$/i);
+    const cancellationNote = noteMatch ? noteMatch[1].trim() : null;
+    if (noteMatch) text = text.slice(0, noteMatch.index);
+    const descriptionMatch = text.match(/\s+(?:with\s+(?:the\s+)?description|with\s+(?:the\s+)?notes?|notes?:)\s+(.+)$/i);
+    const description = descriptionMatch ? descriptionMatch[1].trim() : null;
+    if (descriptionMatch) text = text.slice(0, descriptionMatch.index);
+    const calendarMatch = text.match(/\s*\b(?:on|to|in|from)\s+(?:the\s+|my\s+)(.+?)\s+calendar\b/i);
+    if (calendarMatch) {
+        result.calendarName = calendarMatch[1].trim();
+        text = `${text.slice(0, calendarMatch.index)} ${text.slice(calendarMatch.index + calendarMatch[0].length)}`.trim();
+    }
+
+    const spoken = { ...parseDateTime(text, { timeZone, now, repeats }), today: getLocalDate(now, timeZone) };
+    const words = spoken.rest.replace(POLITE_PREFIX, '').replace(/\s+please$/i, '').trim();
+    const lowerCommand = commandText.toLowerCase();
+    console.log('parseCommandLocally grammar:', JSON.stringify({ chunks: spoken.chunks.map(chunk => chunk.text), words }));
+
+    const eventEdit = parseEventEditLocally(words);
+
+    if (/\b(undo|put (it|them) back|restore)\b/.test(lowerCommand)) {
+        result.intent = 'UNDO';
+    } else if (/\bcalendars\b/.test(lowerCommand) && /\b(which|what|list|show)\b/.test(lowerCommand)) {
+        result.intent = 'LIST_CALENDARS';
+    } else if (eventEdit) {
+        result.intent = 'MODIFY_EVENT';
+        result.modifyDetails = spoken.date ? { ...eventEdit, date: spoken.date } : eventEdit;
+    } else if (DELETE_VERBS.test(words)) {
+        result.intent = 'DELETE_EVENTS';
+        // A missing date is left for the server to ask about as a follow-up
+        result.deleteDetails = parseDelete(words, spoken, cancellationNote);
+    } else if (MODIFY_VERBS.test(words) && !/^make\s+(?:an?|new)\b/i.test(words)) {
+        result.intent = 'MODIFY_EVENT';
+        result.modifyDetails = parseModify(words, spoken, description);
+    } else if (CREATE_VERBS.test(words)) {
+        result.intent = 'CREATE_EVENT';
+        result.eventDetails = parseCreate(words, spoken, description);
+    } else if (FREE_TIME_WORDS.test(words)) {
+        result.intent = 'FIND_FREE_TIME';
+        result.freeTimeDetails = parseFreeTime(words, spoken);
+    } else if (QUERY_WORDS.test(words) || /\b(calendar|agenda|schedule)\b/i.test(words) || (!words && (spoken.date || spoken.range))) {
+        result.intent = 'QUERY_EVENTS';
+        result.queryDetails = parseQuery(words, spoken);
+    }
+
+    // Only a new event can repeat; in "remove Bob from the weekly sync" the word is part of the event's name
+    if (spoken.recurrence && result.intent !== 'CREATE_EVENT') {
+        return parseCommandLocally(commandText, timeZone, now, { repeats: false });
+    }
+
+    // Both ends were said but the end comes first: reported like the validator does for model output,
+    // so the server asks for the end again rather than guessing
+    const section = result.eventDetails ? 'eventDetails' : result.modifyDetails ? 'modifyDetails' : null;
+    const details = result[section];
+    if (details && details.startTime && details.endTime && details.startTime >= details.endTime) {
+        result.problems = [{ section, field: 'endTime', value: details.endTime, kind: 'time', reason: 'beforeStart' }];
+        delete details.endTime;
+    }
+
+    console.log('parseCommandLocally output:', JSON.stringify(result, null, 2));
+    return result;
+}
+
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1, one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+function parseFollowUpLocally(commandText, pending, timeZone, now = new Date()) {
+    const lowerCommand = commandText.toLowerCase().trim();
+    const choices = pending.choices || [];
+    const result = { cancel: false, choice: null, slots: {} };
+
+    if (/\b(cancel|never ?mind|forget it|stop)\b/.test(lowerCommand) || /^no\.?$/.test(lowerCommand)) {
+        result.cancel = true;
+        return result;
+    }
+
+    // A clicked option button sends its id ("book", "following") as-is
+    const clicked = choices.find(choice => String(choice.id).toLowerCase() === lowerCommand);
+    if (clicked) {
+        result.choice = clicked.id;
+        return result;
+    }
+
+    // Keyword answers for the fixed-choice questions
+    if (pending.awaiting === 'conflict') {
+        if (/\b(next|free slot|available|other time)\b/.test(lowerCommand)) result.choice = 'next';
+        else if (/\b(anyway|book it|yes|go ahead|double.?book|keep it)\b/.test(lowerCommand)) result.choice = 'book';
+    } else if (pending.awaiting === 'confirmDelete') {
+        if (/\b(yes|yeah|yep|confirm|go ahead|do it|delete (them|it)|sure|okay)\b/.test(lowerCommand)) result.choice = 'yes';
+        else if (/\b(no|nope|don'?t|keep)\b/.test(lowerCommand)) result.cancel = true;
+        return result;
+    } else if (pending.awaiting === 'recurrenceScope') {
+        if (/\b(following|future|onwards?|from now|after)\b/.test(lowerCommand)) result.choice = 'following';
+        else if (/\b(whole|entire|all|every|series)\b/.test(lowerCommand)) result.choice = 'all';
+        else if (/\b(this|just|only|one|occurrence|single)\b/.test(lowerCommand)) result.choice = 'this';
+    } else if (choices.length > 0) {
+        // Enumerated options: "option 2", "the second one", an event id, a title or a start time
+        const numberMatch = lowerCommand.match(/^(?:option|number|#)?\s*(\d+)(?:st|nd|rd|th)?(?: one)?$/) || lowerCommand.match(/\b(?:option|number)\s+(\d+)\b/);
+        const ordinal = Object.keys(ORDINALS).find(word => new RegExp(`\\b${word}\\b`).test(lowerCommand));
+        const byId = choices.find(choice => lowerCommand.includes(String(choice.id).toLowerCase()) && String(choice.id).length > 2);
+        const byTitle = choices.filter(choice => choice.title && lowerCommand.includes(choice.title.toLowerCase()));
+        const spokenTime = parseSpokenTime(lowerCommand);
+        const byTime = spokenTime ? choices.filter(choice => choice.startTime && parseSpokenTime(choice.startTime.toLowerCase()) === spokenTime) : [];
+
+        let index = null;
+        if (numberMatch) index = parseInt(numberMatch[1], 10);
+        else if (ordinal) index = ORDINALS[ordinal] === -1 ? choices.length : ORDINALS[ordinal];
+
+        // "the 6 pm one" names a time, not the first option
+        if (byId) result.choice = byId.id;
+        else if (numberMatch && index <= choices.length) result.choice = choices[index - 1].id;
+        else if (byTime.length === 1) result.choice = byTime[0].id;
+        else if (index && index <= choices.length) result.choice = choices[index - 1].id;
+        else if (byTitle.length === 1) result.choice = byTitle[0].id;
+        else if (choices.length === 1 && /\b(yes|sure|book it|okay|that one)\b/.test(lowerCommand)) result.choice = choices[0].id;
+        if (result.choice) return result;
+    }
+
+    // Addresses for guests the contacts file doesn't know; spoken ones arrive as "zed at example dot com"
+    if (pending.awaiting === 'attendees') {
+        const written = lowerCommand.replace(/\s+at\s+/g, '@').replace(/\s+dot\s+/g, '.');
+        const emails = written.match(/[^\s@,;]+@[^\s@,;]+\.[a-z]{2,}/g) || [];
+        if (emails.length > 0) result.slots.attendees = emails;
+        return result;
+    }
+
+    // Corrections and missing values: dates and times, with a bare "5" read as a start time
+    const spoken = parseDateTime(commandText, { timeZone: resolveTimeZone(timeZone), now, repeats: false });
+    if (spoken.date) result.slots.date = spoken.date;
+    const startTime = spoken.startTime || (spoken.endTime ? null : parseSpokenTime(spoken.rest));
+    if (startTime) result.slots.startTime = startTime;
+    if (spoken.endTime) result.slots.endTime = spoken.endTime;
+    // "5 pm" answers "What time should it end?"
+    if (pending.missing?.[0] === 'endTime' && result.slots.startTime && !result.slots.endTime) {
+        result.slots.endTime = result.slots.startTime;
+        delete result.slots.startTime;
+    }
+    if (pending.missing?.includes('title') && Object.keys(result.slots).length === 0) {
+        result.slots.title = commandText.replace(/^(call it|name it|it's|its|title)\s+/i, '').trim();
+    }
+    return result;
+}
+
+module.exports = {
+    parseCommandLocally,
+    parseFollowUpLocally,
+    parseEventEditLocally
+};
@@ -0,0 +1,69 @@
+// oauthState.js
+
+const crypto = require('crypto');
+const { getSessionSecret } = require('./session');
+
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Pending OAuth attempts keyed by session id. Each holds the PKCE verifier and post-login
+// redirect for one in-flight login, and is consumed by the first callback that presents it.
+const pendingStates = new Map();
+
+function sign(sessionId, nonce) {
+    return crypto.createHmac('sha256', getSessionSecret()).update(`${sessionId}.${nonce}`).digest('base64url');
+}
+
+function createOAuthState(sessionId, { codeVerifier, redirectTo }) {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    pendingStates.set(sessionId, { nonce, codeVerifier, redirectTo, expiresAt: Date.now() + STATE_TTL });
+    return `${nonce}.${sign(sessionId, nonce)}`;
+}
+
+// Returns the pending login for this session if the state is valid, otherwise null. Always single-use.
+function consumeOAuthState(sessionId, state) {
+    const pending = pendingStates.get(sessionId);
+    pendingStates.delete(sessionId);
+    if (!pending || typeof state !== 'string' || pending.expiresAt < Date.now()) return null;
+
+    const [nonce, signature] = state.split('.');
+    if (!nonce || !signature || nonce !== pending.nonce) return null;
+    const expected = Buffer.from(sign(sessionId, nonce));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+    return { codeVerifier: pending.codeVerifier, redirectTo: pending.redirectTo };
+}
+
+function getAllowedRedirectOrigins() {
+    return (process.env.ALLOWED_REDIRECT_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+}
+
+// Same-origin paths are always allowed; absolute URLs only when their origin is allowlisted.
+function isAllowedRedirect(candidate) {
+    if (candidate.startsWith('/') && !candidate.startsWith('//') && !candidate.startsWith('/\\')) {
+        return true;
+    }
+    try {
+        return getAllowedRedirectOrigins().includes(new URL(candidate).origin);
+    } catch (error) {
+        return false;
+    }
+}
+
+function resolvePostLoginRedirect(requested) {
+    if (requested && isAllowedRedirect(requested)) return requested;
+    if (requested) console.warn(`Rejected post-login redirect '${requested}'.`);
+    const fallback = process.env.POST_LOGIN_REDIRECT;
+    return fallback && isAllowedRedirect(fallback) ? fallback : '/';
+}
+
+function withAuthResult(redirectTo, result) {
+    const url = new URL(redirectTo, 'http://placeholder');
+    url.searchParams.set('auth', result);
+    return redirectTo.startsWith('/') ? `${url.pathname}${url.search}${url.hash}` : url.toString();
+}
+
+module.exports = { createOAuthState, consumeOAuthState, resolvePostLoginRedirect, withAuthResult };
@@ -0,0 +1,79 @@
+// openaiLlm.js
+
+// A provider for any server speaking the OpenAI chat completions API: a local Ollama
+// (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1), vLLM, or OpenAI itself.
+// The reply is constrained with response_format; servers that only support plain JSON mode can set
+// OPENAI_RESPONSE_FORMAT=json_object, and the schema is then spelled out in the system prompt.
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+// Gemini's schema uses upper-case type names ('OBJECT', 'STRING'); JSON Schema wants lower case
+function toJsonSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(toJsonSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') converted.type = value.toLowerCase();
+        else if (key === 'properties') converted.properties = Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]));
+        else converted[key] = toJsonSchema(value);
+    }
+    return converted;
+}
+
+// Local models sometimes wrap the JSON in a ```json fence or add a sentence around it
+function extractJson(content) {
+    const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const text = fenced ? fenced[1] : content;
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    return JSON.parse(start >= 0 && end > start ? text.slice(start, end + 1) : text);
+}
+
+function createOpenAiProvider({
+    baseUrl = process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL,
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL,
+    responseFormat = process.env.OPENAI_RESPONSE_FORMAT || 'json_schema'
+} = {}) {
+    if (!model) throw new Error('OPENAI_MODEL must be set to use the openai provider (e.g. llama3.1 for Ollama).');
+
+    async function generateJson({ systemInstruction, text, schema, schemaName = 'response', signal }) {
+        const jsonSchema = toJsonSchema(schema);
+        const body = {
+            model,
+            temperature: 0,
+            messages: [
+                {
+                    role: 'system',
+                    content: responseFormat === 'json_object'
+                        ? `${systemInstruction}\nReply with only a JSON object that follows this JSON schema: ${JSON.stringify(jsonSchema)}`
+                        : systemInstruction
+                },
+                { role: 'user', content: text }
+            ],
+            response_format: responseFormat === 'json_object'
+                ? { type: 'json_object' }
+                : { type: 'json_schema', json_schema: { name: schemaName, schema: jsonSchema } }
+        };
+
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+            body: JSON.stringify(body),
+            signal
+        });
+        if (!response.ok) {
+            const error = new Error(`${model} at ${baseUrl} returned ${response.status}: ${(await response.text()).slice(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content;
+        if (!content) throw new Error(`${model} at ${baseUrl} returned an empty reply`);
+        return extractJson(content);
+    }
+
+    return { name: 'openai', model, generateJson };
+}
+
+module.exports = { createOpenAiProvider, toJsonSchema };
@@ -0,0 +1,237 @@
+// parserEval.js
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// Scores a command parser against the utterances in eval/commands.json: how often it gets the
+// intent right, and how many of the expected slots it fills with exactly the expected value.
+// Relative dates in the fixtures are resolved against the file's pinned "now".
+//   node parserEval.js --parser local
+//   node parserEval.js --parser llm --record eval/recordings/gemini.json
+//   node parserEval.js --parser replay --replay eval/recordings/gemini.json
+// The llm parser uses the providers from LLM_PROVIDERS; replay feeds recorded model answers through
+// the same validation and fallback path, so prompt and schema changes can be compared without a network.
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'eval', 'commands.json');
+const DETAIL_SECTIONS = ['eventDetails', 'queryDetails', 'modifyDetails', 'deleteDetails', 'freeTimeDetails'];
+
+function loadFixtures(file = DEFAULT_FIXTURES) {
+    const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { ...fixtures, now: new Date(fixtures.now) };
+}
+
+// Flattens a parsed command into { 'eventDetails.startTime': '15:00:00', ... }. Recurrence rules are
+// split into their parts; empty values count as missing.
+function flattenSlots(command) {
+    const slots = {};
+    const add = (name, value) => {
+        if (value !== null && value !== undefined && value !== '') slots[name] = value;
+    };
+    add('calendarName', command.calendarName);
+    for (const section of DETAIL_SECTIONS) {
+        for (const [key, value] of Object.entries(command[section] || {})) {
+            if (key === 'recurrence' && value) {
+                for (const [part, partValue] of Object.entries(value)) add(`${section}.recurrence.${part}`, partValue);
+            } else {
+                add(`${section}.${key}`, value);
+            }
+        }
+    }
+    return slots;
+}
+
+// Text compares without case or surrounding spaces ("Team sync" matches "team sync"); lists compare
+// as sets, since the order of guests or weekdays doesn't matter
+function sameValue(expected, actual) {
+    if (Array.isArray(expected)) {
+        if (!Array.isArray(actual) || actual.length !== expected.length) return false;
+        const remaining = [...actual];
+        return expected.every(item => {
+            const index = remaining.findIndex(candidate => sameValue(item, candidate));
+            return index >= 0 && remaining.splice(index, 1);
+        });
+    }
+    if (typeof expected === 'string' && typeof actual === 'string') return expected.trim().toLowerCase() === actual.trim().toLowerCase();
+    return expected === actual;
+}
+
+function scoreCase(expected, actual) {
+    const expectedSlots = flattenSlots(expected);
+    const actualSlots = flattenSlots(actual);
+    return {
+        intentCorrect: expected.intent === actual.intent,
+        slots: Object.entries(expectedSlots).map(([slot, value]) => ({
+            slot,
+            expected: value,
+            actual: actualSlots[slot],
+            correct: sameValue(value, actualSlots[slot])
+        })),
+        extraSlots: Object.keys(actualSlots).filter(slot => !(slot in expectedSlots))
+    };
+}
+
+// Runs parse(text, timeZone, now) over every fixture and totals the scores
+async function evaluateParser(parse, fixtures) {
+    const results = [];
+    for (const { text, expected } of fixtures.cases) {
+        let actual;
+        let error;
+        try {
+            actual = await parse(text, fixtures.timeZone, fixtures.now);
+        } catch (parseError) {
+            actual = {};
+            error = parseError.message;
+        }
+        const score = scoreCase(expected, actual);
+        const exactMatch = score.intentCorrect && score.slots.every(slot => slot.correct);
+        results.push({ text, expected, actual, error, ...score, exactMatch, usedFallback: Boolean(actual.useLocalFallback) });
+    }
+
+    const slots = results.flatMap(result => result.slots);
+    const bySlot = {};
+    for (const { slot, correct } of slots) {
+        // Scored by field name, so 'eventDetails.date' and 'modifyDetails.date' count together
+        const field = slot.split('.').slice(1).join('.') || slot;
+        bySlot[field] = bySlot[field] || { correct: 0, total: 0 };
+        bySlot[field].total++;
+        if (correct) bySlot[field].correct++;
+    }
+    const ratio = (count, total) => total === 0 ? 1 : count / total;
+    return {
+        cases: results.length,
+        intentAccuracy: ratio(results.filter(result => result.intentCorrect).length, results.length),
+        slotAccuracy: ratio(slots.filter(slot => slot.correct).length, slots.length),
+        exactMatch: ratio(results.filter(result => result.exactMatch).length, results.length),
+        extraSlots: results.reduce((total, result) => total + result.extraSlots.length, 0),
+        fallbacks: results.filter(result => result.usedFallback).length,
+        errors: results.filter(result => result.error).length,
+        bySlot,
+        results
+    };
+}
+
+// Wraps a provider so every answer it gives is kept in recording.responses, keyed by command text
+function createRecordingProvider(provider, recording) {
+    recording.provider = `${provider.name}/${provider.model}`;
+    recording.responses = recording.responses || {};
+    return {
+        name: provider.name,
+        model: provider.model,
+        async generateJson(request) {
+            const result = await provider.generateJson(request);
+            recording.responses[request.text] = result;
+            return result;
+        }
+    };
+}
+
+// Answers with the recorded responses; a command that wasn't recorded fails like an unreachable model
+function createReplayProvider(recording) {
+    return {
+        name: 'replay',
+        model: recording.provider || 'recording',
+        async generateJson({ text }) {
+            if (!(text in recording.responses)) throw new Error(`No recorded response for "${text}"`);
+            return structuredClone(recording.responses[text]);
+        }
+    };
+}
+
+function formatReport(report, { showAll = false, showFallbacks = true } = {}) {
+    const percent = value => `${(value * 100).toFixed(1)}%`;
+    const lines = [
+        `Cases:           ${report.cases}`,
+        `Intent accuracy: ${percent(report.intentAccuracy)}`,
+        `Slot accuracy:   ${percent(report.slotAccuracy)}`,
+        `Exact match:     ${percent(report.exactMatch)}`,
+        `Extra slots:     ${report.extraSlots}`,
+        ...(showFallbacks ? [`Local fallbacks: ${report.fallbacks}`] : []),
+        `Errors:          ${report.errors}`,
+        '',
+        'By slot:'
+    ];
+    for (const [field, { correct, total }] of Object.entries(report.bySlot).sort(([a], [b]) => a.localeCompare(b))) {
+        lines.push(`  ${field.padEnd(24)} ${String(correct).padStart(3)}/${String(total).padEnd(3)} ${percent(correct / total)}`);
+    }
+    const shown = report.results.filter(result => showAll || !result.exactMatch);
+    if (shown.length > 0) lines.push('');
+    for (const result of shown) {
+        lines.push(`${result.exactMatch ? '✓' : '✗'} ${result.text}`);
+        if (result.error) lines.push(`    error: ${result.error}`);
+        if (!result.intentCorrect) lines.push(`    intent: expected ${result.expected.intent}, got ${result.actual.intent}`);
+        for (const slot of result.slots.filter(slot => !slot.correct)) {
+            lines.push(`    ${slot.slot}: expected ${JSON.stringify(slot.expected)}, got ${JSON.stringify(slot.actual)}`);
+        }
+        if (result.extraSlots.length > 0) lines.push(`    extra: ${result.extraSlots.join(', ')}`);
+    }
+    return lines.join('\n');
+}
+
+async function main() {
+    const { values } = parseArgs({
+        options: {
+            parser: { type: 'string', default: 'local' },
+            fixtures: { type: 'string', default: DEFAULT_FIXTURES },
+            record: { type: 'string' },
+            replay: { type: 'string' },
+            json: { type: 'string' },
+            all: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false }
+        }
+    });
+    // The parsers log every step; keep the report readable
+    if (!values.verbose) {
+        console.log = () => {};
+        console.error = () => {};
+    }
+    // Loaded after silencing, since building the providers logs too
+    const { parseCommand, parseCommandLocally, setLlmProviders } = require('./llmParser');
+    const { createLlmProviders } = require('./llmProvider');
+
+    const fixtures = loadFixtures(values.fixtures);
+    let recording = null;
+    let parse;
+    if (values.parser === 'local') {
+        parse = (text, timeZone, now) => parseCommandLocally(text, timeZone, now);
+    } else if (values.parser === 'llm' || values.parser === 'replay') {
+        if (values.parser === 'replay') {
+            if (!values.replay) throw new Error('--parser replay needs --replay <recording.json>');
+            setLlmProviders([createReplayProvider(JSON.parse(fs.readFileSync(values.replay, 'utf8')))]);
+        } else {
+            const providers = createLlmProviders();
+            if (providers.length === 0) throw new Error('No LLM provider is configured; set LLM_PROVIDERS and its keys.');
+            recording = { recordedAt: new Date().toISOString(), now: fixtures.now.toISOString(), responses: {} };
+            // Only the first provider is recorded, so a replay reproduces exactly one model
+            setLlmProviders(values.record ? [createRecordingProvider(providers[0], recording)] : providers);
+        }
+        parse = (text, timeZone, now) => parseCommand(text, timeZone, { now });
+    } else {
+        throw new Error(`Unknown parser '${values.parser}'. Use 'local', 'llm' or 'replay'.`);
+    }
+
+    const report = await evaluateParser(parse, fixtures);
+    process.stdout.write(`Parser: ${values.parser}${values.replay ? ` (${values.replay})` : ''}\n${formatReport(report, { showAll: values.all, showFallbacks: values.parser !== 'local' })}\n`);
+    if (values.record) {
+        fs.mkdirSync(path.dirname(values.record), { recursive: true });
+        fs.writeFileSync(values.record, `${JSON.stringify(recording, null, 2)}\n`);
+        process.stdout.write(`Recorded ${Object.keys(recording.responses).length} responses to ${values.record}\n`);
+    }
+    if (values.json) fs.writeFileSync(values.json, `${JSON.stringify(report, null, 2)}\n`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        process.stderr.write(`${error.message}\n`);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    loadFixtures,
+    scoreCase,
+    evaluateParser,
+    createRecordingProvider,
+    createReplayProvider,
+    formatReport
+};
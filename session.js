@@ -0,0 +1,46 @@
+// session.js
+
+const crypto = require('crypto');
+const cookieParser = require('cookie-parser');
+
+const SESSION_COOKIE = 'cvb_sid';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+let sessionSecret = null;
+
+function getSessionSecret() {
+    if (sessionSecret) return sessionSecret;
+    if (process.env.SESSION_SECRET) {
+        sessionSecret = process.env.SESSION_SECRET;
+    } else {
+        console.warn("SESSION_SECRET is not set. Using a random secret; browser sessions will not survive a restart.");
+        sessionSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return sessionSecret;
+}
+
+// Assigns every browser a signed, random session id so stored tokens can be looked up per user.
+function sessionMiddleware() {
+    const secret = getSessionSecret();
+    const parseCookies = cookieParser(secret);
+
+    return (req, res, next) => {
+        parseCookies(req, res, () => {
+            let sessionId = req.signedCookies[SESSION_COOKIE];
+            if (!sessionId) {
+                sessionId = crypto.randomBytes(24).toString('hex');
+                res.cookie(SESSION_COOKIE, sessionId, {
+                    signed: true,
+                    httpOnly: true,
+                    sameSite: 'lax',
+                    secure: process.env.NODE_ENV === 'production',
+                    maxAge: SESSION_MAX_AGE
+                });
+            }
+            req.sessionId = sessionId;
+            next();
+        });
+    };
+}
+
+module.exports = { sessionMiddleware, getSessionSecret, SESSION_COOKIE };
@@ -0,0 +1,144 @@
+// speechToText.js
+
+const { execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Server-side transcription for browsers without the Web Speech API (Firefox, Safari) and for teams
+// that don't want audio sent to the browser vendor. STT_ENGINE picks a local engine:
+//   whisper-cpp  whisper.cpp's CLI (WHISPER_CPP_BIN, default 'whisper-cli') with a ggml model (WHISPER_CPP_MODEL)
+//   vosk         Vosk's vosk-transcriber (VOSK_BIN) with a model directory (VOSK_MODEL) or language (STT_LANGUAGE)
+// Every engine has:
+//   name
+//   transcribe(audioFile, { mimeType, timeoutMs })   resolves to the text heard in the recording
+// Recordings arrive as whatever MediaRecorder produces (webm/opus, ogg, mp4); engines that need
+// 16 kHz WAV convert them with ffmpeg (FFMPEG_BIN) first.
+
+const FILE_EXTENSIONS = {
+    'audio/webm': '.webm',
+    'video/webm': '.webm',
+    'audio/ogg': '.ogg',
+    'audio/mp4': '.m4a',
+    'audio/mpeg': '.mp3',
+    'audio/wav': '.wav',
+    'audio/x-wav': '.wav'
+};
+
+function run(command, args, { timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        execFile(command, args, { timeout: timeoutMs, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                const reason = error.code === 'ENOENT' ? 'is not installed or not on PATH'
+                    : error.killed ? `did not finish within ${timeoutMs} ms`
+                    : `failed: ${stderr.trim().split('\n').pop() || error.message}`;
+                return reject(new Error(`${path.basename(command)} ${reason}`));
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+// Converts a recording to the 16 kHz mono 16-bit WAV that whisper.cpp expects
+async function convertToWav(audioFile, { timeoutMs }) {
+    const wavFile = `${audioFile}.16k.wav`;
+    await run(process.env.FFMPEG_BIN || 'ffmpeg', ['-nostdin', '-loglevel', 'error', '-y', '-i', audioFile, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavFile], { timeoutMs });
+    return wavFile;
+}
+
+// Engines mark silence and noise as "[BLANK_AUDIO]" or "(wind blowing)"; those aren't words
+function cleanTranscript(text) {
+    return text.replace(/\[[^\]]*\]|\([^)]*\)/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function createWhisperCppEngine({
+    bin = process.env.WHISPER_CPP_BIN || 'whisper-cli',
+    model = process.env.WHISPER_CPP_MODEL,
+    language = process.env.STT_LANGUAGE || 'en'
+} = {}) {
+    if (!model) throw new Error('WHISPER_CPP_MODEL must point to a ggml model file for the whisper-cpp engine.');
+    return {
+        name: 'whisper-cpp',
+        async transcribe(audioFile, { timeoutMs }) {
+            const wavFile = await convertToWav(audioFile, { timeoutMs });
+            // -nt: no timestamps, -np: no progress output, so stdout is just the text
+            const stdout = await run(bin, ['-m', model, '-f', wavFile, '-l', language, '-nt', '-np'], { timeoutMs });
+            return cleanTranscript(stdout);
+        }
+    };
+}
+
+function createVoskEngine({
+    bin = process.env.VOSK_BIN || 'vosk-transcriber',
+    model = process.env.VOSK_MODEL,
+    language = process.env.STT_LANGUAGE || 'en-us'
+} = {}) {
+    return {
+        name: 'vosk',
+        async transcribe(audioFile, { timeoutMs }) {
+            // vosk-transcriber decodes the recording with ffmpeg itself
+            const stdout = await run(bin, ['-i', audioFile, ...(model ? ['-m', model] : ['-l', language])], { timeoutMs });
+            return cleanTranscript(stdout);
+        }
+    };
+}
+
+function createSttEngine(type = process.env.STT_ENGINE) {
+    switch (type) {
+        case undefined:
+        case '':
+        case 'none':
+            return null;
+        case 'whisper-cpp':
+            return createWhisperCppEngine();
+        case 'vosk':
+            return createVoskEngine();
+        default:
+            throw new Error(`Unknown speech-to-text engine '${type}' in STT_ENGINE. Use 'whisper-cpp' or 'vosk'.`);
+    }
+}
+
+let engine = createSttEngine();
+if (engine) console.log(`Server-side speech recognition uses ${engine.name}.`);
+
+// Lets tests swap in a fake engine (or null to turn transcription off)
+function setSttEngine(newEngine) {
+    engine = newEngine;
+}
+
+function getSttInfo() {
+    return {
+        enabled: Boolean(engine),
+        engine: engine ? engine.name : null,
+        // Send audio to the server even where the browser could recognize speech itself
+        preferServer: Boolean(engine) && process.env.STT_PREFER_SERVER === 'true',
+        maxBytes: Number(process.env.STT_MAX_UPLOAD_BYTES) || 10 * 1024 * 1024
+    };
+}
+
+// Writes the recording to a temporary directory, runs the engine on it and cleans up.
+// Resolves to the transcript, which is empty when nothing was said.
+async function transcribeAudio(audio, { mimeType = '' } = {}) {
+    if (!engine) throw new Error('No speech-to-text engine is configured; set STT_ENGINE.');
+    const timeoutMs = Number(process.env.STT_TIMEOUT_MS) || 30000;
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'calendarbot-stt-'));
+    try {
+        const audioFile = path.join(directory, `recording${FILE_EXTENSIONS[mimeType.split(';')[0].trim().toLowerCase()] || '.audio'}`);
+        await fs.writeFile(audioFile, audio);
+        const transcript = await engine.transcribe(audioFile, { mimeType, timeoutMs });
+        console.log(`Transcribed ${audio.length} bytes of ${mimeType || 'audio'} with ${engine.name}:`, JSON.stringify(transcript));
+        return transcript;
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    createSttEngine,
+    createWhisperCppEngine,
+    createVoskEngine,
+    cleanTranscript,
+    setSttEngine,
+    getSttInfo,
+    transcribeAudio
+};
@@ -0,0 +1,109 @@
+// test/calendarService.test.js
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+require('./helpers');
+const { createFakeCalendarProvider } = require('./fakeCalendar');
+const { setCalendarProvider, modifyCalendarEvent } = require('../calendarService');
+const { zonedTimeToUtc } = require('../timeUtils');
+
+const TIME_ZONE = 'America/New_York';
+const context = { sessionId: 'test', timeZone: TIME_ZONE };
+const at = (date, time) => zonedTimeToUtc(date, time, TIME_ZONE).toISOString();
+
+let calendar;
+let client;
+
+beforeEach(async () => {
+    calendar = createFakeCalendarProvider();
+    setCalendarProvider(calendar);
+    client = await calendar.getClient();
+});
+
+async function insert(resource) {
+    return (await client.events.insert({ calendarId: 'primary', resource })).data;
+}
+
+// A weekly series plus one stored occurrence of it (the fake doesn't expand series itself)
+async function seedSeries(date, time) {
+    const master = await insert({
+        summary: 'standup',
+        recurrence: ['RRULE:FREQ=WEEKLY'],
+        start: { dateTime: at('2030-01-07', time), timeZone: TIME_ZONE },
+        end: { dateTime: at('2030-01-07', '10:30:00'), timeZone: TIME_ZONE }
+    });
+    const instance = await insert({
+        summary: 'standup',
+        recurringEventId: master.id,
+        originalStartTime: { dateTime: at(date, time) },
+        start: { dateTime: at(date, time), timeZone: TIME_ZONE },
+        end: { dateTime: at(date, '10:30:00'), timeZone: TIME_ZONE }
+    });
+    return { master, instance };
+}
+
+describe('modifyCalendarEvent', () => {
+    test('leaves a series unsplit when a "this and following" move is not made', async () => {
+        const { master, instance } = await seedSeries('2030-01-14', '10:00:00');
+        await insert({ summary: 'review', start: { dateTime: at('2030-01-14', '15:00:00') }, end: { dateTime: at('2030-01-14', '16:00:00') } });
+
+        const result = await modifyCalendarEvent(context, instance.id, { startTime: '15:00:00' }, { recurrenceScope: 'following' });
+        assert.equal(result.clarificationNeeded.type, 'conflict');
+        const stored = calendar.listEvents();
+        assert.deepEqual(stored.find(event => event.id === master.id).recurrence, ['RRULE:FREQ=WEEKLY']);
+        assert.equal(stored.filter(event => event.recurrence).length, 1);
+
+        const booked = await modifyCalendarEvent(context, instance.id, { startTime: '15:00:00' }, { recurrenceScope: 'following', allowConflicts: true });
+        assert.equal(booked.status, 'success');
+        const [original, split] = calendar.listEvents().filter(event => event.recurrence);
+        assert.match(original.recurrence[0], /UNTIL=/);
+        assert.equal(split.start.dateTime, at('2030-01-14', '15:00:00'));
+    });
+
+    test('changes all-day events without reading times they do not have', async () => {
+        const offsite = await insert({ summary: 'offsite', start: { date: '2030-01-14' }, end: { date: '2030-01-16' } });
+
+        const located = await modifyCalendarEvent(context, offsite.id, { location: 'Room 4B' });
+        assert.equal(located.message, "Updated 'offsite': set the location to Room 4B.");
+
+        const moved = await modifyCalendarEvent(context, offsite.id, { date: '2030-01-21' });
+        assert.match(moved.message, /moved it to /);
+        const [event] = calendar.listEvents();
+        assert.deepEqual([event.start, event.end, event.location], [{ date: '2030-01-21' }, { date: '2030-01-23' }, 'Room 4B']);
+
+        await modifyCalendarEvent(context, offsite.id, { startTime: '09:00:00' });
+        const [timed] = calendar.listEvents();
+        assert.deepEqual([timed.start.dateTime, timed.end.dateTime], [at('2030-01-21', '09:00:00'), at('2030-01-21', '10:00:00')]);
+    });
+
+    test('does not invite a contact again whose stored email has capitals', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'contacts-test-'));
+        process.env.CONTACTS_FILE = path.join(directory, 'contacts.json');
+        fs.writeFileSync(process.env.CONTACTS_FILE, JSON.stringify([{ email: 'nameless@example.com' }, { name: 'Bob Jones', email: 'Bob@Example.com' }]));
+        try {
+            const sync = await insert({ summary: 'sync', start: { dateTime: at('2030-01-14', '15:00:00') }, end: { dateTime: at('2030-01-14', '16:00:00') } });
+            const added = await modifyCalendarEvent(context, sync.id, { addAttendees: ['Bob'] });
+            assert.equal(added.status, 'success');
+            const again = await modifyCalendarEvent(context, sync.id, { addAttendees: ['Bob'] });
+            assert.equal(again.message, "'sync' already matched that, so nothing changed.");
+            assert.deepEqual(calendar.listEvents()[0].attendees.map(guest => guest.email), ['bob@example.com']);
+        } finally {
+            delete process.env.CONTACTS_FILE;
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('reports reminders only when they change', async () => {
+        const review = await insert({ summary: 'review', start: { dateTime: at('2030-01-14', '15:00:00') }, end: { dateTime: at('2030-01-14', '16:00:00') } });
+
+        const set = await modifyCalendarEvent(context, review.id, { reminderMinutes: [30, 10] });
+        assert.equal(set.message, "Updated 'review': set reminders 30 minutes and 10 minutes before.");
+        const same = await modifyCalendarEvent(context, review.id, { reminderMinutes: [10, 30] });
+        assert.equal(same.message, "'review' already matched that, so nothing changed.");
+        const off = await modifyCalendarEvent(context, review.id, { reminderMinutes: [] });
+        assert.equal(off.message, "Updated 'review': turned off reminders.");
+    });
+});
@@ -0,0 +1,387 @@
+// test/commandApi.test.js
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useStubLlm, startServer, createBrowser } = require('./helpers');
+const { createFakeCalendarProvider } = require('./fakeCalendar');
+const app = require('../index');
+const { setCalendarProvider } = require('../calendarService');
+const { getTodayInZone, addDays, zonedTimeToUtc } = require('../timeUtils');
+
+const TIME_ZONE = 'America/New_York';
+const tomorrow = (timeZone = TIME_ZONE) => addDays(getTodayInZone(timeZone), 1);
+const at = (time, timeZone = TIME_ZONE) => zonedTimeToUtc(tomorrow(timeZone), time, timeZone).toISOString();
+
+let server;
+let calendar;
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    await server.close();
+});
+
+beforeEach(() => {
+    // No model by default: every command goes through the local parser
+    useStubLlm();
+    calendar = createFakeCalendarProvider();
+    setCalendarProvider(calendar);
+});
+
+async function seed(summary, time, calendarId = 'primary') {
+    const client = await calendar.getClient();
+    const end = new Date(new Date(at(time)).getTime() + 60 * 60 * 1000).toISOString();
+    await client.events.insert({ calendarId, resource: { summary, start: { dateTime: at(time) }, end: { dateTime: end } } });
+}
+
+const summaries = () => calendar.listEvents().map(event => event.summary);
+
+describe('POST /api/command', () => {
+    test('rejects sessions without a connected calendar', async () => {
+        calendar.connected = false;
+        const { status, body } = await createBrowser(server.baseUrl).request('POST', '/api/command', { commandText: 'undo' });
+        assert.equal(status, 401);
+        assert.equal(body.status, 'error');
+    });
+
+    test('rejects an empty command', async () => {
+        const { status } = await createBrowser(server.baseUrl).request('POST', '/api/command', { commandText: '' });
+        assert.equal(status, 400);
+    });
+
+    test('creates an event at the wall-clock time in the browser timezone', async () => {
+        const response = await createBrowser(server.baseUrl).say('schedule sync for tomorrow at 3:00 pm');
+        assert.equal(response.status, 'success');
+        assert.match(response.message, /scheduled "sync".*3:00 PM/);
+        assert.equal(calendar.listEvents()[0].start.dateTime, at('15:00:00'));
+
+        await createBrowser(server.baseUrl, { timeZone: 'Asia/Tokyo' }).say('schedule standup for tomorrow at 9:00 am');
+        const standup = calendar.listEvents().find(event => event.summary === 'standup');
+        assert.equal(standup.start.dateTime, at('09:00:00', 'Asia/Tokyo'));
+    });
+
+    test('books and moves events with everyday phrasings', async () => {
+        const browser = createBrowser(server.baseUrl);
+        await browser.say('book lunch tomorrow at noon for 45 minutes');
+        const [lunch] = calendar.listEvents();
+        assert.deepEqual([lunch.summary, lunch.start.dateTime, lunch.end.dateTime], ['lunch', at('12:00:00'), at('12:45:00')]);
+
+        const response = await browser.say('move lunch tomorrow to 1');
+        assert.equal(response.status, 'success');
+        assert.equal(calendar.listEvents()[0].start.dateTime, at('13:00:00'));
+    });
+
+    test('lists the events on a day', async () => {
+        await seed('sync', '15:00:00');
+        await seed('review', '17:00:00');
+        const response = await createBrowser(server.baseUrl).say("what's on my calendar for tomorrow");
+        assert.equal(response.status, 'success');
+        assert.match(response.message, /2 events:\n1\. sync at 3:00 PM\n2\. review at 5:00 PM/);
+    });
+
+    test('asks for a missing start time and uses the answer', async () => {
+        const browser = createBrowser(server.baseUrl);
+        const question = await browser.say('schedule lunch for tomorrow');
+        assert.equal(question.status, 'clarification');
+        assert.equal(question.data.type, 'details');
+        assert.match(question.message, /What time should it start/);
+
+        const response = await browser.say('noon');
+        assert.equal(response.status, 'success');
+        assert.equal(calendar.listEvents()[0].start.dateTime, at('12:00:00'));
+    });
+
+    test('asks for the end again when it comes before the start', async () => {
+        const browser = createBrowser(server.baseUrl);
+        const question = await browser.say('schedule review for tomorrow at 5:00 pm to 4:30 pm');
+        assert.equal(question.status, 'clarification');
+        assert.equal(question.message, 'That would end before it starts. What time should it end?');
+        assert.deepEqual(summaries(), []);
+
+        const response = await browser.say('6 pm');
+        assert.equal(response.status, 'success');
+        const [event] = calendar.listEvents();
+        assert.deepEqual([event.start.dateTime, event.end.dateTime], [at('17:00:00'), at('18:00:00')]);
+    });
+
+    test('asks about conflicts and books anyway when told to', async () => {
+        await seed('sync', '15:00:00');
+        const browser = createBrowser(server.baseUrl);
+        const question = await browser.say('schedule clash for tomorrow at 3:00 pm');
+        assert.equal(question.data.type, 'conflict');
+        assert.match(question.message, /overlaps with 'sync'/);
+
+        const response = await browser.say('book anyway');
+        assert.equal(response.status, 'success');
+        assert.deepEqual(summaries(), ['sync', 'clash']);
+    });
+
+    test('moves a conflicting event when the answer gives another time', async () => {
+        await seed('sync', '15:00:00');
+        const browser = createBrowser(server.baseUrl);
+        await browser.say('schedule clash for tomorrow at 3:00 pm');
+        const response = await browser.say('make it 5 instead');
+        assert.equal(response.status, 'success');
+        assert.equal(calendar.listEvents().find(event => event.summary === 'clash').start.dateTime, at('17:00:00'));
+    });
+
+    test('modifies an event by name', async () => {
+        await seed('sync', '15:00:00');
+        const response = await createBrowser(server.baseUrl).say('modify sync tomorrow to start at 9:00 am');
+        assert.equal(response.status, 'success');
+        const [event] = calendar.listEvents();
+        assert.equal(event.start.dateTime, at('09:00:00'));
+        assert.equal(event.end.dateTime, at('10:00:00'));
+    });
+
+    test('confirms a bulk delete before running it, then undoes it', async () => {
+        await seed('sync', '15:00:00');
+        await seed('review', '17:00:00');
+        const browser = createBrowser(server.baseUrl);
+
+        const question = await browser.say('cancel all my meetings tomorrow');
+        assert.equal(question.data.type, 'confirmDelete');
+        assert.equal(summaries().length, 2);
+        assert.equal((await browser.say('cancel')).status, 'success');
+        assert.equal(summaries().length, 2);
+
+        await browser.say('cancel all my meetings tomorrow');
+        const deleted = await browser.say('yes');
+        assert.match(deleted.message, /Deleted 2 meetings/);
+        assert.deepEqual(summaries(), []);
+
+        const undone = await browser.say('undo');
+        assert.equal(undone.status, 'success');
+        assert.deepEqual(summaries(), ['sync', 'review']);
+    });
+
+    test('finds time when the guests are free too and invites them to the slot', async () => {
+        const client = await calendar.getClient();
+        const on = time => zonedTimeToUtc('2030-01-08', time, TIME_ZONE).toISOString();
+        await client.events.insert({ calendarId: 'primary', resource: { summary: 'focus', start: { dateTime: on('12:00:00') }, end: { dateTime: on('13:00:00') } } });
+        await client.events.insert({ calendarId: 'zed@example.com', resource: { summary: 'busy', start: { dateTime: on('09:00:00') }, end: { dateTime: on('12:00:00') } } });
+
+        const browser = createBrowser(server.baseUrl);
+        const question = await browser.say('find 45 minutes on January 8th 2030 with zed@example.com');
+        assert.equal(question.data.type, 'slot');
+        assert.match(question.message, /You and your guests are free/);
+        assert.deepEqual(question.data.options.map(slot => slot.startTime), ['13:00:00']);
+
+        const response = await browser.say('option 1');
+        assert.equal(response.status, 'success');
+        const booked = calendar.listEvents().find(event => event.summary === 'Meeting with zed@example.com');
+        assert.equal(booked.start.dateTime, on('13:00:00'));
+        assert.deepEqual(booked.attendees.map(guest => guest.email), ['zed@example.com']);
+    });
+
+    test('can undo a bulk delete that failed part-way', async () => {
+        await seed('a', '09:00:00');
+        await seed('b', '11:00:00');
+        await seed('c', '13:00:00');
+        const client = await calendar.getClient();
+        const deleteEvent = client.events.delete;
+        let calls = 0;
+        client.events.delete = async request => {
+            if (++calls === 2) throw new Error('boom');
+            return deleteEvent(request);
+        };
+        const browser = createBrowser(server.baseUrl);
+
+        await browser.say('cancel all my meetings tomorrow');
+        const failed = await browser.say('yes');
+        assert.match(failed.message, /Failed to delete events: boom\. 1 meeting was already deleted/);
+        assert.deepEqual(summaries(), ['b', 'c']);
+
+        const undone = await browser.say('undo');
+        assert.equal(undone.status, 'success');
+        assert.deepEqual(summaries(), ['a', 'b', 'c']);
+    });
+
+    test('asks which event to cancel when several match', async () => {
+        await seed('product sync', '15:00:00');
+        await seed('product call', '18:00:00');
+        const browser = createBrowser(server.baseUrl);
+
+        const question = await browser.say('cancel product tomorrow');
+        assert.equal(question.data.type, 'eventChoice');
+        assert.equal(question.data.options.length, 2);
+
+        const response = await browser.say('the second one');
+        assert.match(response.message, /Cancelled 'product call'/);
+        assert.deepEqual(summaries(), ['product sync']);
+    });
+
+    test('merges calendars for reads and writes to a named one', async () => {
+        calendar = createFakeCalendarProvider({
+            calendars: [
+                { id: 'me@example.com', summary: 'me@example.com', primary: true, selected: true, accessRole: 'owner' },
+                { id: 'team@example.com', summary: 'Team', selected: true, accessRole: 'writer' }
+            ]
+        });
+        setCalendarProvider(calendar);
+        const browser = createBrowser(server.baseUrl);
+
+        await browser.say('schedule planning for tomorrow at 10:00 am on the Team calendar');
+        await seed('sync', '15:00:00');
+        assert.equal(calendar.listEvents()[0].calendarId, 'team@example.com');
+
+        const response = await browser.say("what's on my calendar for tomorrow");
+        assert.match(response.message, /planning at 10:00 AM \(Team\)/);
+        assert.match(response.message, /sync at 3:00 PM \(Primary\)/);
+
+        const unknown = await browser.say("what's on my work calendar for tomorrow");
+        assert.equal(unknown.status, 'error');
+        assert.match(unknown.message, /couldn't find a calendar called 'work'/);
+    });
+
+    test('uses the model output when the LLM answers', async () => {
+        const stub = useStubLlm(commandText => /dentist/i.test(commandText)
+            ? { intent: 'CREATE_EVENT', eventDetails: { title: 'Dentist', date: '2030-01-02', startTime: '08:15:00' } }
+            : null);
+        const response = await createBrowser(server.baseUrl).say('book the dentist first thing on January 2nd 2030');
+        assert.equal(response.status, 'success');
+        assert.equal(stub.calls.length, 1);
+        const [event] = calendar.listEvents();
+        assert.equal(event.summary, 'Dentist');
+        assert.equal(event.start.dateTime, zonedTimeToUtc('2030-01-02', '08:15:00', TIME_ZONE).toISOString());
+    });
+
+    test('normalizes loose model output before booking', async () => {
+        useStubLlm(commandText => /lunch/.test(commandText)
+            ? { intent: 'create_event', eventDetails: { title: 'Lunch', date: 'tomorrow', startTime: '12pm', endTime: '1:30 PM' } }
+            : null);
+        const response = await createBrowser(server.baseUrl).say('lunch tomorrow at noon');
+        assert.equal(response.status, 'success');
+        const [event] = calendar.listEvents();
+        assert.deepEqual([event.start.dateTime, event.end.dateTime], [at('12:00:00'), at('13:30:00')]);
+    });
+
+    test('asks again for a time the model could not read', async () => {
+        useStubLlm(commandText => /review/.test(commandText)
+            ? { intent: 'CREATE_EVENT', eventDetails: { title: 'Review', date: tomorrow(), startTime: 'after lunch' } }
+            : null);
+        const browser = createBrowser(server.baseUrl);
+        const question = await browser.say('review tomorrow after lunch');
+        assert.equal(question.status, 'clarification');
+        assert.equal(question.message, `I couldn't understand "after lunch" as a time. What time should it start?`);
+        assert.deepEqual(summaries(), []);
+
+        const response = await browser.say('2 pm');
+        assert.equal(response.status, 'success');
+        assert.equal(calendar.listEvents()[0].start.dateTime, at('14:00:00'));
+    });
+
+    test('asks for the email address of a guest it does not know and books with it', async () => {
+        useStubLlm(commandText => /planning/.test(commandText)
+            ? { intent: 'CREATE_EVENT', eventDetails: { title: 'Planning', date: tomorrow(), startTime: '15:00:00', attendees: ['Zed'] } }
+            : null);
+        const browser = createBrowser(server.baseUrl);
+        const question = await browser.say('planning with Zed tomorrow at 3 pm');
+        assert.equal(question.data.type, 'attendees');
+        assert.match(question.message, /email address for Zed/);
+
+        const response = await browser.say('zed at example dot com');
+        assert.equal(response.status, 'success');
+        assert.deepEqual(calendar.listEvents()[0].attendees.map(guest => guest.email), ['zed@example.com']);
+    });
+
+    test('asks instead of failing when the model leaves out the details', async () => {
+        useStubLlm(commandText => /^(add|change)/.test(commandText)
+            ? { intent: commandText.startsWith('add') ? 'CREATE_EVENT' : 'MODIFY_EVENT' }
+            : null);
+        const browser = createBrowser(server.baseUrl);
+        const created = await browser.say('add something');
+        assert.equal(created.status, 'clarification');
+        assert.match(created.message, /What should I call it/);
+
+        const changed = await createBrowser(server.baseUrl).say('change it');
+        assert.equal(changed.status, 'clarification');
+        assert.match(changed.message, /Which event should I change/);
+    });
+
+    test('uses the local parser when the model makes up an intent', async () => {
+        const stub = useStubLlm(() => ({ intent: 'BOOK_FLIGHT' }));
+        const response = await createBrowser(server.baseUrl).say('schedule sync for tomorrow at 3:00 pm');
+        assert.equal(stub.calls.length, 1);
+        assert.equal(response.status, 'success');
+        assert.equal(calendar.listEvents()[0].start.dateTime, at('15:00:00'));
+    });
+});
+
+describe('GET /api/agenda', () => {
+    test('lists the events of the week around a day', async () => {
+        await seed('sync', '15:00:00');
+        await seed('review', '17:00:00');
+        const { status, body } = await createBrowser(server.baseUrl).request('GET', `/api/agenda?view=week&date=${tomorrow()}&timeZone=${TIME_ZONE}`);
+        assert.equal(status, 200);
+        assert.equal(body.view, 'week');
+        assert.ok(body.startDate <= tomorrow() && tomorrow() <= body.endDate);
+        assert.equal(addDays(body.startDate, 6), body.endDate);
+        assert.deepEqual(body.events.map(event => [event.title, event.endDateTime]), [['sync', at('16:00:00')], ['review', at('18:00:00')]]);
+    });
+
+    test('reports the events a command changed', async () => {
+        const browser = createBrowser(server.baseUrl);
+        const created = await browser.say('schedule sync for tomorrow at 3:00 pm');
+        assert.deepEqual(created.changedEvents.map(event => [event.change, event.title]), [['created', 'sync']]);
+
+        const deleted = await browser.say('cancel sync tomorrow');
+        assert.equal(deleted.changedEvents[0].change, 'deleted');
+        assert.equal(deleted.changedEvents[0].id, created.changedEvents[0].id);
+    });
+});
+
+describe('POST /api/settings', () => {
+    test('stores only calendar ids from the calendar list', async () => {
+        calendar = createFakeCalendarProvider({
+            calendars: [
+                { id: 'me@example.com', summary: 'me@example.com', primary: true, selected: true, accessRole: 'owner' },
+                { id: 'team@example.com', summary: 'Team', selected: true, accessRole: 'writer' }
+            ]
+        });
+        setCalendarProvider(calendar);
+        const browser = createBrowser(server.baseUrl);
+
+        for (const body of [{ defaultCalendarId: 42 }, { defaultCalendarId: { id: 'x' } }, { selectedCalendarIds: ['team@example.com', 7] }, { selectedCalendarIds: [''] }]) {
+            assert.equal((await browser.request('POST', '/api/settings', body)).status, 400, JSON.stringify(body));
+        }
+        const unknown = await browser.request('POST', '/api/settings', { defaultCalendarId: 'someone@example.com' });
+        assert.equal(unknown.status, 400);
+        assert.match(unknown.body.message, /Unknown calendar 'someone@example.com'/);
+
+        const saved = await browser.request('POST', '/api/settings', { defaultCalendarId: 'team@example.com', selectedCalendarIds: ['me@example.com', 'team@example.com'] });
+        assert.equal(saved.status, 200);
+        assert.equal(saved.body.defaultCalendarId, 'team@example.com');
+        const cleared = await browser.request('POST', '/api/settings', { defaultCalendarId: null, selectedCalendarIds: [] });
+        assert.deepEqual([cleared.body.defaultCalendarId, cleared.body.selectedCalendarIds], [null, null]);
+    });
+});
+
+describe('POST /api/command with Server-Sent Events', () => {
+    test('streams the parsed intent, each deleted event and the result', async () => {
+        await seed('sync', '15:00:00');
+        await seed('review', '17:00:00');
+        const browser = createBrowser(server.baseUrl);
+
+        const question = await browser.sayStreaming('cancel all my meetings tomorrow');
+        assert.deepEqual(question.map(({ event, data }) => [event, data.stage || data.status]), [['progress', 'parsed'], ['result', 'clarification']]);
+        assert.equal(question[0].data.intent, 'DELETE_EVENTS');
+
+        const events = await browser.sayStreaming('yes');
+        const progress = events.filter(({ event }) => event === 'progress').map(({ data }) => data);
+        assert.match(progress[0].summary, /^Deleting 2 meetings on /);
+        assert.deepEqual(progress.slice(1).map(({ done, total, title }) => [done, total, title]), [[1, 2, 'sync'], [2, 2, 'review']]);
+        const result = events.at(-1);
+        assert.equal(result.event, 'result');
+        assert.match(result.data.message, /Deleted 2 meetings/);
+        assert.deepEqual(summaries(), []);
+    });
+
+    test('sends errors as the result event', async () => {
+        const events = await createBrowser(server.baseUrl).sayStreaming("what's on my work calendar for tomorrow");
+        assert.equal(events.at(-1).event, 'result');
+        assert.equal(events.at(-1).data.status, 'error');
+    });
+});
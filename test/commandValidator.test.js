@@ -0,0 +1,77 @@
+// test/commandValidator.test.js
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { validateCommand } = require('../commandValidator');
+const { calendarSchema } = require('../llmParser');
+
+const TIME_ZONE = 'America/New_York';
+// Monday 2026-10-19, 12:37 in New York
+const NOW = new Date('2026-10-19T16:37:00Z');
+const validate = raw => validateCommand(raw, calendarSchema, { timeZone: TIME_ZONE, now: NOW });
+
+describe('validateCommand', () => {
+    test('normalizes spoken dates, times, numbers and lists', () => {
+        const command = validate({
+            intent: 'create_event',
+            eventDetails: {
+                title: ' Lunch ',
+                date: 'tomorrow',
+                startTime: '3pm',
+                endTime: '16:30',
+                attendees: 'Alice, Bob and carol@example.com',
+                recurrence: { frequency: 'weekly', interval: '2', until: '2026-12-01T00:00:00Z' }
+            }
+        });
+        assert.deepEqual(command, {
+            intent: 'CREATE_EVENT',
+            eventDetails: {
+                title: 'Lunch',
+                date: '2026-10-20',
+                startTime: '15:00:00',
+                endTime: '16:30:00',
+                attendees: ['Alice', 'Bob', 'carol@example.com'],
+                recurrence: { frequency: 'WEEKLY', interval: 2, until: '2026-12-01' }
+            }
+        });
+    });
+
+    test('reads lengths and reminders given in words', () => {
+        assert.equal(validate({ intent: 'FIND_FREE_TIME', freeTimeDetails: { startDate: 'friday', durationMinutes: 'an hour' } }).freeTimeDetails.durationMinutes, 60);
+        assert.deepEqual(validate({ intent: 'MODIFY_EVENT', modifyDetails: { eventName: 'sync', reminderMinutes: ['10', 30] } }).modifyDetails.reminderMinutes, [10, 30]);
+        assert.deepEqual(validate({ intent: 'MODIFY_EVENT', modifyDetails: { eventName: 'sync', reminderMinutes: [] } }).modifyDetails.reminderMinutes, []);
+    });
+
+    test('drops unknown intents, properties and unusable nested objects', () => {
+        const command = validate({
+            intent: 'BOOK_FLIGHT',
+            mood: 'happy',
+            eventDetails: { title: 'Sync', venue: 'Room 1', recurrence: { frequency: 'FORTNIGHTLY' } }
+        });
+        assert.deepEqual(command, { eventDetails: { title: 'Sync' } });
+    });
+
+    test('reports dates and times it cannot read', () => {
+        const command = validate({ intent: 'CREATE_EVENT', eventDetails: { title: 'Sync', date: 'someday', startTime: '3ish' } });
+        assert.deepEqual(command.eventDetails, { title: 'Sync' });
+        assert.deepEqual(command.problems, [
+            { section: 'eventDetails', field: 'date', value: 'someday', kind: 'date' },
+            { section: 'eventDetails', field: 'startTime', value: '3ish', kind: 'time' }
+        ]);
+        assert.equal(validate({ intent: 'CREATE_EVENT', eventDetails: { date: '2026-02-30' } }).problems[0].field, 'date');
+        assert.equal(validate({ intent: 'DELETE_EVENTS', deleteDetails: { startTime: '25:00' } }).problems[0].field, 'startTime');
+    });
+
+    test('rejects an end before the start and reads 24:00 as the end of the day', () => {
+        const command = validate({ intent: 'CREATE_EVENT', eventDetails: { title: 'Sync', startTime: '15:00:00', endTime: '14:00:00' } });
+        assert.equal(command.eventDetails.endTime, undefined);
+        assert.equal(command.problems[0].reason, 'beforeStart');
+        assert.equal(validate({ intent: 'DELETE_EVENTS', deleteDetails: { startTime: '16:00', endTime: '24:00' } }).deleteDetails.endTime, '23:59:59');
+    });
+
+    test('keeps clarification options as the model wrote them', () => {
+        const clarificationNeeded = { message: 'Which one?', options: [{ id: 'a', title: 'Sync', startTime: 'Mon 3 PM' }] };
+        assert.deepEqual(validate({ intent: 'MODIFY_EVENT', modifyDetails: { eventName: 'sync' }, clarificationNeeded }).clarificationNeeded, clarificationNeeded);
+    });
+});
@@ -0,0 +1,102 @@
+// test/dateGrammar.test.js
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateTime, parseDuration, parseSpokenTime, resolveDate } = require('../dateGrammar');
+
+const TIME_ZONE = 'America/New_York';
+// Monday 2026-10-19, 12:37 in New York
+const NOW = new Date('2026-10-19T16:37:00Z');
+const parse = text => parseDateTime(text, { timeZone: TIME_ZONE, now: NOW });
+
+describe('dates', () => {
+    test('reads weekdays relative to today', () => {
+        assert.equal(parse('on friday').date, '2026-10-23');
+        assert.equal(parse('this monday').date, '2026-10-19');
+        assert.equal(parse('next monday').date, '2026-10-26');
+        assert.equal(parse('tuesday next week').date, '2026-10-27');
+    });
+
+    test('reads named, relative and ordinal dates', () => {
+        assert.equal(parse('the day after tomorrow').date, '2026-10-21');
+        assert.equal(parse('in 3 days').date, '2026-10-22');
+        assert.equal(parse('in two weeks').date, '2026-11-02');
+        assert.equal(parse('on March 3rd').date, '2027-03-03');
+        assert.equal(parse('the twenty first of October').date, '2026-10-21');
+        assert.equal(parse('Dec 5, 2028').date, '2028-12-05');
+        assert.equal(parse('on the 15th').date, '2026-11-15');
+        assert.equal(parse('2026-12-01').date, '2026-12-01');
+    });
+
+    test('rolls a month and day that already passed into next year', () => {
+        assert.equal(resolveDate('10/18', TIME_ZONE, NOW), '2027-10-18');
+        assert.equal(resolveDate('10/19', TIME_ZONE, NOW), '2026-10-19');
+        assert.equal(resolveDate('2/30', TIME_ZONE, NOW), null);
+    });
+
+    test('reads ranges and limits', () => {
+        assert.deepEqual(parse('this weekend').range, { startDate: '2026-10-24', endDate: '2026-10-25' });
+        assert.deepEqual(parse('next month').range, { startDate: '2026-11-01', endDate: '2026-11-30' });
+        assert.equal(parse('before friday').before, '2026-10-23');
+    });
+});
+
+describe('times', () => {
+    test('reads times with and without a colon', () => {
+        assert.equal(parse('at 3 pm').startTime, '15:00:00');
+        assert.equal(parse('at 3pm').startTime, '15:00:00');
+        assert.equal(parse('9:15am').startTime, '09:15:00');
+        assert.equal(parse('at noon').startTime, '12:00:00');
+        assert.equal(parse('at half past four').startTime, '16:30:00');
+        assert.equal(parse('at 17:30').startTime, '17:30:00');
+    });
+
+    test('reads a bare hour after "at" as a working-hours time', () => {
+        assert.deepEqual([parse('next Friday at 3').date, parse('next Friday at 3').startTime], ['2026-10-23', '15:00:00']);
+        assert.equal(parse('at 9').startTime, '09:00:00');
+        assert.equal(parse('tomorrow evening at 8').startTime, '20:00:00');
+        assert.equal(parse('tomorrow morning at 7').startTime, '07:00:00');
+    });
+
+    test('shares AM/PM across a range', () => {
+        const range = text => [parse(text).startTime, parse(text).endTime];
+        assert.deepEqual(range('from 3 to 4:30 pm'), ['15:00:00', '16:30:00']);
+        assert.deepEqual(range('11 to 1 pm'), ['11:00:00', '13:00:00']);
+        assert.deepEqual(range('between 9 am and 5'), ['09:00:00', '17:00:00']);
+        assert.deepEqual(range('at 3 until 5'), ['15:00:00', '17:00:00']);
+    });
+
+    test('counts "in two hours" from now', () => {
+        const result = parse('in two hours');
+        assert.deepEqual([result.date, result.startTime], ['2026-10-19', '14:37:00']);
+        assert.deepEqual([parse('in 12 hours').date, parse('in 12 hours').startTime], ['2026-10-20', '00:37:00']);
+    });
+
+    test('parseSpokenTime reads short answers', () => {
+        assert.equal(parseSpokenTime('make it 5 instead'), '17:00:00');
+        assert.equal(parseSpokenTime('the 6 pm one'), '18:00:00');
+        assert.equal(parseSpokenTime('the second one'), null);
+    });
+});
+
+describe('durations and repeats', () => {
+    test('reads durations', () => {
+        assert.equal(parse('for 45 minutes').durationMinutes, 45);
+        assert.equal(parse('for an hour and a half').durationMinutes, 90);
+        assert.equal(parseDuration('1 hour 15 minutes'), 75);
+        assert.equal(parseDuration('half an hour'), 30);
+    });
+
+    test('reads repeat rules and starts them on the first matching day', () => {
+        const weekly = parse('every tuesday and thursday until December');
+        assert.deepEqual(weekly.recurrence, { frequency: 'WEEKLY', byDay: ['TU', 'TH'], until: '2026-11-30' });
+        assert.equal(weekly.date, '2026-10-20');
+        assert.deepEqual(parse('every other week 10 times').recurrence, { frequency: 'WEEKLY', interval: 2, count: 10 });
+        assert.deepEqual(parse('on weekdays').recurrence, { frequency: 'WEEKLY', byDay: ['MO', 'TU', 'WE', 'TH', 'FR'] });
+    });
+
+    test('leaves the other words for the intent parser', () => {
+        assert.equal(parse("schedule team sync for tomorrow's 3 pm slot").rest, 'schedule team sync slot');
+        assert.equal(parse('cancel my 1:1 with sam@example.com on friday').rest, 'cancel my 1:1 with sam@example.com');
+    });
+});
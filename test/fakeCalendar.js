@@ -0,0 +1,136 @@
+// test/fakeCalendar.js
+
+const { zonedTimeToUtc } = require('../timeUtils');
+
+// An in-memory stand-in for the Google Calendar provider. getClient returns an object with the
+// Calendar v3 calls calendarService makes, keeping events per calendar so tests can assert on
+// what was written. Recurring series are stored as given and are not expanded into occurrences.
+
+const DEFAULT_CALENDARS = [
+    { id: 'me@example.com', summary: 'me@example.com', primary: true, selected: true, accessRole: 'owner' }
+];
+
+function notFound(eventId) {
+    const error = new Error(`Not Found: ${eventId}`);
+    error.code = 404;
+    return error;
+}
+
+// Google answers with absolute times; wall-clock times come in with their timeZone
+function toInstant(time) {
+    if (time.date) return new Date(`${time.date}T00:00:00Z`);
+    if (/(Z|[+-]\d\d:\d\d)$/.test(time.dateTime)) return new Date(time.dateTime);
+    const [date, clock] = time.dateTime.split('T');
+    return zonedTimeToUtc(date, clock, time.timeZone || 'UTC');
+}
+
+function normalizeTimes(event) {
+    for (const key of ['start', 'end']) {
+        if (event[key]?.dateTime) event[key] = { dateTime: toInstant(event[key]).toISOString(), timeZone: event[key].timeZone };
+    }
+    return event;
+}
+
+function createFakeCalendarProvider({ calendars = DEFAULT_CALENDARS } = {}) {
+    const events = new Map();
+    let nextId = 1;
+    const primaryId = (calendars.find(calendar => calendar.primary) || calendars[0]).id;
+    const canonical = calendarId => (!calendarId || calendarId === 'primary' ? primaryId : calendarId);
+    const copy = event => JSON.parse(JSON.stringify(event));
+
+    function getStored(calendarId, eventId) {
+        const event = events.get(eventId);
+        if (!event || event.calendarId !== canonical(calendarId)) throw notFound(eventId);
+        return event;
+    }
+
+    function listStored(calendarId, { timeMin, timeMax, q } = {}) {
+        return [...events.values()]
+            .filter(event => event.calendarId === canonical(calendarId))
+            .filter(event => !timeMin || toInstant(event.end || event.start) > new Date(timeMin))
+            .filter(event => !timeMax || toInstant(event.start) < new Date(timeMax))
+            .filter(event => !q || `${event.summary} ${event.description || ''}`.toLowerCase().includes(q.toLowerCase()))
+            .sort((a, b) => toInstant(a.start) - toInstant(b.start));
+    }
+
+    const client = {
+        calendarList: {
+            async list() {
+                return { data: { items: calendars.map(copy) } };
+            }
+        },
+        events: {
+            async list({ calendarId, ...options }) {
+                return { data: { items: listStored(calendarId, options).map(({ calendarId: _, ...event }) => copy(event)) } };
+            },
+            async get({ calendarId, eventId }) {
+                const { calendarId: _, ...event } = getStored(calendarId, eventId);
+                return { data: copy(event) };
+            },
+            async insert({ calendarId, resource }) {
+                const id = `event${nextId++}`;
+                const event = normalizeTimes({ ...copy(resource), id, status: 'confirmed', htmlLink: `https://calendar.test/${id}` });
+                events.set(id, { ...event, calendarId: canonical(calendarId) });
+                return { data: copy(event) };
+            },
+            async update({ calendarId, eventId, resource }) {
+                getStored(calendarId, eventId);
+                const event = normalizeTimes({ ...copy(resource), id: eventId });
+                events.set(eventId, { ...event, calendarId: canonical(calendarId) });
+                return { data: copy(event) };
+            },
+            async patch({ calendarId, eventId, resource }) {
+                const { calendarId: _, ...existing } = getStored(calendarId, eventId);
+                const event = normalizeTimes({ ...existing, ...copy(resource) });
+                events.set(eventId, { ...event, calendarId: canonical(calendarId) });
+                return { data: copy(event) };
+            },
+            async delete({ calendarId, eventId }) {
+                getStored(calendarId, eventId);
+                events.delete(eventId);
+                return { data: '' };
+            },
+            async instances({ eventId }) {
+                return { data: { items: [...events.values()].filter(event => event.recurringEventId === eventId).map(copy) } };
+            }
+        },
+        freebusy: {
+            async query({ requestBody: { timeMin, timeMax, items } }) {
+                const result = {};
+                for (const { id } of items) {
+                    const busy = listStored(id, { timeMin, timeMax })
+                        .filter(event => event.start.dateTime && event.transparency !== 'transparent')
+                        .map(event => ({ start: event.start.dateTime, end: event.end.dateTime }));
+                    result[id] = { busy };
+                }
+                return { data: { calendars: result } };
+            }
+        }
+    };
+
+    return {
+        name: 'google',
+        displayName: 'Google Calendar',
+        requiresLogin: true,
+        supportsConferences: true,
+        // Tests flip this to simulate a browser that never connected its calendar
+        connected: true,
+        async setCalendarTokens() {},
+        async isAuthenticated() {
+            return this.connected;
+        },
+        async getClient() {
+            return client;
+        },
+        async disconnect() {
+            return true;
+        },
+        async rethrowIfReauthRequired() {},
+        // Every stored event as { calendarId, ...event }, in start order
+        listEvents() {
+            return [...events.values()].map(copy).sort((a, b) => toInstant(a.start) - toInstant(b.start));
+        }
+    };
+}
+
+module.exports = { createFakeCalendarProvider };
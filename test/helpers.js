@@ -0,0 +1,80 @@
+// test/helpers.js
+
+const { setLlmClient } = require('../llmParser');
+
+// The app logs every step; keep test output readable unless TEST_VERBOSE is set
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+// A stand-in for the Gemini client. respond(commandText, config) returns the parsed JSON the model
+// would have produced; returning nothing (or throwing) makes the parser fall back to its local rules.
+function createStubLlm(respond = () => null) {
+    const calls = [];
+    return {
+        calls,
+        models: {
+            async generateContent(request) {
+                const commandText = request.contents[0].parts[0].text;
+                calls.push(commandText);
+                const result = await respond(commandText, request.config);
+                if (!result) throw new Error('Stub LLM has no answer');
+                return { text: JSON.stringify(result) };
+            }
+        }
+    };
+}
+
+function useStubLlm(respond) {
+    const stub = createStubLlm(respond);
+    setLlmClient(stub);
+    return stub;
+}
+
+// Starts the Express app on a free port and returns its base URL and a close function
+function startServer(app) {
+    return new Promise(resolve => {
+        const server = app.listen(0, () => {
+            resolve({
+                baseUrl: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// A browser with its own session cookie, so each test has its own conversation state
+function createBrowser(baseUrl, { timeZone = 'America/New_York' } = {}) {
+    let cookie = '';
+    async function send(method, path, body, headers = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(cookie ? { cookie } : {}), ...headers },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        return response;
+    }
+    async function request(method, path, body) {
+        const response = await send(method, path, body);
+        return { status: response.status, body: await response.json() };
+    }
+    return {
+        request,
+        async say(commandText, extra = {}) {
+            return (await request('POST', '/api/command', { commandText, timeZone, ...extra })).body;
+        },
+        // Like say, but asks for Server-Sent Events and returns them in order as [{ event, data }]
+        async sayStreaming(commandText, extra = {}) {
+            const response = await send('POST', '/api/command', { commandText, timeZone, ...extra }, { Accept: 'text/event-stream' });
+            return (await response.text()).split('\n\n').filter(Boolean).map(block => ({
+                event: block.match(/^event: (.*)$/m)[1],
+                data: JSON.parse(block.match(/^data: (.*)$/m)[1])
+            }));
+        }
+    };
+}
+
+module.exports = { createStubLlm, useStubLlm, startServer, createBrowser };
@@ -0,0 +1,80 @@
+// test/icalendar.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEvents, serializeCalendar, expandSeries, formatTimeProperty } = require('../icalendar');
+
+const SAMPLE = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:standup-1',
+    'DTSTART;TZID=America/New_York:20261026T093000',
+    'DURATION:PT15M',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4',
+    'SUMMARY:Standup\\, daily',
+    'ATTENDEE;CN="Doe, Jane";PARTSTAT=ACCEPTED:mailto:jane@example.com',
+    'DESCRIPTION:First line\\nsecond line that is long enough to be folded onto a con',
+    ' tinuation line',
+    'BEGIN:VALARM',
+    'TRIGGER:-PT10M',
+    'END:VALARM',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+test('parses events into the Google Calendar shape', () => {
+    const [event] = parseEvents(SAMPLE);
+    assert.equal(event.id, 'standup-1');
+    assert.equal(event.summary, 'Standup, daily');
+    assert.equal(event.description, 'First line\nsecond line that is long enough to be folded onto a continuation line');
+    assert.deepEqual(event.start, { dateTime: '2026-10-26T13:30:00.000Z', timeZone: 'America/New_York' });
+    assert.deepEqual(event.end, { dateTime: '2026-10-26T13:45:00.000Z', timeZone: 'America/New_York' });
+    assert.deepEqual(event.attendees, [{ email: 'jane@example.com', displayName: 'Doe, Jane', responseStatus: 'accepted' }]);
+    assert.deepEqual(event.reminders, { useDefault: false, overrides: [{ method: 'popup', minutes: 10 }] });
+});
+
+test('serializes events so they parse back the same', () => {
+    const [event] = parseEvents(SAMPLE);
+    const [reparsed] = parseEvents(serializeCalendar([event]));
+    for (const field of ['id', 'summary', 'description', 'start', 'end', 'recurrence', 'attendees', 'reminders']) {
+        assert.deepEqual(reparsed[field], event[field], field);
+    }
+});
+
+test('expands a series at the same wall-clock time across a DST change', () => {
+    const [event] = parseEvents(SAMPLE);
+    const starts = expandSeries(event, [], Date.parse('2027-01-01')).map(occurrence => occurrence.start.dateTime);
+    // New York leaves daylight time on 2026-11-01, so 9:30 moves from 13:30 to 14:30 UTC
+    assert.deepEqual(starts, ['2026-10-26T13:30:00.000Z', '2026-10-28T13:30:00.000Z', '2026-11-02T14:30:00.000Z', '2026-11-04T14:30:00.000Z']);
+});
+
+test('skips excluded occurrences and swaps in modified ones', () => {
+    const [event] = parseEvents(SAMPLE);
+    event.recurrence.push(formatTimeProperty('EXDATE', { dateTime: '2026-10-28T13:30:00.000Z', timeZone: 'America/New_York' }));
+    const moved = {
+        id: 'standup-1_20261102T143000Z',
+        recurringEventId: 'standup-1',
+        summary: 'Standup (moved)',
+        start: { dateTime: '2026-11-02T16:00:00.000Z' },
+        end: { dateTime: '2026-11-02T16:15:00.000Z' }
+    };
+    const occurrences = expandSeries(event, [moved], Date.parse('2027-01-01'));
+    assert.deepEqual(occurrences.map(occurrence => occurrence.summary), ['Standup, daily', 'Standup (moved)', 'Standup, daily']);
+    assert.equal(occurrences[0].recurringEventId, 'standup-1');
+});
+
+test('supports monthly rules on the last weekday of the month', () => {
+    const [event] = parseEvents([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:review',
+        'DTSTART:20261030T150000Z',
+        'DTEND:20261030T160000Z',
+        'RRULE:FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20261231T235959Z',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+    const dates = expandSeries(event, [], Date.parse('2027-06-01')).map(occurrence => occurrence.start.dateTime.slice(0, 10));
+    assert.deepEqual(dates, ['2026-10-30', '2026-11-27', '2026-12-25']);
+});
@@ -0,0 +1,246 @@
+// test/llmParser.test.js
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useStubLlm } = require('./helpers');
+const {
+    parseCommand,
+    parseFollowUp,
+    setLlmClient,
+    parseCommandLocally,
+    parseFollowUpLocally,
+    resolveDate,
+    resolveDateRange,
+    convertTo24Hour
+} = require('../llmParser');
+const { getTodayInZone, addDays, getWeekday } = require('../timeUtils');
+
+const TIME_ZONE = 'America/New_York';
+const today = () => getTodayInZone(TIME_ZONE);
+const tomorrow = () => addDays(today(), 1);
+
+describe('convertTo24Hour', () => {
+    test('converts am/pm times', () => {
+        assert.equal(convertTo24Hour('3:00 pm'), '15:00:00');
+        assert.equal(convertTo24Hour('9:05 am'), '09:05:00');
+    });
+
+    test('handles noon and midnight', () => {
+        assert.equal(convertTo24Hour('12:30 pm'), '12:30:00');
+        assert.equal(convertTo24Hour('12:00 am'), '00:00:00');
+    });
+
+    test('keeps 24-hour times as they are', () => {
+        assert.equal(convertTo24Hour('16:45'), '16:45:00');
+    });
+});
+
+describe('resolveDate', () => {
+    test('resolves today and tomorrow in the given timezone', () => {
+        assert.equal(resolveDate('today', TIME_ZONE), today());
+        assert.equal(resolveDate('Tomorrow', TIME_ZONE), tomorrow());
+    });
+
+    test('uses the calendar day of the zone, not the server', () => {
+        // UTC+14 and UTC-11 are always on different calendar days
+        const ahead = resolveDate('today', 'Pacific/Kiritimati');
+        const behind = resolveDate('today', 'Pacific/Pago_Pago');
+        assert.equal(ahead, getTodayInZone('Pacific/Kiritimati'));
+        assert.equal(behind, getTodayInZone('Pacific/Pago_Pago'));
+        assert.equal(addDays(behind, 1), ahead);
+    });
+
+    test('resolves next monday to a Monday within the coming week', () => {
+        const date = resolveDate('next monday', TIME_ZONE);
+        assert.equal(getWeekday(date), 1);
+        assert.ok(date > today() && date <= addDays(today(), 7));
+    });
+
+    test('parses month/day dates with and without a year', () => {
+        assert.equal(resolveDate('3/7/2027', TIME_ZONE), '2027-03-07');
+        assert.equal(resolveDate('1/2/27', TIME_ZONE), '2027-01-02');
+        assert.equal(resolveDate('12/25', TIME_ZONE, new Date('2026-10-19T16:00:00Z')), '2026-12-25');
+    });
+});
+
+describe('resolveDateRange', () => {
+    test('this week runs from today through Sunday', () => {
+        const { startDate, endDate } = resolveDateRange('this week', TIME_ZONE);
+        assert.equal(startDate, today());
+        assert.equal(getWeekday(endDate), 0);
+    });
+
+    test('next N days includes today', () => {
+        assert.deepEqual(resolveDateRange('next 3 days', TIME_ZONE), { startDate: today(), endDate: addDays(today(), 2) });
+    });
+});
+
+describe('parseCommandLocally', () => {
+    test('parses a create command', () => {
+        const result = parseCommandLocally('Schedule team sync for tomorrow at 3:00 pm', TIME_ZONE);
+        assert.equal(result.intent, 'CREATE_EVENT');
+        assert.equal(result.eventDetails.title, 'team sync');
+        assert.equal(result.eventDetails.date, tomorrow());
+        assert.equal(result.eventDetails.startTime, '15:00:00');
+        assert.equal(result.eventDetails.endTime, null);
+    });
+
+    test('leaves the start time empty when none was said', () => {
+        const result = parseCommandLocally('schedule lunch for tomorrow', TIME_ZONE);
+        assert.equal(result.eventDetails.startTime, null);
+    });
+
+    test('reads an end time, guests and recurrence', () => {
+        const ranged = parseCommandLocally('schedule review for tomorrow at 3:00 pm to 4:30 pm', TIME_ZONE);
+        assert.equal(ranged.eventDetails.endTime, '16:30:00');
+
+        const withGuest = parseCommandLocally('schedule 1:1 with sam@example.com for tomorrow at 3:00 pm', TIME_ZONE);
+        assert.deepEqual(withGuest.eventDetails.attendees, ['sam@example.com']);
+
+        const recurring = parseCommandLocally('schedule standup for tomorrow at 9:30 am every monday', TIME_ZONE);
+        assert.deepEqual(recurring.eventDetails.recurrence, { frequency: 'WEEKLY', byDay: ['MO'] });
+    });
+
+    test('reports an end before the start as a problem', () => {
+        const result = parseCommandLocally('schedule review for tomorrow at 5:00 pm to 4:30 pm', TIME_ZONE);
+        assert.equal(result.eventDetails.endTime, undefined);
+        assert.deepEqual(result.problems, [{ section: 'eventDetails', field: 'endTime', value: '16:30:00', kind: 'time', reason: 'beforeStart' }]);
+    });
+
+    test('parses queries for a day or a range', () => {
+        assert.deepEqual(parseCommandLocally("what's on my calendar for tomorrow", TIME_ZONE).queryDetails, { targetDate: tomorrow() });
+        const week = parseCommandLocally('what do I have on my calendar this week', TIME_ZONE);
+        assert.equal(week.intent, 'QUERY_EVENTS');
+        assert.equal(week.queryDetails.startDate, today());
+    });
+
+    test('parses time changes and event edits', () => {
+        assert.deepEqual(parseCommandLocally('modify sync tomorrow to start at 9:00 am', TIME_ZONE).modifyDetails,
+            { eventName: 'sync', date: tomorrow(), startTime: '09:00:00' });
+        assert.deepEqual(parseCommandLocally('rename the sync to Roadmap review', TIME_ZONE).modifyDetails,
+            { eventName: 'sync', newTitle: 'Roadmap review' });
+        assert.deepEqual(parseCommandLocally('remind me 10 minutes before the review tomorrow', TIME_ZONE).modifyDetails.reminderMinutes, [10]);
+    });
+
+    test('keeps repeat words in the names of events being changed or cancelled', () => {
+        assert.deepEqual(parseCommandLocally('remove Bob from the weekly sync', TIME_ZONE).modifyDetails,
+            { eventName: 'weekly sync', removeAttendees: ['Bob'] });
+        assert.deepEqual(parseCommandLocally('cancel my daily standup tomorrow', TIME_ZONE).deleteDetails,
+            { targetDate: tomorrow(), eventName: 'daily standup' });
+    });
+
+    test('parses bulk and single-event deletes', () => {
+        assert.deepEqual(parseCommandLocally('cancel all my meetings tomorrow between 4:00 pm and 6:00 pm', TIME_ZONE).deleteDetails,
+            { targetDate: tomorrow(), startTime: '16:00:00', endTime: '18:00:00' });
+        assert.deepEqual(parseCommandLocally('cancel my 1:1 with Sam tomorrow and tell them I am out sick', TIME_ZONE).deleteDetails,
+            { targetDate: tomorrow(), eventName: '1:1', attendee: 'Sam', cancellationNote: 'I am out sick' });
+    });
+
+    test('parses free-time questions with a part of the day', () => {
+        const result = parseCommandLocally('when am I free tomorrow afternoon', TIME_ZONE);
+        assert.equal(result.intent, 'FIND_FREE_TIME');
+        assert.deepEqual(result.freeTimeDetails, { startDate: tomorrow(), earliestTime: '12:00:00', latestTime: '17:00:00' });
+    });
+
+    test('reads times without a colon, weekdays and durations', () => {
+        const result = parseCommandLocally('set up lunch with Sam next friday at 1 for 45 minutes', TIME_ZONE);
+        assert.equal(result.intent, 'CREATE_EVENT');
+        assert.equal(result.eventDetails.title, 'lunch with Sam');
+        assert.equal(getWeekday(result.eventDetails.date), 5);
+        assert.equal(result.eventDetails.startTime, '13:00:00');
+        assert.equal(result.eventDetails.endTime, '13:45:00');
+    });
+
+    test('parses queries without "for" and searches by name', () => {
+        assert.deepEqual(parseCommandLocally("what's on tomorrow", TIME_ZONE).queryDetails, { targetDate: tomorrow() });
+        assert.deepEqual(parseCommandLocally('when is my dentist appointment?', TIME_ZONE).queryDetails, { keyword: 'dentist', nextCount: 1 });
+        assert.deepEqual(parseCommandLocally("what's my next meeting", TIME_ZONE).queryDetails, { nextCount: 1 });
+    });
+
+    test('moves an event to a bare hour and reads guest changes', () => {
+        assert.deepEqual(parseCommandLocally('move sync to 4', TIME_ZONE).modifyDetails, { eventName: 'sync', startTime: '16:00:00' });
+        assert.deepEqual(parseCommandLocally('add Carol to the design review', TIME_ZONE).modifyDetails, { eventName: 'design review', addAttendees: ['Carol'] });
+        assert.equal(parseCommandLocally('add lunch to my calendar tomorrow at noon', TIME_ZONE).intent, 'CREATE_EVENT');
+    });
+
+    test('clears a part of the day', () => {
+        assert.deepEqual(parseCommandLocally('clear my afternoon tomorrow', TIME_ZONE).deleteDetails,
+            { targetDate: tomorrow(), startTime: '12:00:00', endTime: '17:00:00' });
+    });
+
+    test('recognises undo, calendar lists and named calendars', () => {
+        assert.equal(parseCommandLocally('undo that', TIME_ZONE).intent, 'UNDO');
+        assert.equal(parseCommandLocally('which calendars do I have', TIME_ZONE).intent, 'LIST_CALENDARS');
+        assert.equal(parseCommandLocally("what's on my team calendar for tomorrow", TIME_ZONE).calendarName, 'team');
+    });
+});
+
+describe('parseFollowUpLocally', () => {
+    const choices = [
+        { id: 'a', title: 'product sync', startTime: '3:00 PM' },
+        { id: 'b', title: 'product call', startTime: '6:00 PM' }
+    ];
+
+    test('picks options by ordinal or time', () => {
+        assert.equal(parseFollowUpLocally('the second one', { awaiting: 'eventChoice', choices }, TIME_ZONE).choice, 'b');
+        assert.equal(parseFollowUpLocally('the 6 pm one', { awaiting: 'eventChoice', choices }, TIME_ZONE).choice, 'b');
+    });
+
+    test('maps conflict, confirmation and series answers to choices', () => {
+        assert.equal(parseFollowUpLocally('book anyway', { awaiting: 'conflict' }, TIME_ZONE).choice, 'book');
+        assert.equal(parseFollowUpLocally('yes', { awaiting: 'confirmDelete' }, TIME_ZONE).choice, 'yes');
+        assert.equal(parseFollowUpLocally('the whole series', { awaiting: 'recurrenceScope' }, TIME_ZONE).choice, 'all');
+    });
+
+    test('takes the id a clicked option button sends', () => {
+        const options = {
+            conflict: [{ id: 'book', label: 'Book anyway' }, { id: 'next', label: 'Next free slot: Tuesday at 4:00 PM' }, { id: 'cancel', label: 'Cancel' }],
+            confirmDelete: [{ id: 'yes', label: 'Yes, delete' }, { id: 'no', label: 'Cancel' }],
+            recurrenceScope: [{ id: 'this', label: 'This occurrence' }, { id: 'following', label: 'This and following' }, { id: 'all', label: 'The whole series' }]
+        };
+        for (const [awaiting, choices] of Object.entries(options)) {
+            for (const { id } of choices) {
+                const reply = parseFollowUpLocally(id, { awaiting, choices }, TIME_ZONE);
+                if (['cancel', 'no'].includes(id)) assert.equal(reply.cancel, true, `${awaiting} ${id}`);
+                else assert.equal(reply.choice, id, `${awaiting} ${id}`);
+            }
+        }
+    });
+
+    test('fills slots from corrections', () => {
+        assert.deepEqual(parseFollowUpLocally('make it 5 instead', { awaiting: 'conflict', intent: 'CREATE_EVENT' }, TIME_ZONE).slots, { startTime: '17:00:00' });
+        assert.deepEqual(parseFollowUpLocally('noon', { awaiting: 'details', missing: ['startTime'] }, TIME_ZONE).slots, { startTime: '12:00:00' });
+    });
+
+    test('recognises cancel', () => {
+        assert.equal(parseFollowUpLocally('cancel', { awaiting: 'details' }, TIME_ZONE).cancel, true);
+    });
+});
+
+describe('parseCommand and parseFollowUp', () => {
+    afterEach(() => useStubLlm());
+
+    test('return what the model produced', async () => {
+        const stub = useStubLlm(() => ({ intent: 'QUERY_EVENTS', queryDetails: { targetDate: '2030-01-02' } }));
+        const result = await parseCommand("what's on for January 2nd 2030", TIME_ZONE);
+        assert.deepEqual(result, { intent: 'QUERY_EVENTS', queryDetails: { targetDate: '2030-01-02' } });
+        assert.deepEqual(stub.calls, ["what's on for January 2nd 2030"]);
+    });
+
+    test('fall back to the local rules when the model fails', async () => {
+        useStubLlm(() => { throw new Error('quota exceeded'); });
+        const result = await parseCommand('schedule sync for tomorrow at 3:00 pm', TIME_ZONE);
+        assert.equal(result.useLocalFallback, true);
+        assert.equal(result.eventDetails.startTime, '15:00:00');
+
+        const followUp = await parseFollowUp('cancel', { awaiting: 'details', question: 'What time should it start?' }, TIME_ZONE);
+        assert.equal(followUp.cancel, true);
+    });
+
+    test('skip the model when none is configured', async () => {
+        setLlmClient(null);
+        const result = await parseCommand('schedule sync for tomorrow at 3 pm', TIME_ZONE);
+        assert.equal(result.useLocalFallback, true);
+        assert.equal(result.eventDetails.startTime, '15:00:00');
+    });
+});
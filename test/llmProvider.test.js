@@ -0,0 +1,134 @@
+// test/llmProvider.test.js
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Type } = require('@google/genai');
+require('./helpers');
+const { createOpenAiProvider } = require('../openaiLlm');
+const { createLlmProviders, generateJson } = require('../llmProvider');
+
+const schema = {
+    type: Type.OBJECT,
+    properties: {
+        intent: { type: Type.STRING, enum: ['CREATE_EVENT', 'UNDO'] },
+        attendees: { type: Type.ARRAY, items: { type: Type.STRING } }
+    },
+    required: ['intent']
+};
+const request = { systemInstruction: 'Parse the command.', text: 'undo that', schema, schemaName: 'command' };
+const options = { timeoutMs: 1000, retries: 1, retryDelayMs: 1 };
+
+// A fake OpenAI-compatible server; reply(body) returns [status, content] for each request
+let server;
+let baseUrl;
+let requests;
+let reply;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => raw += chunk);
+        req.on('end', () => {
+            const body = JSON.parse(raw);
+            requests.push({ url: req.url, authorization: req.headers.authorization, body });
+            const [status, content] = reply(body);
+            if (status === 0) return; // never answer
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(status === 200 ? JSON.stringify({ choices: [{ message: { role: 'assistant', content } }] }) : '{"error":"busy"}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    requests = [];
+    reply = () => [200, '{"intent":"UNDO"}'];
+});
+
+const failing = (name, error) => ({ name, model: 'test', calls: 0, async generateJson() { this.calls++; throw error; } });
+
+describe('OpenAI-compatible provider', () => {
+    test('sends the schema as JSON Schema and parses the reply', async () => {
+        const provider = createOpenAiProvider({ baseUrl, apiKey: 'local-key', model: 'llama3.1' });
+        assert.deepEqual(await provider.generateJson(request), { intent: 'UNDO' });
+
+        const [{ url, authorization, body }] = requests;
+        assert.equal(url, '/v1/chat/completions');
+        assert.equal(authorization, 'Bearer local-key');
+        assert.equal(body.model, 'llama3.1');
+        assert.deepEqual(body.messages.map(message => message.role), ['system', 'user']);
+        assert.equal(body.messages[1].content, 'undo that');
+        assert.equal(body.response_format.json_schema.name, 'command');
+        assert.deepEqual(body.response_format.json_schema.schema, {
+            type: 'object',
+            properties: { intent: { type: 'string', enum: ['CREATE_EVENT', 'UNDO'] }, attendees: { type: 'array', items: { type: 'string' } } },
+            required: ['intent']
+        });
+    });
+
+    test('puts the schema in the prompt in json_object mode and unwraps fenced replies', async () => {
+        reply = () => [200, 'Sure!\n```json\n{"intent":"UNDO"}\n```'];
+        const provider = createOpenAiProvider({ baseUrl, model: 'llama3.1', responseFormat: 'json_object' });
+        assert.deepEqual(await provider.generateJson(request), { intent: 'UNDO' });
+        assert.deepEqual(requests[0].body.response_format, { type: 'json_object' });
+        assert.match(requests[0].body.messages[0].content, /"enum":\["CREATE_EVENT","UNDO"\]/);
+        assert.equal(requests[0].authorization, undefined);
+    });
+
+    test('requires a model name', () => {
+        assert.throws(() => createOpenAiProvider({ baseUrl, model: '' }), /OPENAI_MODEL/);
+    });
+});
+
+describe('generateJson', () => {
+    test('retries a busy server and reports which provider answered', async () => {
+        reply = () => requests.length === 1 ? [503] : [200, '{"intent":"UNDO"}'];
+        const provider = createOpenAiProvider({ baseUrl, model: 'llama3.1' });
+        const { result, provider: answeredBy } = await generateJson([provider], request, options);
+        assert.deepEqual(result, { intent: 'UNDO' });
+        assert.equal(answeredBy, 'openai/llama3.1');
+        assert.equal(requests.length, 2);
+    });
+
+    test('falls through to the next provider without retrying permanent errors', async () => {
+        const refused = failing('first', Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+        const provider = createOpenAiProvider({ baseUrl, model: 'qwen2.5' });
+        const { provider: answeredBy } = await generateJson([refused, provider], request, options);
+        assert.equal(refused.calls, 1);
+        assert.equal(answeredBy, 'openai/qwen2.5');
+    });
+
+    test('gives up on a provider that does not answer in time', async () => {
+        reply = () => [0];
+        const provider = createOpenAiProvider({ baseUrl, model: 'llama3.1' });
+        await assert.rejects(generateJson([provider], request, { timeoutMs: 50, retries: 0, retryDelayMs: 1 }), /did not answer within 50 ms/);
+    });
+
+    test('throws the last error when every provider fails', async () => {
+        const busy = failing('busy', Object.assign(new Error('rate limited'), { status: 429 }));
+        await assert.rejects(generateJson([busy], request, options), /rate limited/);
+        assert.equal(busy.calls, 2);
+        await assert.rejects(generateJson([], request, options), /No LLM provider/);
+    });
+});
+
+describe('createLlmProviders', () => {
+    test('builds providers in order and skips Gemini without a key', () => {
+        const saved = { ...process.env };
+        try {
+            delete process.env.GEMINI_API_KEY;
+            process.env.OPENAI_MODEL = 'llama3.1';
+            assert.deepEqual(createLlmProviders('openai, gemini').map(provider => provider.name), ['openai']);
+            assert.throws(() => createLlmProviders('claude'), /Unknown LLM provider 'claude'/);
+        } finally {
+            process.env = saved;
+        }
+    });
+});
@@ -0,0 +1,68 @@
+// test/parserEval.test.js
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useStubLlm } = require('./helpers');
+const { loadFixtures, scoreCase, evaluateParser, createRecordingProvider, createReplayProvider, formatReport } = require('../parserEval');
+const { parseCommand, parseCommandLocally, setLlmProviders } = require('../llmParser');
+const { createGeminiProvider } = require('../geminiLlm');
+
+const fixtures = loadFixtures();
+const parseWithModel = (text, timeZone, now) => parseCommand(text, timeZone, { now });
+
+afterEach(() => {
+    useStubLlm();
+});
+
+describe('scoreCase', () => {
+    test('matches text without case and lists in any order', () => {
+        const score = scoreCase(
+            { intent: 'CREATE_EVENT', eventDetails: { title: 'Team sync', attendees: ['a@example.com', 'Bob'], recurrence: { frequency: 'WEEKLY' } } },
+            { intent: 'CREATE_EVENT', eventDetails: { title: 'team sync ', attendees: ['Bob', 'a@example.com'], recurrence: { frequency: 'WEEKLY', interval: 2 }, endTime: null } }
+        );
+        assert.equal(score.intentCorrect, true);
+        assert.deepEqual(score.slots.map(slot => slot.correct), [true, true, true]);
+        assert.deepEqual(score.extraSlots, ['eventDetails.recurrence.interval']);
+    });
+
+    test('counts missing and wrong slots', () => {
+        const score = scoreCase(
+            { intent: 'DELETE_EVENTS', deleteDetails: { targetDate: '2026-10-20', startTime: '15:00:00' } },
+            { intent: 'QUERY_EVENTS', deleteDetails: { targetDate: '2026-10-21' } }
+        );
+        assert.equal(score.intentCorrect, false);
+        assert.deepEqual(score.slots.map(slot => [slot.slot, slot.correct]), [['deleteDetails.targetDate', false], ['deleteDetails.startTime', false]]);
+    });
+});
+
+describe('evaluateParser', () => {
+    test('scores the local parser on the pinned fixtures', async () => {
+        const report = await evaluateParser((text, timeZone, now) => parseCommandLocally(text, timeZone, now), fixtures);
+        assert.equal(report.cases, fixtures.cases.length);
+        assert.equal(report.intentAccuracy, 1);
+        assert.ok(report.slotAccuracy > 0.9, `slot accuracy ${report.slotAccuracy}`);
+        assert.match(formatReport(report), /Intent accuracy: 100\.0%/);
+    });
+
+    test('records model answers and replays them without the model', async () => {
+        const cases = fixtures.cases.slice(0, 2);
+        const [sync, lunch] = cases;
+        const stub = useStubLlm(commandText => commandText === sync.text
+            ? { intent: 'CREATE_EVENT', eventDetails: { title: 'Team sync', date: 'tomorrow', startTime: '3pm' } }
+            : null);
+        const recording = {};
+        setLlmProviders([createRecordingProvider(createGeminiProvider({ client: stub, model: 'stub' }), recording)]);
+        const live = await evaluateParser(parseWithModel, { ...fixtures, cases });
+        assert.deepEqual(Object.keys(recording.responses), [sync.text]);
+        assert.equal(recording.provider, 'gemini/stub');
+
+        setLlmProviders([createReplayProvider(recording)]);
+        const replayed = await evaluateParser(parseWithModel, { ...fixtures, cases });
+        assert.deepEqual(replayed.results.map(result => result.actual), live.results.map(result => result.actual));
+        // The recorded answer goes through validation; the unrecorded command falls back to the local parser
+        assert.deepEqual(replayed.results[0].actual.eventDetails, { title: 'Team sync', date: '2026-10-20', startTime: '15:00:00' });
+        assert.equal(replayed.results[0].exactMatch, true);
+        assert.deepEqual(replayed.results.map(result => result.usedFallback), [false, true]);
+        assert.equal(replayed.results[1].text, lunch.text);
+    });
+});
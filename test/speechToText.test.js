@@ -0,0 +1,108 @@
+// test/speechToText.test.js
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+const { createFakeCalendarProvider } = require('./fakeCalendar');
+const app = require('../index');
+const { setCalendarProvider } = require('../calendarService');
+const { createVoskEngine, cleanTranscript, getSttInfo, setSttEngine, transcribeAudio } = require('../speechToText');
+
+let server;
+let calendar;
+// What the fake engine was given: [{ file, extension, audio, mimeType }]
+let transcribed;
+
+// A fake engine that "hears" the bytes of the recording as text
+function createFakeEngine() {
+    return {
+        name: 'fake',
+        async transcribe(audioFile, { mimeType }) {
+            const audio = fs.readFileSync(audioFile, 'utf8');
+            transcribed.push({ file: audioFile, extension: path.extname(audioFile), audio, mimeType });
+            return cleanTranscript(audio);
+        }
+    };
+}
+
+before(async () => {
+    server = await startServer(app);
+});
+
+after(async () => {
+    setSttEngine(null);
+    await server.close();
+});
+
+beforeEach(() => {
+    transcribed = [];
+    setSttEngine(createFakeEngine());
+    calendar = createFakeCalendarProvider();
+    setCalendarProvider(calendar);
+});
+
+async function upload(audio, contentType = 'audio/webm;codecs=opus') {
+    const response = await fetch(`${server.baseUrl}/api/transcribe`, { method: 'POST', headers: { 'Content-Type': contentType }, body: audio });
+    return { status: response.status, body: await response.json() };
+}
+
+describe('speech to text', () => {
+    test('drops the markers engines use for silence and noise', () => {
+        assert.equal(cleanTranscript(' [BLANK_AUDIO]\n Schedule lunch (coughs) tomorrow \n'), 'Schedule lunch tomorrow');
+        assert.equal(cleanTranscript('[BLANK_AUDIO]'), '');
+    });
+
+    test('hands the engine a temporary file named after the recording type and removes it afterwards', async () => {
+        assert.equal(await transcribeAudio(Buffer.from('what is on today'), { mimeType: 'audio/mp4' }), 'what is on today');
+        const [{ file, extension }] = transcribed;
+        assert.equal(extension, '.m4a');
+        assert.equal(fs.existsSync(path.dirname(file)), false);
+    });
+
+    test('runs vosk-transcriber with the model and reports a missing binary', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-test-'));
+        // Stands in for vosk-transcriber: prints its arguments as the transcript
+        const bin = path.join(directory, 'vosk-transcriber');
+        fs.writeFileSync(bin, '#!/usr/bin/env node\nconsole.log(process.argv.slice(2).join(" "));\n', { mode: 0o755 });
+        try {
+            const engine = createVoskEngine({ bin, model: '/models/vosk-en' });
+            assert.equal(await engine.transcribe('/tmp/recording.webm', { timeoutMs: 5000 }), '-i /tmp/recording.webm -m /models/vosk-en');
+
+            const missing = createVoskEngine({ bin: path.join(directory, 'missing') });
+            await assert.rejects(missing.transcribe('/tmp/recording.webm', { timeoutMs: 5000 }), /missing is not installed/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('POST /api/transcribe returns what was said', async () => {
+        const { status, body } = await upload('schedule sync for tomorrow at 3 pm');
+        assert.equal(status, 200);
+        assert.deepEqual(body, { status: 'success', transcript: 'schedule sync for tomorrow at 3 pm' });
+        assert.equal(transcribed[0].mimeType, 'audio/webm;codecs=opus');
+        assert.equal(transcribed[0].extension, '.webm');
+    });
+
+    test('POST /api/transcribe explains silence, empty uploads and a missing engine', async () => {
+        assert.match((await upload('[BLANK_AUDIO]')).body.message, /didn't catch that/);
+        assert.equal((await upload('')).status, 400);
+
+        setSttEngine(null);
+        const { status, body } = await upload('hello');
+        assert.equal(status, 503);
+        assert.match(body.message, /type your command/);
+
+        const speech = await (await fetch(`${server.baseUrl}/api/speech`)).json();
+        assert.equal(speech.serverTranscription, false);
+    });
+
+    test('POST /api/transcribe needs a connected calendar', async () => {
+        calendar.connected = false;
+        assert.equal((await upload('hello')).status, 401);
+        // Turned away before the body is read, so even an upload over the size limit gets a 401 rather than a 413
+        assert.equal((await upload(Buffer.alloc(getSttInfo().maxBytes + 1))).status, 401);
+    });
+});
@@ -0,0 +1,64 @@
+// test/timeUtils.test.js
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    isValidTimeZone,
+    resolveTimeZone,
+    zonedTimeToUtc,
+    getLocalDate,
+    getLocalTime,
+    addDays,
+    getWeekday,
+    getDayWindow,
+    formatTime,
+    formatDate
+} = require('../timeUtils');
+
+const HOUR = 60 * 60 * 1000;
+
+test('zonedTimeToUtc applies the offset in effect on that date', () => {
+    assert.equal(zonedTimeToUtc('2026-07-01', '15:00:00', 'America/New_York').toISOString(), '2026-07-01T19:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-12-01', '15:00:00', 'America/New_York').toISOString(), '2026-12-01T20:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-12-01', '09:30:00', 'Asia/Kolkata').toISOString(), '2026-12-01T04:00:00.000Z');
+});
+
+test('zonedTimeToUtc handles times right after a DST change', () => {
+    // New York falls back at 2:00 on 2026-11-01 and springs forward at 2:00 on 2026-03-08
+    assert.equal(zonedTimeToUtc('2026-11-01', '09:00:00', 'America/New_York').toISOString(), '2026-11-01T14:00:00.000Z');
+    assert.equal(zonedTimeToUtc('2026-03-08', '09:00:00', 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+});
+
+test('getLocalDate and getLocalTime read an instant in a zone', () => {
+    const instant = '2026-10-20T02:30:00Z';
+    assert.equal(getLocalDate(instant, 'America/New_York'), '2026-10-19');
+    assert.equal(getLocalTime(instant, 'America/New_York'), '22:30:00');
+    assert.equal(getLocalDate(instant, 'Asia/Tokyo'), '2026-10-20');
+});
+
+test('getDayWindow covers 23 or 25 hours on DST days', () => {
+    const length = date => {
+        const { timeMin, timeMax } = getDayWindow(date, 'America/New_York');
+        return (new Date(timeMax) - new Date(timeMin)) / HOUR;
+    };
+    assert.equal(length('2026-10-20'), 24);
+    assert.equal(length('2026-11-01'), 25);
+    assert.equal(length('2026-03-08'), 23);
+});
+
+test('addDays and getWeekday work across month and year ends', () => {
+    assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(getWeekday('2026-10-19'), 1);
+});
+
+test('formatTime and formatDate produce spoken-friendly text', () => {
+    assert.equal(formatTime('2026-10-20T19:00:00Z', 'America/New_York'), '3:00 PM');
+    assert.equal(formatDate('2026-10-20'), 'Tue, Oct 20, 2026');
+});
+
+test('resolveTimeZone picks the first valid zone', () => {
+    assert.equal(isValidTimeZone('Not/AZone'), false);
+    assert.equal(resolveTimeZone('Not/AZone', 'Europe/Paris'), 'Europe/Paris');
+    assert.equal(resolveTimeZone(null, undefined), resolveTimeZone());
+});
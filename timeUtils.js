@@ -0,0 +1,130 @@
+// timeUtils.js
+
+// All calendar math happens in the user's IANA timezone. Dates are 'YYYY-MM-DD' strings and
+// times are 'HH:MM:SS' wall-clock strings in that zone; instants are JS Dates.
+
+const formatters = new Map();
+
+function getPartsFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getPartsFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getDefaultTimeZone() {
+    const envZone = process.env.DEFAULT_TIMEZONE;
+    if (isValidTimeZone(envZone)) return envZone;
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Returns the first valid zone among the candidates, falling back to DEFAULT_TIMEZONE / the server zone.
+function resolveTimeZone(...candidates) {
+    return candidates.find(isValidTimeZone) || getDefaultTimeZone();
+}
+
+function getZonedParts(instant, timeZone) {
+    const parts = {};
+    for (const { type, value } of getPartsFormatter(timeZone).formatToParts(new Date(instant))) {
+        parts[type] = value;
+    }
+    return parts;
+}
+
+function getTimeZoneOffset(instant, timeZone) {
+    const p = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+    return asUtc - Math.floor(new Date(instant).getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock date and time in the given zone to the matching instant.
+function zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const wallAsUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const offset = getTimeZoneOffset(wallAsUtc, timeZone);
+    let result = wallAsUtc - offset;
+    // Re-check once in case the guess crossed a DST transition
+    const correctedOffset = getTimeZoneOffset(result, timeZone);
+    if (correctedOffset !== offset) result = wallAsUtc - correctedOffset;
+    return new Date(result);
+}
+
+function getLocalDate(instant, timeZone) {
+    const p = getZonedParts(instant, timeZone);
+    return `${p.year}-${p.month}-${p.day}`;
+}
+
+function getLocalTime(instant, timeZone) {
+    const p = getZonedParts(instant, timeZone);
+    return `${p.hour}:${p.minute}:${p.second}`;
+}
+
+function getTodayInZone(timeZone) {
+    return getLocalDate(new Date(), timeZone);
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+// 0 = Sunday ... 6 = Saturday
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+// Start of the day up to (but excluding) the start of the next day, both in the user's zone.
+function getDayWindow(date, timeZone) {
+    return {
+        timeMin: zonedTimeToUtc(date, '00:00:00', timeZone).toISOString(),
+        timeMax: zonedTimeToUtc(addDays(date, 1), '00:00:00', timeZone).toISOString()
+    };
+}
+
+function formatTime(instant, timeZone) {
+    return new Date(instant).toLocaleTimeString('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+}
+
+function formatClockTime(time) {
+    return formatTime(`1970-01-01T${time}Z`, 'UTC');
+}
+
+function formatDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+module.exports = {
+    isValidTimeZone,
+    getDefaultTimeZone,
+    resolveTimeZone,
+    zonedTimeToUtc,
+    getLocalDate,
+    getLocalTime,
+    getTodayInZone,
+    addDays,
+    getWeekday,
+    getDayWindow,
+    formatTime,
+    formatClockTime,
+    formatDate
+};
@@ -0,0 +1,126 @@
+// tokenStore.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// OAuth tokens are kept per browser session. The backend is chosen with TOKEN_STORE:
+// 'memory' (default), 'file' (AES-256-GCM encrypted JSON on disk) or 'sqlite'.
+
+function createMemoryStore() {
+    const sessions = new Map();
+    return {
+        async get(sessionId) {
+            return sessions.get(sessionId) || null;
+        },
+        async set(sessionId, tokens) {
+            sessions.set(sessionId, tokens);
+        },
+        async delete(sessionId) {
+            sessions.delete(sessionId);
+        }
+    };
+}
+
+function deriveKey(secret) {
+    if (!secret) {
+        throw new Error("Missing TOKEN_ENCRYPTION_KEY environment variable for the encrypted token store.");
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+}
+
+function decrypt(key, payload) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(payload.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function createFileStore({ filePath, secret }) {
+    const key = deriveKey(secret);
+
+    function readAll() {
+        if (!fs.existsSync(filePath)) return {};
+        const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return JSON.parse(decrypt(key, payload));
+    }
+
+    function writeAll(sessions) {
+        const payload = encrypt(key, JSON.stringify(sessions));
+        // Write to a temp file first so a crash never leaves a half-written store behind
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(payload), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        async get(sessionId) {
+            return readAll()[sessionId] || null;
+        },
+        async set(sessionId, tokens) {
+            const sessions = readAll();
+            sessions[sessionId] = tokens;
+            writeAll(sessions);
+        },
+        async delete(sessionId) {
+            const sessions = readAll();
+            delete sessions[sessionId];
+            writeAll(sessions);
+        }
+    };
+}
+
+function createSqliteStore({ filePath, secret }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error("TOKEN_STORE=sqlite requires the optional 'better-sqlite3' package. Run npm install better-sqlite3.");
+    }
+    const key = deriveKey(secret);
+    const db = new Database(filePath);
+    db.exec('CREATE TABLE IF NOT EXISTS oauth_tokens (session_id TEXT PRIMARY KEY, tokens TEXT NOT NULL, updated_at INTEGER NOT NULL)');
+
+    const selectStmt = db.prepare('SELECT tokens FROM oauth_tokens WHERE session_id = ?');
+    const upsertStmt = db.prepare('INSERT INTO oauth_tokens (session_id, tokens, updated_at) VALUES (?, ?, ?) ON CONFLICT(session_id) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at');
+    const deleteStmt = db.prepare('DELETE FROM oauth_tokens WHERE session_id = ?');
+
+    return {
+        async get(sessionId) {
+            const row = selectStmt.get(sessionId);
+            return row ? JSON.parse(decrypt(key, JSON.parse(row.tokens))) : null;
+        },
+        async set(sessionId, tokens) {
+            upsertStmt.run(sessionId, JSON.stringify(encrypt(key, JSON.stringify(tokens))), Date.now());
+        },
+        async delete(sessionId) {
+            deleteStmt.run(sessionId);
+        }
+    };
+}
+
+function createTokenStore(type = process.env.TOKEN_STORE || 'memory') {
+    const secret = process.env.TOKEN_ENCRYPTION_KEY;
+    switch (type) {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore({ filePath: path.resolve(process.env.TOKEN_STORE_PATH || 'tokens.json.enc'), secret });
+        case 'sqlite':
+            return createSqliteStore({ filePath: path.resolve(process.env.TOKEN_STORE_PATH || 'tokens.db'), secret });
+        default:
+            throw new Error(`Unknown TOKEN_STORE '${type}'. Use 'memory', 'file' or 'sqlite'.`);
+    }
+}
+
+module.exports = { createTokenStore };
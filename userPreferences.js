@@ -0,0 +1,17 @@
+// userPreferences.js
+
+// Per-session settings the user has chosen explicitly (e.g. their timezone). Kept in memory;
+// anything not set here falls back to what the browser reports or the server defaults.
+const preferences = new Map();
+
+function getPreferences(sessionId) {
+    return preferences.get(sessionId) || {};
+}
+
+function updatePreferences(sessionId, changes) {
+    const updated = { ...getPreferences(sessionId), ...changes };
+    preferences.set(sessionId, updated);
+    return updated;
+}
+
+module.exports = { getPreferences, updatePreferences };